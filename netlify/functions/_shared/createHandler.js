@@ -0,0 +1,127 @@
+/**
+ * Shared handlers for the Netlify functions
+ *
+ * CORS, the method check, JSON body parsing and the error shape are the same
+ * for every endpoint (and match the Express server); each function only
+ * supplies how to parse its request, what to call and how to shape the reply.
+ * LLM-backed endpoints go through the same rate limiter, daily token budget
+ * and usage log as the Express routes, keyed by X-API-Key or the client IP
+ * Netlify reports. Their state lives in each function instance (counters in
+ * memory, the log under USAGE_LOG_FILE, which must point somewhere writable
+ * such as /tmp), so limits apply per warm instance rather than site-wide.
+ *
+ * Lives in a subdirectory so Netlify doesn't deploy it as a function.
+ */
+import { ValidationError, toErrorResponse } from '../../../src/middleware/errorHandler.js';
+import { rateLimiter, clientKeyFor } from '../../../src/middleware/rateLimiter.js';
+import { chargeUsage } from '../../../src/services/mapGeneration.js';
+
+// CORS headers
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, X-API-Key',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Content-Type': 'application/json'
+};
+
+const getHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS',
+  'Content-Type': 'application/json'
+};
+
+// Preflight and method check; a response to return as is, or null to go on
+function checkMethod(event, method, headers) {
+  // Handle OPTIONS preflight
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  // Only allow the endpoint's method
+  if (event.httpMethod !== method) {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: { message: 'Method not allowed', type: 'MethodNotAllowedError' } })
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Build a Netlify function handler for an LLM-backed POST endpoint
+ * @param {string} endpoint - Name recorded in the usage log, e.g. "generate"
+ * @param {(body: Object) => Object} parse - Validates the JSON body (mapGeneration.js parse*Request)
+ * @param {(request: Object) => Promise<Object>} run - Calls the LLM service with the parsed request
+ * @param {(result: Object) => Object} build - Response body (mapGeneration.js build*Response)
+ * @returns {(event: Object, context: Object) => Promise<Object>}
+ */
+export function createHandler(endpoint, parse, run, build) {
+  return async function handler(event, context) {
+    const rejected = checkMethod(event, 'POST', headers);
+    if (rejected) return rejected;
+
+    // Netlify lowercases header names
+    const apiKey = event.headers?.['x-api-key'];
+    const clientKey = clientKeyFor(apiKey, event.headers?.['x-nf-client-connection-ip']);
+    const limit = rateLimiter.admit(apiKey, clientKey);
+    const responseHeaders = { ...headers, ...limit.headers };
+
+    try {
+      if (limit.error) throw limit.error;
+
+      // Parse request body
+      let body;
+      try {
+        body = JSON.parse(event.body || '{}');
+      } catch (e) {
+        throw new ValidationError('Request body must be valid JSON');
+      }
+
+      const request = parse(body);
+
+      let result;
+      try {
+        result = await run(request);
+      } catch (error) {
+        chargeUsage(endpoint, clientKey, error);
+        throw error;
+      }
+      chargeUsage(endpoint, clientKey, result);
+
+      return {
+        statusCode: 200,
+        headers: responseHeaders,
+        body: JSON.stringify(build(result))
+      };
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+
+      const { statusCode, body } = toErrorResponse(error);
+      return {
+        statusCode,
+        headers: responseHeaders,
+        body: JSON.stringify(body)
+      };
+    }
+  };
+}
+
+/**
+ * Build a Netlify function handler for a read-only GET endpoint
+ * @param {() => Object} build - Response body (e.g. mapGeneration.js getHealthStatus)
+ * @returns {(event: Object, context: Object) => Promise<Object>}
+ */
+export function createGetHandler(build) {
+  return async function handler(event, context) {
+    const rejected = checkMethod(event, 'GET', getHeaders);
+    if (rejected) return rejected;
+
+    return {
+      statusCode: 200,
+      headers: getHeaders,
+      body: JSON.stringify(build())
+    };
+  };
+}
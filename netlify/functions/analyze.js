@@ -0,0 +1,18 @@
+/**
+ * Netlify Serverless Function: SWOT Analysis API
+ * Handles POST /api/analyze requests
+ *
+ * Same request parsing, node id checks and response body as the Express route
+ * (src/services/mapGeneration.js).
+ */
+import llmService from '../../src/services/llmService.js';
+import { parseAnalyzeRequest, buildAnalyzeResponse } from '../../src/services/mapGeneration.js';
+import { createHandler } from './_shared/createHandler.js';
+
+export const handler = createHandler(
+  'analyze',
+  parseAnalyzeRequest,
+  ({ prompt, map, provider, template, model, temperature, maxTokens }) =>
+    llmService.analyzeSwot(prompt || '', map || null, { provider, template, model, temperature, maxTokens }),
+  buildAnalyzeResponse
+);
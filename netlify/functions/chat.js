@@ -0,0 +1,18 @@
+/**
+ * Netlify Serverless Function: Map Chat API
+ * Handles POST /api/chat requests
+ *
+ * Same request parsing, patch validation and response body as the Express route
+ * (src/services/mapGeneration.js).
+ */
+import llmService from '../../src/services/llmService.js';
+import { parseChatRequest, buildChatResponse } from '../../src/services/mapGeneration.js';
+import { createHandler } from './_shared/createHandler.js';
+
+export const handler = createHandler(
+  'chat',
+  parseChatRequest,
+  ({ map, message, history, provider, template, model, temperature, maxTokens }) =>
+    llmService.chat(map, message, history, { provider, template, model, temperature, maxTokens }),
+  buildChatResponse
+);
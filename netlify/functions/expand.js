@@ -0,0 +1,18 @@
+/**
+ * Netlify Serverless Function: Node Expansion API
+ * Handles POST /api/expand requests
+ *
+ * Same request parsing, expansion and response body as the Express route
+ * (src/services/mapGeneration.js).
+ */
+import llmService from '../../src/services/llmService.js';
+import { parseExpandRequest, buildExpandResponse } from '../../src/services/mapGeneration.js';
+import { createHandler } from './_shared/createHandler.js';
+
+export const handler = createHandler(
+  'expand',
+  parseExpandRequest,
+  ({ map, nodeId, count, instruction, provider, template, model, temperature, maxTokens }) =>
+    llmService.expandNode(map, nodeId, { provider, template, model, temperature, maxTokens, count, instruction }),
+  buildExpandResponse
+);
@@ -0,0 +1,18 @@
+/**
+ * Netlify Serverless Function: SWOT Plan API
+ * Handles POST /api/plan requests
+ *
+ * Same request parsing, map validation and response body as the Express route
+ * (src/services/mapGeneration.js).
+ */
+import llmService from '../../src/services/llmService.js';
+import { parsePlanRequest, buildGenerateResponse } from '../../src/services/mapGeneration.js';
+import { createHandler } from './_shared/createHandler.js';
+
+export const handler = createHandler(
+  'plan',
+  parsePlanRequest,
+  ({ swot, prompt, provider, template, model, temperature, maxTokens }) =>
+    llmService.planFromSwot(swot, prompt, { provider, template, model, temperature, maxTokens }),
+  buildGenerateResponse
+);
@@ -0,0 +1,18 @@
+/**
+ * Netlify Serverless Function: Map Refinement API
+ * Handles POST /api/refine requests
+ *
+ * Same request parsing, patch validation and response body as the Express route
+ * (src/services/mapGeneration.js).
+ */
+import llmService from '../../src/services/llmService.js';
+import { parseRefineRequest, buildRefineResponse } from '../../src/services/mapGeneration.js';
+import { createHandler } from './_shared/createHandler.js';
+
+export const handler = createHandler(
+  'refine',
+  parseRefineRequest,
+  ({ map, instruction, provider, template, model, temperature, maxTokens }) =>
+    llmService.refineMap(map, instruction, { provider, template, model, temperature, maxTokens }),
+  buildRefineResponse
+);
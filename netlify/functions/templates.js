@@ -0,0 +1,9 @@
+/**
+ * Netlify Serverless Function: Prompt Template API
+ * Handles GET /api/templates requests
+ * Lists the same templates as the Express server
+ */
+import { getTemplateList } from '../../src/services/mapGeneration.js';
+import { createGetHandler } from './_shared/createHandler.js';
+
+export const handler = createGetHandler(getTemplateList);
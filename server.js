@@ -2,6 +2,7 @@ import express from 'express';
 import cors from 'cors';
 import config, { validateConfig, getConfigSummary } from './src/config/config.js';
 import mapRoutes from './src/routes/mapRoutes.js';
+import collabHub from './src/services/collabHub.js';
 import { errorHandler, notFoundHandler } from './src/middleware/errorHandler.js';
 
 /**
@@ -13,6 +14,10 @@ import { errorHandler, notFoundHandler } from './src/middleware/errorHandler.js'
 // Initialize Express app
 const app = express();
 
+// Behind a reverse proxy, take the client address from X-Forwarded-For
+// (rate limits and usage are per client IP)
+app.set('trust proxy', config.server.trustProxy);
+
 // Middleware setup
 app.use(cors({
   origin: config.server.corsOrigin,
@@ -72,9 +77,15 @@ function startServer() {
       console.log('\n=================================\n');
     });
 
+    // Live collaboration shares the HTTP server (WebSocket upgrade)
+    if (config.collab.enabled) {
+      collabHub.attach(server);
+    }
+
     // Graceful shutdown
     const gracefulShutdown = (signal) => {
       console.log(`\n${signal} received. Starting graceful shutdown...`);
+      collabHub.close(); // Open WebSockets would keep the server from closing
       server.close(() => {
         console.log('Server closed. Exiting process.');
         process.exit(0);
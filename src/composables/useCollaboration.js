@@ -0,0 +1,314 @@
+// src/composables/useCollaboration.js
+// Live collaboration: edits to a saved map shared over a WebSocket, plus
+// everyone's cursors and selections. See src/services/collabHub.js for the protocol.
+//
+// Shared: node drags, label/note/status edits, quick-added nodes and deletes.
+// Whole-canvas changes (generate, expand, refine, chat patches, plans,
+// restore, loads) and SWOT edits can't be, so they are off while
+// collaborating (blockedByCollaboration in useState.js) rather than leaving
+// this canvas out of step with the room.
+//
+// Joining puts the room's canvas (the saved copy plus everyone's edits) on
+// this one. Saving goes through the room, so everyone in it shares one saved
+// version.
+
+import { ref } from 'vue';
+import { territories, nodes, edges, serverMap, authorName, autoSave, immediateSave, applyServerMap, getEditToken } from './useState.js';
+import { applyOp, opFields } from '../schemas/collabOps.js';
+
+const SEND_INTERVAL_MS = 50; // Drags and typing are sent at most this often
+
+/**
+ * @typedef {Object} Peer
+ * @property {string} clientId
+ * @property {string} name
+ * @property {string} color
+ * @property {{ x: number, y: number }|null} cursor - World coordinates
+ * @property {string|null} selection - Node open in their inspector
+ */
+
+export const collabStatus = ref('off'); // 'off' | 'connecting' | 'live'
+export const collabMapId = ref(null); // Saved map whose room we're in
+/** @type {import('vue').Ref<Peer[]>} */
+export const peers = ref([]); // Everyone else in the room
+
+let socket = null;
+let clientId = null;
+let clientSeq = 0;
+const outbox = new Map(); // Coalescing key -> op waiting for the next flush
+const sentOps = new Map(); // clientSeq -> op the server hasn't sequenced yet
+const pendingFields = new Map(); // "nodeId.field" -> own ops on it not yet sequenced
+let flushTimer = null;
+let presence = { cursor: null, selection: null };
+let presenceTimer = null;
+let pendingSave = null; // Resolves saveRoom() once the room answers
+
+function send(message) {
+  if (socket?.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+}
+
+function collabUrl() {
+  const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+  return `${protocol}//${location.host}/api/collab`;
+}
+
+// Own ops on a field win over remote ones sequenced before them, so remote
+// changes to a field we're still sending are skipped rather than flickering
+function holdFields(op, delta) {
+  opFields(op).forEach(field => {
+    const key = `${op.nodeId}.${field}`;
+    const count = (pendingFields.get(key) || 0) + delta;
+    if (count > 0) {
+      pendingFields.set(key, count);
+    } else {
+      pendingFields.delete(key);
+    }
+  });
+}
+
+function isPending(nodeId, field) {
+  return pendingFields.has(`${nodeId}.${field}`);
+}
+
+function flush() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+
+  outbox.forEach(op => {
+    clientSeq++;
+    sentOps.set(clientSeq, op);
+    send({ type: 'op', clientSeq, op });
+  });
+  outbox.clear();
+}
+
+/**
+ * Share an edit already made on this canvas
+ * @param {import('../schemas/collabOps.js').CollabOp} op
+ */
+export function shareOp(op) {
+  if (collabStatus.value !== 'live') return;
+
+  // Adds and deletes go out at once, after anything queued before them
+  if (op.kind === 'add' || op.kind === 'delete') {
+    flush();
+    outbox.set(op.kind, op);
+    flush();
+    return;
+  }
+
+  // Moves and edits of the same node are merged until the next flush
+  const key = `${op.kind}:${op.nodeId}`;
+  const queued = outbox.get(key);
+  const merged = queued && op.kind === 'update'
+    ? { ...op, fields: { ...queued.fields, ...op.fields } }
+    : op;
+
+  if (queued) holdFields(queued, -1);
+  holdFields(merged, 1);
+  outbox.set(key, merged);
+
+  if (!flushTimer) flushTimer = setTimeout(flush, SEND_INTERVAL_MS);
+}
+
+/**
+ * Share where the pointer is and which node is selected
+ * @param {Object} changes - { cursor?: { x, y } | null, selection?: string | null }
+ */
+export function sharePresence(changes) {
+  presence = { ...presence, ...changes };
+  if (collabStatus.value !== 'live' || presenceTimer) return;
+
+  presenceTimer = setTimeout(() => {
+    presenceTimer = null;
+    send({ type: 'presence', ...presence });
+  }, SEND_INTERVAL_MS);
+}
+
+// A remote op, minus the fields we have our own ops in flight for
+function withoutPendingFields(op) {
+  if (op.kind === 'move') {
+    return isPending(op.nodeId, 'x') || isPending(op.nodeId, 'y') ? null : op;
+  }
+  if (op.kind === 'update') {
+    const fields = Object.fromEntries(
+      Object.entries(op.fields).filter(([field]) => !isPending(op.nodeId, field))
+    );
+    return Object.keys(fields).length > 0 ? { ...op, fields } : null;
+  }
+  return op;
+}
+
+function receive(message) {
+  switch (message.type) {
+    case 'welcome': {
+      clientId = message.clientId;
+      peers.value = message.peers;
+      collabStatus.value = 'live';
+
+      // The room's canvas replaces this one, unsaved changes included
+      applyServerMap({
+        id: collabMapId.value,
+        name: serverMap.value?.name,
+        version: message.version,
+        state: message.state
+      });
+      send({ type: 'presence', ...presence });
+      console.log(`🤝 Collaborating on ${collabMapId.value} with ${message.peers.length} other(s)`);
+      break;
+    }
+
+    case 'op': {
+      if (message.clientId === clientId) {
+        // Ours, now sequenced; it's already on the canvas
+        const op = sentOps.get(message.clientSeq);
+        if (op) holdFields(op, -1);
+        sentOps.delete(message.clientSeq);
+        break;
+      }
+
+      const op = withoutPendingFields(message.op);
+      if (op && applyOp({ territories, nodes, edges }, op)) autoSave();
+      break;
+    }
+
+    case 'dropped': {
+      const op = sentOps.get(message.clientSeq);
+      if (op) holdFields(op, -1);
+      sentOps.delete(message.clientSeq);
+      break;
+    }
+
+    case 'peer': {
+      const others = peers.value.filter(peer => peer.clientId !== message.peer.clientId);
+      peers.value = [...others, message.peer];
+      break;
+    }
+
+    case 'left':
+      peers.value = peers.value.filter(peer => peer.clientId !== message.clientId);
+      break;
+
+    case 'saved': {
+      // Whoever asked, the saved copy is now this version for everyone
+      if (serverMap.value?.id === collabMapId.value) {
+        serverMap.value = { ...serverMap.value, version: message.version };
+        immediateSave();
+      }
+      if (message.clientId === clientId) settleSave(true);
+      console.log(`☁️ The room saved ${collabMapId.value} (version ${message.version})`);
+      break;
+    }
+
+    case 'closed':
+      alert(`Collaboration ended: ${message.message}`);
+      if (serverMap.value?.id === collabMapId.value) {
+        serverMap.value = null;
+        immediateSave();
+      }
+      stopCollaboration();
+      break;
+
+    case 'error':
+      console.error('❌ Collaboration error:', message.message);
+      // Before the welcome, the join itself failed
+      if (collabStatus.value === 'connecting') {
+        alert(`Could not start collaborating: ${message.message}`);
+        stopCollaboration();
+      } else if (pendingSave) {
+        alert(`Failed to save to the server: ${message.message}`);
+        settleSave(false);
+      }
+      break;
+  }
+}
+
+function settleSave(saved) {
+  pendingSave?.(saved);
+  pendingSave = null;
+}
+
+function reset() {
+  clearTimeout(flushTimer);
+  clearTimeout(presenceTimer);
+  flushTimer = null;
+  presenceTimer = null;
+  settleSave(false);
+  outbox.clear();
+  sentOps.clear();
+  pendingFields.clear();
+  socket = null;
+  clientId = null;
+  clientSeq = 0;
+  peers.value = [];
+  collabStatus.value = 'off';
+  collabMapId.value = null;
+}
+
+/**
+ * Join the room of the saved map the canvas is linked to. The room's canvas
+ * replaces this one.
+ * @returns {boolean} True if connecting
+ */
+export function startCollaboration() {
+  if (!serverMap.value) return false;
+  stopCollaboration();
+
+  const mapId = serverMap.value.id;
+  const current = new WebSocket(collabUrl());
+  socket = current;
+  collabStatus.value = 'connecting';
+  collabMapId.value = mapId;
+
+  current.onopen = () => {
+    send({
+      type: 'join',
+      mapId,
+      name: authorName.value || undefined,
+      editToken: getEditToken(mapId)
+    });
+  };
+  current.onmessage = (event) => receive(JSON.parse(event.data));
+  current.onclose = () => {
+    if (socket !== current) return; // Replaced or stopped on purpose
+    console.warn('⚠️ Collaboration connection closed');
+    reset();
+  };
+  return true;
+}
+
+/**
+ * Ask the room to save its canvas as the map's next version (everyone in it
+ * is told the new version)
+ * @returns {Promise<boolean>} True if saved
+ */
+export function saveRoom() {
+  if (collabStatus.value !== 'live') return Promise.resolve(false);
+
+  settleSave(false);
+  flush(); // Edits still queued here are sequenced before the save
+  send({ type: 'save' });
+  return new Promise(resolve => {
+    pendingSave = resolve;
+  });
+}
+
+/**
+ * Leave the room; the canvas stays as it is. Changes nobody saved are saved
+ * by the room once everyone has left.
+ */
+export function stopCollaboration() {
+  if (!socket) return;
+
+  flush();
+  const current = socket;
+  reset();
+  current.close(1000);
+}
+
+export function useCollaboration() {
+  return {
+    collabStatus, collabMapId, peers,
+    startCollaboration, stopCollaboration, saveRoom, shareOp, sharePresence
+  };
+}
@@ -1,7 +1,8 @@
 // src/composables/useNodes.js
 import { reactive, ref } from 'vue';
-import { nodes, territories, immediateSave } from './useState.js';
+import { nodes, territories, immediateSave, viewOnly } from './useState.js';
 import { svgToWorld, viewBox } from './useCanvas.js';
+import { shareOp } from './useCollaboration.js';
 
 // Territory boundary constraints
 const NODE_WIDTH = 180;
@@ -55,6 +56,8 @@ export function deselectNode() {
  * Quick add a new node at viewport center
  */
 export function quickAddNode() {
+  if (viewOnly.value) return;
+
   const label = quickNodeLabel.value.trim();
   if (!label) {
     console.warn('Cannot add node with empty label');
@@ -74,11 +77,13 @@ export function quickAddNode() {
   };
 
   nodes.push(newNode);
+  shareOp({ kind: 'add', node: newNode });
   quickNodeLabel.value = '';
 }
 
 // ---------- NODE DRAGGING (Uses svgToWorld from useCanvas) ----------
 export const onNodeDragStart = (e, node) => {
+  if (viewOnly.value) return; // Let the mousedown reach the canvas and pan instead
   e.stopPropagation(); 
   const p = svgToWorld(e); // <-- CRITICAL: Uses imported helper
   dragging.active = true;
@@ -130,6 +135,7 @@ export const onNodeDragMove = (e) => {
 
   n.x = newX;
   n.y = newY;
+  shareOp({ kind: 'move', nodeId: n.id, x: newX, y: newY });
 };
 
 export const onNodeDragEnd = (e) => {
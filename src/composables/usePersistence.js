@@ -1,12 +1,28 @@
 // src/composables/usePersistence.js
 // Robust data persistence with debouncing, backup rotation, validation
+//
+// Several tabs share one saved state. Every save gets a revision number; a
+// tab whose copy is older than what's stored is warned before overwriting it.
+// With startTabSync, one tab (the leader) does all the writes for the others,
+// and every tab picks up the others' saves as they happen.
 
 const PRIMARY_KEY = 'hikki-canvas-state';
 const BACKUP_KEY = 'hikki-canvas-state-backup';
 const MAX_DATA_SIZE = 50 * 1024 * 1024; // 50MB limit
+const CHANNEL_NAME = 'hikki-canvas'; // Save requests from other tabs to the leader
+const LEADER_LOCK = 'hikki-canvas-leader';
+const LEADER_TIMEOUT_MS = 2000; // Then a tab writes itself (leader closing, or none yet)
 
 let saveTimeout = null;
 
+const tabId = crypto.randomUUID();
+let knownRevision = 0; // Stored revision this tab's canvas is based on
+let saveSeq = 0; // Numbers this tab's saves, so a save written twice is spotted
+let isLeader = false;
+let channel = null;
+let onExternalState = null; // Called with states other tabs saved
+const leaderRequests = new Map(); // requestId -> { data, timeout, resolve }, while waiting for the leader
+
 /**
  * Validate data structure and size
  * @param {Object} data - Data to validate
@@ -42,28 +58,65 @@ function validateData(data) {
   }
 }
 
+/**
+ * Stored state without validation (null if missing or unreadable)
+ * @returns {Object|null}
+ */
+function readPrimary() {
+  try {
+    return JSON.parse(localStorage.getItem(PRIMARY_KEY));
+  } catch {
+    return null;
+  }
+}
+
 /**
  * Save data to localStorage with backup rotation
  * @param {Object} data - Data to save
- * @returns {boolean} Success status
+ * @param {Object} [options]
+ * @param {number} [options.baseRevision] - Stored revision the data is based on
+ * @param {boolean} [options.force=false] - Save even if the stored state is newer
+ * @param {string} [options.savedBy] - Tab whose canvas this is
+ * @param {number} [options.seq] - That tab's save number
+ * @returns {boolean|'stale'} 'stale' if another tab saved since baseRevision
  */
-function saveToStorage(data) {
+function saveToStorage(data, { baseRevision = knownRevision, force = false, savedBy = tabId, seq } = {}) {
   try {
     if (!validateData(data)) {
       return false;
     }
 
-    const jsonStr = JSON.stringify(data);
+    const existingPrimary = localStorage.getItem(PRIMARY_KEY);
+    const stored = readPrimary();
+    const storedRevision = stored?.revision || 0;
+    const storedBySameTab = stored?.savedBy === savedBy;
+
+    // The leader answered late and the tab saved directly too (or the other
+    // way round): this save, or a later one of the same tab, is already there
+    if (storedBySameTab && seq !== undefined && stored.saveSeq >= seq) {
+      if (savedBy === tabId) knownRevision = Math.max(knownRevision, storedRevision);
+      console.log(`ℹ️ Save ${seq} already stored (revision ${storedRevision})`);
+      return true;
+    }
+
+    // Newer data from the same tab isn't another tab's work
+    if (storedRevision > baseRevision && !storedBySameTab && !force) {
+      console.warn(`⚠️ Not saving: another tab saved revision ${storedRevision}, this copy is based on ${baseRevision}`);
+      return 'stale';
+    }
+
+    const revision = storedRevision + 1;
+    const jsonStr = JSON.stringify({ ...data, revision, savedBy, saveSeq: seq });
 
     // Rotate: primary → backup, new → primary
-    const existingPrimary = localStorage.getItem(PRIMARY_KEY);
     if (existingPrimary) {
       localStorage.setItem(BACKUP_KEY, existingPrimary);
       console.log('🔄 Rotated primary to backup');
     }
 
     localStorage.setItem(PRIMARY_KEY, jsonStr);
-    console.log(`💾 Saved to primary storage (${data.nodes.length} nodes, ${data.edges.length} edges)`);
+    if (savedBy === tabId) knownRevision = revision;
+    console.log(`💾 Saved to primary storage (revision ${revision}, ${data.nodes.length} nodes, ${data.edges.length} edges)`);
     return true;
   } catch (error) {
     console.error('❌ Save failed:', error);
@@ -71,6 +124,155 @@ function saveToStorage(data) {
   }
 }
 
+/**
+ * Another tab saved since this tab's copy: ask before overwriting, or take
+ * the newer state instead
+ * @param {Object} data - This tab's state
+ * @returns {Promise<boolean>} True if saved
+ */
+async function resolveStaleSave(data) {
+  const stored = readPrimary();
+  const overwrite = confirm(
+    `Another Hikki tab saved newer changes (${stored?.nodes?.length ?? 0} nodes) since this tab last synced.\n\n` +
+    'OK: overwrite them with this tab\'s canvas\nCancel: load the newer version here'
+  );
+
+  if (overwrite) {
+    return writeState(data, { force: true });
+  }
+  if (stored && validateData(stored)) receiveExternalState(stored, { force: true });
+  return false;
+}
+
+// Save as this tab: through the leader if there is one, else directly.
+// Resolves once the state is stored (or the save failed or was declined).
+async function writeState(data, { force = false } = {}) {
+  const seq = ++saveSeq;
+  if (channel && !isLeader) {
+    return requestLeaderSave(data, { force, seq });
+  }
+
+  const result = saveToStorage(data, { force, seq });
+  return result === 'stale' ? resolveStaleSave(data) : result;
+}
+
+function requestLeaderSave(data, { force, seq }) {
+  const requestId = crypto.randomUUID();
+  const baseRevision = knownRevision;
+
+  return new Promise(resolve => {
+    // No answer: the leader is gone, not elected yet or throttled in the
+    // background; save directly (a late answer is then ignored)
+    const timeout = setTimeout(() => {
+      leaderRequests.delete(requestId);
+      console.warn('⚠️ No leader tab answered; saving directly');
+      const result = saveToStorage(data, { baseRevision, force, seq });
+      resolve(result === 'stale' ? resolveStaleSave(data) : result);
+    }, LEADER_TIMEOUT_MS);
+    leaderRequests.set(requestId, { data, timeout, resolve });
+
+    channel.postMessage({ type: 'save', requestId, from: tabId, data, baseRevision, force, seq });
+  });
+}
+
+// A state another tab saved: show it, unless this tab has a save pending
+// (that save then finds the stored state newer and asks what to do) or the
+// handler can't take it now (it asks again with checkExternalState)
+function receiveExternalState(state, { force = false } = {}) {
+  if (!state || (state.revision || 0) <= knownRevision) return;
+  if (state.savedBy === tabId) {
+    knownRevision = state.revision;
+    return;
+  }
+  if (!force && (saveTimeout || leaderRequests.size > 0)) return;
+  if (onExternalState?.(state) === false) {
+    console.log(`⏸️ Holding revision ${state.revision} from another tab`);
+    return;
+  }
+
+  knownRevision = state.revision;
+  console.log(`🔁 Picked up revision ${state.revision} from another tab`);
+}
+
+/**
+ * Offer the stored state again if another tab saved something this tab
+ * hasn't taken yet (e.g. it was held while a preview was open)
+ */
+export function checkExternalState() {
+  receiveExternalState(readPrimary());
+}
+
+function onChannelMessage({ data: message }) {
+  if (message.type === 'save' && isLeader) {
+    const result = saveToStorage(message.data, {
+      baseRevision: message.baseRevision,
+      force: message.force,
+      savedBy: message.from,
+      seq: message.seq
+    });
+    const revision = readPrimary()?.revision || 0;
+    const type = result === 'stale' ? 'stale' : result ? 'saved' : 'failed';
+    channel.postMessage({ type, requestId: message.requestId, to: message.from, revision });
+
+    // Storage events skip the tab that wrote, so the leader updates itself
+    if (result === true) receiveExternalState(readPrimary());
+    return;
+  }
+
+  if (['saved', 'stale', 'failed'].includes(message.type) && message.to === tabId) {
+    const request = leaderRequests.get(message.requestId);
+    if (!request) return;
+    clearTimeout(request.timeout);
+    leaderRequests.delete(message.requestId);
+
+    if (message.type === 'saved') {
+      knownRevision = Math.max(knownRevision, message.revision);
+      request.resolve(true);
+    } else if (message.type === 'stale') {
+      request.resolve(resolveStaleSave(request.data));
+    } else {
+      console.error('❌ The leader tab could not save this tab\'s canvas');
+      request.resolve(false);
+    }
+  }
+}
+
+/**
+ * Keep this tab in step with other tabs: elect a leader to do the writes
+ * (Web Locks), send saves to it (BroadcastChannel), and show other tabs'
+ * saves as they happen (storage events). Without these APIs every tab saves
+ * for itself, still warned before overwriting newer data.
+ * @param {Object} options
+ * @param {Function} options.onExternalState - Receives states saved by other
+ *   tabs; returns false to hold one for now (this tab's next save is then
+ *   warned about it)
+ */
+export function startTabSync({ onExternalState: handler }) {
+  onExternalState = handler;
+  if (channel) return;
+
+  window.addEventListener('storage', (event) => {
+    if (event.key !== PRIMARY_KEY || !event.newValue) return;
+    try {
+      receiveExternalState(JSON.parse(event.newValue));
+    } catch {
+      // Half-written or foreign data; the next save rewrites it
+    }
+  });
+
+  if (typeof BroadcastChannel === 'undefined' || !navigator.locks) return;
+
+  channel = new BroadcastChannel(CHANNEL_NAME);
+  channel.onmessage = onChannelMessage;
+
+  // Held until the tab closes; then the next tab in line takes over
+  navigator.locks.request(LEADER_LOCK, () => {
+    isLeader = true;
+    console.log('👑 This tab now saves the canvas for all tabs');
+    return new Promise(() => {});
+  });
+}
+
 /**
  * Load data from localStorage with fallback to backup
  * @returns {Object|null} Loaded data or null
@@ -85,6 +287,7 @@ function loadFromStorage() {
         const data = JSON.parse(jsonStr);
         if (validateData(data)) {
           console.log(`✅ Loaded from primary storage (${data.nodes.length} nodes)`);
+          knownRevision = data.revision || 0;
           return data;
         }
       } catch (parseError) {
@@ -100,7 +303,7 @@ function loadFromStorage() {
         if (validateData(data)) {
           console.log(`✅ Recovered from backup storage (${data.nodes.length} nodes)`);
           // Restore backup to primary
-          saveToStorage(data);
+          saveToStorage(data, { force: true });
           return data;
         }
       } catch (parseError) {
@@ -128,14 +331,17 @@ export function debouncedAutoSave(data) {
 
   // Set new timeout
   saveTimeout = setTimeout(() => {
+    saveTimeout = null;
     console.log('⏱️ Debounced save triggered');
-    saveToStorage(data);
+    writeState(data);
   }, 500);
 }
 
 /**
  * Immediate save (for critical operations like delete)
  * @param {Object} data - Data to save
+ * @returns {Promise<boolean>} Settles once stored: through the leader tab this
+ *   waits for its answer (or the direct save after LEADER_TIMEOUT_MS)
  */
 export function immediateAutoSave(data) {
   // Clear any pending debounced save
@@ -145,7 +351,7 @@ export function immediateAutoSave(data) {
   }
 
   console.log('⚡ Immediate save triggered');
-  return saveToStorage(data);
+  return writeState(data);
 }
 
 /**
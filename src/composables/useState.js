@@ -1,6 +1,13 @@
 
-import { reactive, ref } from 'vue';
+import { reactive, ref, watch } from 'vue';
 import placeNodes from '../services/nodePositioning.js';
+import { validateMap } from '../schemas/mapSchema.js';
+import { checkMapIntegrity } from '../schemas/mapIntegrity.js';
+import { describePatch, applyPatch } from '../schemas/mapPatch.js';
+import { swotToPlan, linkSwotToPlan } from '../schemas/swotPlan.js';
+import { resolveIncomingMap } from '../schemas/mapMerge.js';
+import { diffMapStates, describeDiff } from '../schemas/mapDiff.js';
+import { shareOp, saveRoom, collabStatus, collabMapId } from './useCollaboration.js';
 
 /**
  * @typedef {Object} Territory
@@ -31,12 +38,18 @@ import placeNodes from '../services/nodePositioning.js';
  * @property {string} target - Target node ID
  */
 
+/**
+ * @typedef {Object} SwotItem
+ * @property {string} text - One point of the analysis
+ * @property {string[]} nodeIds - Nodes the point is about
+ */
+
 /**
  * @typedef {Object} SWOT
- * @property {string} strengths
- * @property {string} weaknesses
- * @property {string} opportunities
- * @property {string} threats
+ * @property {SwotItem[]} strengths
+ * @property {SwotItem[]} weaknesses
+ * @property {SwotItem[]} opportunities
+ * @property {SwotItem[]} threats
  */
 
 // --- CORE DATA STATE (EXPORTED FOR GLOBAL ACCESS) ---
@@ -52,15 +65,40 @@ export const edges = reactive([]);
 // --- FEATURE/UI STATE ---
 export const chatInput = ref('');
 export const isGenerating = ref(false); // Loading state for LLM calls
+export const rateLimitSeconds = ref(0); // Countdown after the server answers 429
+export const templates = ref([]); // Prompt templates ("map genres") from /api/templates
+export const selectedTemplate = ref(''); // Empty = server default
+export const generationMode = ref('replace'); // What Generate does with a non-empty canvas: 'replace' | 'append' | 'merge'
+export const jobStatus = ref(null); // Server job behind the running generation: { status, position, progress }
+export const expandingNodeId = ref(null); // Node currently being expanded with AI
+export const refineInput = ref('');
+export const isRefining = ref(false); // Waiting for /api/refine
+export const patchPreview = ref(null); // Refine patch shown on the canvas, awaiting apply/discard
+export const mapId = ref(null); // Identifies the current map; chat transcripts are kept per map
+export const chatMessages = ref([]); // Chat transcript for the current map
+export const chatDraft = ref('');
+export const isChatting = ref(false); // Waiting for /api/chat
+export const isAnalyzing = ref(false); // Waiting for /api/analyze
+export const highlightedSwotItem = ref(null); // SWOT item whose nodes are highlighted on the canvas
+export const serverMap = ref(null); // Server copy the canvas is saved to: { id, name, version }
+export const serverMaps = ref([]); // Saved maps listed by "Open from server"
+export const isSyncing = ref(false); // Waiting for /api/maps
+export const serverRevisions = ref([]); // Revisions of the linked server map, newest first
+export const authorName = ref(localStorage.getItem('hikki-author') || ''); // Recorded on server revisions
+export const serverShares = ref([]); // Share links of the linked server map
+export const viewOnly = ref(false); // Showing a shared map: look, don't touch
+export const sharedMap = ref(null); // Shared map being viewed: { name, version, updatedAt, expiresAt }
 
 /** @type {import('vue').UnwrapRef<SWOT>} */
-export const swot = reactive({ strengths:'', weaknesses:'', opportunities:'', threats:'' });
+export const swot = reactive({ strengths: [], weaknesses: [], opportunities: [], threats: [] });
 
 // ---------- AUTO-SAVE / AUTO-LOAD (Enhanced Persistence) ----------
 import {
     debouncedAutoSave,
     immediateAutoSave,
     loadSavedState,
+    startTabSync,
+    checkExternalState,
     exportData as exportDataFile,
     importData as importDataFile
 } from './usePersistence.js';
@@ -71,9 +109,12 @@ import {
  */
 function getStateSnapshot() {
     return {
+        mapId: mapId.value,
+        serverMap: serverMap.value,
         territories: JSON.parse(JSON.stringify(territories)),
         nodes: JSON.parse(JSON.stringify(nodes)),
         edges: JSON.parse(JSON.stringify(edges)),
+        swot: JSON.parse(JSON.stringify(swot)),
         timestamp: Date.now()
     };
 }
@@ -83,6 +124,7 @@ function getStateSnapshot() {
  * Called after node edits, property changes
  */
 export function autoSave() {
+    if (viewOnly.value) return; // A shared map never replaces the viewer's own canvas
     const state = getStateSnapshot();
     debouncedAutoSave(state);
 }
@@ -90,10 +132,32 @@ export function autoSave() {
 /**
  * Immediate save for critical operations
  * Called after delete, duplicate, drag operations
+ * @returns {Promise<boolean>} True once stored (false if it failed or was declined)
  */
 export function immediateSave() {
+    if (viewOnly.value) return Promise.resolve(false);
     const state = getStateSnapshot();
-    immediateAutoSave(state);
+    return immediateAutoSave(state);
+}
+
+/**
+ * Put a saved state on the canvas (without saving it again)
+ * @param {Object} state - As saved by autoSave
+ */
+function applySavedState(state) {
+    // Clear current state
+    territories.splice(0);
+    nodes.splice(0);
+    edges.splice(0);
+
+    // Load saved data
+    (state.territories || []).forEach(t => territories.push(t));
+    (state.nodes || []).forEach(n => nodes.push(n));
+    (state.edges || []).forEach(e => edges.push(e));
+    if (state.swot) setSwot(state.swot);
+    // Same map: keep the chat as it is (a half-typed message included)
+    if (!mapId.value || state.mapId !== mapId.value) setCurrentMap(state.mapId);
+    serverMap.value = state.serverMap || null;
 }
 
 /**
@@ -109,15 +173,7 @@ export function autoLoad() {
             return false;
         }
 
-        // Clear current state
-        territories.splice(0);
-        nodes.splice(0);
-        edges.splice(0);
-
-        // Load saved data
-        (state.territories || []).forEach(t => territories.push(t));
-        (state.nodes || []).forEach(n => nodes.push(n));
-        (state.edges || []).forEach(e => edges.push(e));
+        applySavedState(state);
 
         console.log('✅ State loaded from', new Date(state.timestamp).toLocaleString());
         return true;
@@ -127,6 +183,58 @@ export function autoLoad() {
     }
 }
 
+/**
+ * Whole-canvas changes (generating, expanding, refining, chat patches,
+ * plans, restores, loads) and SWOT edits can't be shared with a
+ * collaboration room, so they wait until collaboration stops; see
+ * useCollaboration.js
+ * @param {string} action - What was attempted, e.g. "Generating a map"
+ * @returns {boolean} True if blocked
+ */
+function blockedByCollaboration(action) {
+    if (collabStatus.value === 'off') return false;
+    alert(`${action} isn't shared with the people you're collaborating with. Stop collaborating first.`);
+    return true;
+}
+
+/**
+ * Keep the canvas in step with Hikki open in other tabs: their saves show up
+ * here, and saving over newer changes from another tab asks first
+ * Called on page load (not for shared maps, which are never saved)
+ */
+export function syncTabs() {
+    startTabSync({
+        onExternalState: state => {
+            if (viewOnly.value) return false;
+
+            // In a room on that map, the room already keeps both tabs in step
+            if (collabStatus.value === 'live' && state.serverMap?.id === collabMapId.value) return true;
+
+            if (isTabSyncHeld()) return false;
+            applySavedState(state);
+            return true;
+        }
+    });
+
+    // Take what was held once this tab is done
+    watch(isTabSyncHeld, held => {
+        if (!held) checkExternalState();
+    });
+}
+
+/**
+ * Whether another tab's save has to wait: a preview, a running AI request or
+ * a room on another map would be overwritten by it or act on a canvas it
+ * replaced. The next save of this tab then asks before overwriting it.
+ * @returns {boolean}
+ */
+function isTabSyncHeld() {
+    return Boolean(
+        patchPreview.value || isGenerating.value || isRefining.value || expandingNodeId.value ||
+        isChatting.value || isAnalyzing.value || collabStatus.value !== 'off'
+    );
+}
+
 /**
  * Export current state to JSON file
  */
@@ -147,6 +255,8 @@ export function exportState() {
  * @returns {Promise<void>}
  */
 export async function importState(file) {
+    if (blockedByCollaboration('Importing a map')) return;
+
     try {
         const state = await importDataFile(file);
 
@@ -159,6 +269,7 @@ export async function importState(file) {
         (state.territories || []).forEach(t => territories.push(t));
         (state.nodes || []).forEach(n => nodes.push(n));
         (state.edges || []).forEach(e => edges.push(e));
+        setCurrentMap(state.mapId);
 
         // Save to localStorage
         immediateSave();
@@ -170,8 +281,11 @@ export async function importState(file) {
 }
 
 // ---------- SNAPSHOT (localStorage simple) ----------
+const MAX_SNAPSHOTS = 20; // Older snapshots are dropped; server revisions keep the full history
+
 /**
- * Save current state to localStorage history
+ * Save current state to localStorage history, with a summary of what changed
+ * since the previous snapshot
  * @param {string} [name] - Optional snapshot name
  * @throws {Error} If localStorage is unavailable
  */
@@ -182,20 +296,24 @@ export function saveSnapshot(name) {
 
         // Ensure deep copy for saving the current state
         const data = {
+            mapId: mapId.value,
             territories: JSON.parse(JSON.stringify(territories)),
             nodes: JSON.parse(JSON.stringify(nodes)),
             edges: JSON.parse(JSON.stringify(edges)),
-            swot: {...swot},
+            swot: JSON.parse(JSON.stringify(swot)),
             ts: Date.now(),
             name
         };
 
+        const previous = history[history.length - 1];
         history.push({
             id: crypto.randomUUID(),
             ts: Date.now(),
             name: name || `snap-${history.length+1}`,
+            changes: describeDiff(diffMapStates(previous?.data || null, data)),
             data
         });
+        history.splice(0, history.length - MAX_SNAPSHOTS);
 
         localStorage.setItem('mvp-history', JSON.stringify(history));
     } catch (error) {
@@ -210,6 +328,8 @@ export function saveSnapshot(name) {
  * @throws {Error} If snapshot not found or invalid
  */
 export function loadSnapshot(index) {
+    if (blockedByCollaboration('Loading a saved state')) return;
+
     try {
         const raw = localStorage.getItem('mvp-history');
         if (!raw) {
@@ -231,10 +351,11 @@ export function loadSnapshot(index) {
         (snap.data.territories || []).forEach(t => territories.push(t));
         (snap.data.nodes || []).forEach(n => nodes.push(n));
         (snap.data.edges || []).forEach(e => edges.push(e));
+        setCurrentMap(snap.data.mapId);
 
         // Restore SWOT if available
         if (snap.data.swot) {
-            Object.assign(swot, snap.data.swot);
+            setSwot(snap.data.swot);
         }
     } catch (error) {
         console.error('Failed to load snapshot:', error);
@@ -328,6 +449,8 @@ function positionNodeInTerritory(node, territory, indexInTerritory) {
  * @returns {boolean} True if node was deleted successfully
  */
 export function deleteNode(nodeId) {
+    if (viewOnly.value) return false;
+
     try {
         // Find the node
         const nodeIndex = nodes.findIndex(n => n.id === nodeId);
@@ -363,6 +486,7 @@ export function deleteNode(nodeId) {
 
         // Immediate save after deletion (critical operation)
         immediateSave();
+        shareOp({ kind: 'delete', nodeId });
 
         console.log(`✅ Node deleted successfully (${edgesToRemove.length} edges removed)`);
         return true;
@@ -372,176 +496,564 @@ export function deleteNode(nodeId) {
     }
 }
 
-// ---------- STUBS for analysis & map generation ----------
-export function runAnalysis() {
-    // rule-based stub: fill swot from chatInput for demo
-    if (chatInput.value.toLowerCase().includes('ielts')) {
-      swot.strengths = 'Good listening';
-      swot.weaknesses = 'Timing in writing';
-    } else {
-      swot.strengths = 'Creative';
+// ---------- MAP GENERATION ----------
+const DEFAULT_PROMPT = 'Create a learning plan for IELTS preparation with listening, reading, writing, and speaking skills';
+
+/**
+ * Fetch the prompt templates for the sidebar picker.
+ * The picker stays hidden if the endpoint is unavailable.
+ */
+export async function loadTemplates() {
+    try {
+        const response = await fetch('/api/templates');
+        if (!response.ok) throw new Error(`Server error: ${response.status}`);
+
+        const { data } = await response.json();
+        templates.value = data.templates;
+        if (!selectedTemplate.value) selectedTemplate.value = data.default;
+    } catch (error) {
+        console.warn('⚠️ Could not load map templates:', error.message);
     }
-    alert('SWOT drafted (stub).');
 }
 
-export async function generateMap() {
-    if (isGenerating.value) {
-        console.warn('Map generation already in progress');
-        return;
+/**
+ * Convert an LLM node into a canvas node (position assigned later)
+ * @param {Object} n - MapSchema node
+ * @returns {Node}
+ */
+function toCanvasNode(n) {
+    return {
+        id: n.id || crypto.randomUUID(),
+        label: n.label,
+        type: n.type || 'concept',
+        note: '',
+        status: 'todo',
+        timestamp: Date.now()
+    };
+}
+
+/**
+ * Convert an LLM edge into a canvas edge
+ * @param {Object} e - MapSchema edge
+ * @returns {Edge}
+ */
+function toCanvasEdge(e) {
+    return {
+        id: e.id || crypto.randomUUID(),
+        source: e.source,
+        target: e.target,
+        type: e.type || 'relationship'
+    };
+}
+
+/**
+ * Convert an LLM territory into a sized canvas territory at its grid slot
+ * @param {Object} t - MapSchema territory
+ * @param {number} index - Position in the territory grid
+ * @returns {Territory}
+ */
+function toCanvasTerritory(t, index) {
+    const nodeCount = (t.nodeIds || []).length;
+
+    // Calculate dimensions based on node count
+    const dimensions = calculateTerritoryDimensions(nodeCount);
+
+    // Position territories in a grid layout
+    const col = index % TERRITORY_COLS;
+    const row = Math.floor(index / TERRITORY_COLS);
+
+    return {
+        id: t.id || crypto.randomUUID(),
+        label: t.name,
+        x: 100 + col * (dimensions.width + TERRITORY_SPACING),
+        y: 100 + row * (dimensions.height + TERRITORY_SPACING),
+        w: dimensions.width,
+        h: dimensions.height,
+        nodeIds: t.nodeIds || []
+    };
+}
+
+/**
+ * Place a node inside the territory that lists it, or at a random spot
+ * @param {Node} node - Node to position (mutated)
+ * @returns {boolean} True if the node landed in a territory
+ */
+function placeNode(node) {
+    // Find which territory this node belongs to
+    const territory = territories.find(t =>
+        t.nodeIds && t.nodeIds.includes(node.id)
+    );
+
+    if (!territory) {
+        // Fallback: random position if no territory
+        node.x = Math.random() * 800 + 100;
+        node.y = Math.random() * 600 + 100;
+        return false;
     }
 
-    try {
-        isGenerating.value = true;
-        console.log('🚀 Starting map generation...');
+    // Find index within territory
+    const indexInTerritory = territory.nodeIds.indexOf(node.id);
+
+    // Use helper function with bounds checking
+    const position = positionNodeInTerritory(node, territory, indexInTerritory);
+    node.x = position.x;
+    node.y = position.y;
+
+    // Debug: verify node is within bounds
+    const isWithinBounds =
+        node.x >= territory.x &&
+        node.x + NODE_WIDTH <= territory.x + territory.w &&
+        node.y >= territory.y &&
+        node.y + NODE_HEIGHT <= territory.y + territory.h;
+
+    if (!isWithinBounds) {
+        console.error(`❌ Node "${node.label}" STILL outside territory "${territory.label}"!`, {
+            node: { x: node.x, y: node.y },
+            territory: { x: territory.x, y: territory.y, w: territory.w, h: territory.h }
+        });
+    }
 
-        // Clear existing data
-        territories.splice(0); nodes.splice(0); edges.splice(0);
+    return true;
+}
 
-        // Call backend API to generate map using LLM (same server, relative path)
-        const response = await fetch('/api/generate', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                prompt: chatInput.value || 'Create a learning plan for IELTS preparation with listening, reading, writing, and speaking skills'
-            })
+/**
+ * Replace the canvas with a validated map and lay it out
+ * @param {Object} mapData - MapSchema-valid map from the backend
+ */
+function applyGeneratedMap(mapData) {
+    territories.splice(0); nodes.splice(0); edges.splice(0);
+
+    // LLM returns nodes WITH x,y coordinates - override them with our positioning algorithm
+    mapData.nodes.map(toCanvasNode).forEach(n => nodes.push(n));
+    mapData.edges.map(toCanvasEdge).forEach(e => edges.push(e));
+
+    // Handle territories from LLM FIRST (before positioning nodes)
+    if (mapData.territories && mapData.territories.length > 0) {
+        console.log('🗺️ Creating territories with dynamic sizing...');
+
+        mapData.territories.forEach((t, index) => {
+            const territory = toCanvasTerritory(t, index);
+            territories.push(territory);
+
+            // Debug log
+            console.log(`  📦 Territory "${territory.label}":`, {
+                nodes: territory.nodeIds.length,
+                dimensions: { w: territory.w, h: territory.h },
+                position: { x: territory.x, y: territory.y }
+            });
         });
+    }
+
+    // Position nodes INSIDE their territories
+    console.log('\n📍 Positioning nodes within territories...');
+    let nodesPositioned = 0;
+    let nodesOutside = 0;
 
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => null);
-            const errorMessage = errorData?.error || `Server error: ${response.status}`;
-            throw new Error(errorMessage);
+    nodes.forEach(node => {
+        if (placeNode(node)) {
+            nodesPositioned++;
+        } else {
+            nodesOutside++;
+            console.warn(`⚠️ Node "${node.label}" has no territory assignment`);
         }
+    });
 
-        const data = await response.json();
+    console.log(`✓ Positioned ${nodesPositioned} nodes, ${nodesOutside} outside territories`);
+}
 
-        // Check if LLM succeeded
-        if (!data.success) {
-            throw new Error(data.error || 'Map generation failed');
+/**
+ * Render streamed items onto the canvas as they arrive.
+ * Layout is provisional; the final validated map replaces it.
+ * @param {'territory'|'node'|'edge'} kind
+ * @param {Object} item - Partial MapSchema item
+ */
+function renderStreamedItem(kind, item) {
+    if (kind === 'territory') {
+        const territory = toCanvasTerritory(item, territories.length);
+        territories.push(territory);
+        // Nodes that arrived before their territory move inside it now
+        nodes
+            .filter(n => territory.nodeIds.includes(n.id))
+            .forEach(placeNode);
+    } else if (kind === 'node' && item.id && item.label) {
+        const node = toCanvasNode(item);
+        placeNode(node);
+        nodes.push(node);
+    } else if (kind === 'edge' && item.source && item.target) {
+        edges.push(toCanvasEdge(item));
+    }
+}
+
+/**
+ * Read a text/event-stream response and dispatch each event
+ * @param {Response} response - Fetch response with an SSE body
+ * @param {(event: string, data: Object) => void} onEvent
+ */
+async function readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const block = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+
+            let event = 'message';
+            let data = '';
+            block.split('\n').forEach(line => {
+                if (line.startsWith('event:')) event = line.slice(6).trim();
+                else if (line.startsWith('data:')) data += line.slice(5).trim();
+            });
+
+            if (data) onEvent(event, JSON.parse(data));
         }
+    }
+}
 
-        // Warn if fallback was used
-        if (data.metadata?.fallback) {
-            console.warn('⚠️ Using fallback map - LLM response was invalid');
-            alert('Warning: Map generation used fallback mode. Results may be limited.');
+/**
+ * Throw a readable error for a non-OK API response
+ * @param {Response} response
+ */
+async function throwResponseError(response) {
+    const errorData = await response.json().catch(() => null);
+    const errorMessage = errorData?.error?.message || errorData?.error || `Server error: ${response.status}`;
+    const error = new Error(errorMessage);
+
+    if (response.status === 429) {
+        const retryAfter = parseInt(response.headers.get('Retry-After'), 10)
+            || errorData?.error?.details?.retryAfter
+            || 60;
+        startRateLimitCountdown(retryAfter);
+        error.rateLimited = true;
+    }
+
+    throw error;
+}
+
+let rateLimitTimer = null;
+
+/**
+ * Count rateLimitSeconds down to zero, once per second
+ * @param {number} seconds - Value of the Retry-After header
+ */
+function startRateLimitCountdown(seconds) {
+    clearInterval(rateLimitTimer);
+    rateLimitSeconds.value = seconds;
+    rateLimitTimer = setInterval(() => {
+        rateLimitSeconds.value = Math.max(0, rateLimitSeconds.value - 1);
+        if (rateLimitSeconds.value === 0) clearInterval(rateLimitTimer);
+    }, 1000);
+}
+
+// ---------- CANCELLATION ----------
+let generationController = null; // Aborts the map generation in flight
+
+/**
+ * Cancel the map generation in flight. Aborting the fetch closes the
+ * connection, which makes the server stop the provider call too.
+ */
+export function cancelGeneration() {
+    if (!generationController) return;
+    console.log('🛑 Cancelling map generation...');
+    generationController.abort();
+}
+
+/**
+ * Request a map over SSE, rendering items progressively.
+ * Falls back to the blocking endpoint where streaming isn't deployed (e.g. Netlify).
+ * @param {Object} body - Generation request body
+ * @param {Object} [options]
+ * @param {boolean} [options.render=true] - Draw streamed items (only on a cleared canvas)
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<Object>} Final { success, data, metadata } payload
+ */
+async function requestMap(body, { render = true, signal } = {}) {
+    const response = await fetch('/api/generate/stream', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal
+    });
+
+    if (response.status === 404) {
+        console.log('ℹ️ Streaming endpoint unavailable, using /api/generate');
+        const blocking = await fetch('/api/generate', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+            signal
+        });
+        if (!blocking.ok) await throwResponseError(blocking);
+        return blocking.json();
+    }
+
+    if (!response.ok) await throwResponseError(response);
+
+    let result = null;
+    await readEventStream(response, (event, data) => {
+        if (event === 'done') {
+            result = data;
+        } else if (event === 'error') {
+            throw new Error(data.error?.message || 'Map generation failed');
+        } else if (render) {
+            renderStreamedItem(event, data.item);
         }
+    });
+
+    if (!result) {
+        throw new Error('Stream ended before the map was complete');
+    }
+    return result;
+}
 
-        const mapData = data.data; // Backend returns { success: true, data: mapJson }
+// ---------- GENERATION JOBS ----------
+const JOB_KEY = 'hikki-job'; // Job being polled, so a reload can pick it up again
+const JOB_POLL_MS = 1000;
 
-        // LLM returns nodes WITH x,y coordinates - override them with our positioning algorithm
-        const llmNodes = mapData.nodes.map(n => ({
-            id: n.id || crypto.randomUUID(),
-            label: n.label,
-            type: n.type || 'concept',
-            note: '',
-            status: 'todo',
-            timestamp: Date.now()
-        }));
-
-        const llmEdges = mapData.edges.map(e => ({
-            id: e.id || crypto.randomUUID(),
-            source: e.source,
-            target: e.target,
-            type: e.type || 'relationship'
-        }));
+/**
+ * Wait between polls; rejects with an AbortError when cancelled
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ */
+function pollDelay(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new DOMException('Generation cancelled', 'AbortError'));
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        if (signal?.aborted) onAbort();
+        else signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
 
-        // Add to state
-        llmNodes.forEach(n => nodes.push(n));
-        llmEdges.forEach(e => edges.push(e));
+/**
+ * Queue the generation as a server job and poll it to the end.
+ * Resolves null where the job API isn't deployed (e.g. Netlify).
+ * @param {Object} body - Generation request body
+ * @param {'replace'|'append'|'merge'} mode - Remembered for a resume after reload
+ * @param {Object} [options] - render, signal (see pollJob)
+ * @returns {Promise<Object|null>} Final { success, data, metadata } payload
+ */
+async function requestMapJob(body, mode, options = {}) {
+    const response = await fetch('/api/jobs', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal: options.signal
+    });
+
+    if (response.status === 404) {
+        console.log('ℹ️ Job API unavailable, generating in the request');
+        return null;
+    }
+    if (!response.ok) await throwResponseError(response);
+
+    const { data: job } = await response.json();
+    console.log(`📥 Generation job ${job.id.substring(0, 8)} queued`);
+    localStorage.setItem(JOB_KEY, JSON.stringify({ id: job.id, mode }));
 
-        // Handle territories from LLM FIRST (before positioning nodes)
-        if (mapData.territories && mapData.territories.length > 0) {
-            console.log('🗺️ Creating territories with dynamic sizing...');
+    return pollJob(job.id, options);
+}
 
-            mapData.territories.forEach((t, index) => {
-                const nodeCount = (t.nodeIds || []).length;
+/**
+ * Poll a generation job until it finishes, rendering its streamed items.
+ * Cancelling (signal) also cancels the job on the server.
+ * @param {string} id - Job id
+ * @param {Object} [options]
+ * @param {boolean} [options.render=true] - Draw streamed items (only on a cleared canvas)
+ * @param {AbortSignal} [options.signal] - Cancels the job
+ * @returns {Promise<Object>} Final { success, data, metadata } payload
+ */
+async function pollJob(id, { render = true, signal } = {}) {
+    let after = 0;
 
-                // Calculate dimensions based on node count
-                const dimensions = calculateTerritoryDimensions(nodeCount);
+    try {
+        while (true) {
+            const response = await fetch(`/api/jobs/${id}?after=${after}`, { signal });
+            if (!response.ok) {
+                // Finished jobs expire, and memory-stored ones are gone after a server restart
+                if (response.status === 404) localStorage.removeItem(JOB_KEY);
+                await throwResponseError(response);
+            }
 
-                // Position territories in a grid layout
-                const col = index % TERRITORY_COLS;
-                const row = Math.floor(index / TERRITORY_COLS);
+            const { data: job } = await response.json();
+            jobStatus.value = { status: job.status, position: job.position ?? null, progress: job.progress };
 
-                const territory = {
-                    id: t.id || crypto.randomUUID(),
-                    label: t.name,
-                    x: 100 + col * (dimensions.width + TERRITORY_SPACING),
-                    y: 100 + row * (dimensions.height + TERRITORY_SPACING),
-                    w: dimensions.width,
-                    h: dimensions.height,
-                    nodeIds: t.nodeIds || []
-                };
+            if (render) (job.events || []).forEach(({ kind, item }) => renderStreamedItem(kind, item));
+            after = job.nextEvent ?? after;
 
-                territories.push(territory);
+            if (job.status === 'succeeded') {
+                localStorage.removeItem(JOB_KEY);
+                return job.result;
+            }
+            if (job.status === 'failed' || job.status === 'cancelled') {
+                localStorage.removeItem(JOB_KEY);
+                throw new Error(job.error?.message || `Generation job ${job.status}`);
+            }
 
-                // Debug log
-                console.log(`  📦 Territory "${territory.label}":`, {
-                    nodes: nodeCount,
-                    dimensions: { w: dimensions.width, h: dimensions.height },
-                    position: { x: territory.x, y: territory.y }
-                });
-            });
+            await pollDelay(JOB_POLL_MS, signal);
+        }
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            localStorage.removeItem(JOB_KEY);
+            // Nobody is waiting for this map any more
+            fetch(`/api/jobs/${id}`, { method: 'DELETE', keepalive: true })
+                .catch(deleteError => console.warn('⚠️ Could not cancel the generation job:', deleteError.message));
         }
+        throw error;
+    } finally {
+        jobStatus.value = null;
+    }
+}
 
-        // Position nodes INSIDE their territories
-        console.log('\n📍 Positioning nodes within territories...');
-        let nodesPositioned = 0;
-        let nodesOutside = 0;
-
-        nodes.forEach(node => {
-            // Find which territory this node belongs to
-            const territory = territories.find(t =>
-                t.nodeIds && t.nodeIds.includes(node.id)
-            );
-
-            if (territory) {
-                // Find index within territory
-                const indexInTerritory = territory.nodeIds.indexOf(node.id);
-
-                // Use helper function with bounds checking
-                const position = positionNodeInTerritory(node, territory, indexInTerritory);
-                node.x = position.x;
-                node.y = position.y;
-
-                nodesPositioned++;
-
-                // Debug: verify node is within bounds
-                const isWithinBounds =
-                    node.x >= territory.x &&
-                    node.x + NODE_WIDTH <= territory.x + territory.w &&
-                    node.y >= territory.y &&
-                    node.y + NODE_HEIGHT <= territory.y + territory.h;
-
-                if (!isWithinBounds) {
-                    console.error(`❌ Node "${node.label}" STILL outside territory "${territory.label}"!`, {
-                        node: { x: node.x, y: node.y },
-                        territory: { x: territory.x, y: territory.y, w: territory.w, h: territory.h }
-                    });
-                }
-            } else {
-                // Fallback: random position if no territory
-                node.x = Math.random() * 800 + 100;
-                node.y = Math.random() * 600 + 100;
-                nodesOutside++;
-                console.warn(`⚠️ Node "${node.label}" has no territory assignment`);
+/**
+ * Pick up a generation job left running by a previous page load
+ * @returns {boolean} True if a job is being resumed
+ */
+export function resumeGeneration() {
+    let job = null;
+    try {
+        job = JSON.parse(localStorage.getItem(JOB_KEY));
+    } catch (error) {
+        localStorage.removeItem(JOB_KEY);
+    }
+    if (!job?.id) return false;
+
+    console.log(`🔁 Resuming generation job ${job.id.substring(0, 8)}`);
+    generateMap({ resume: job }).catch(() => {}); // Failures are already reported
+    return true;
+}
+
+/**
+ * Generate a map from the chat input (or the demo prompt)
+ * @param {Object} [options]
+ * @param {'prefer'|'bypass'|'only'} [options.cache] - Server response cache mode
+ * @param {'replace'|'append'|'merge'} [options.mode] - Defaults to generationMode
+ * @param {{ id: string, mode: string }} [options.resume] - Job to keep polling instead of starting one
+ */
+export async function generateMap(options = {}) {
+    if (isGenerating.value) {
+        console.warn('Map generation already in progress');
+        return;
+    }
+    if (blockedByCollaboration('Generating a map')) return;
+    if (rateLimitSeconds.value > 0) {
+        console.warn(`Rate limited, try again in ${rateLimitSeconds.value}s`);
+        return;
+    }
+
+    // Appending to or merging into an empty canvas is the same as replacing it
+    const mode = options.resume?.mode
+        || (nodes.length > 0 ? (options.mode || generationMode.value) : 'replace');
+    const replacing = mode === 'replace';
+    let previousCanvas = null; // Restored if a replacing generation is cancelled
+
+    try {
+        isGenerating.value = true;
+        generationController = new AbortController();
+        console.log(`🚀 Starting map generation (${mode})...`);
+
+        // Drop any pending patch; when replacing, clear the canvas so streamed items render as they arrive
+        rejectPatch();
+        if (replacing) {
+            previousCanvas = JSON.parse(JSON.stringify({ territories, nodes, edges }));
+            territories.splice(0); nodes.splice(0); edges.splice(0);
+        }
+
+        // Call backend API to generate map using LLM (same server, relative path):
+        // as a polled job, or in one streamed request where jobs aren't available
+        const body = {
+            prompt: chatInput.value || DEFAULT_PROMPT,
+            ...(selectedTemplate.value ? { template: selectedTemplate.value } : {}),
+            ...(options.cache ? { cache: options.cache } : {})
+        };
+        const request = { render: replacing, signal: generationController.signal };
+        const data = options.resume
+            ? await pollJob(options.resume.id, request)
+            : await requestMapJob(body, mode, request) || await requestMap(body, request);
+
+        // Check if LLM succeeded
+        if (!data.success) {
+            throw new Error(data.error || 'Map generation failed');
+        }
+
+        if (data.metadata?.cached) {
+            console.log('💾 Served from the server response cache');
+        }
+
+        // Warn if fallback was used
+        if (data.metadata?.fallback) {
+            console.warn(`⚠️ Served by fallback provider "${data.metadata.provider}":`, data.metadata.warning);
+            if (data.metadata.provider === 'keyword') {
+                alert('Warning: Map generation used fallback mode. Results may be limited.');
             }
-        });
+        }
 
-        console.log(`✓ Positioned ${nodesPositioned} nodes, ${nodesOutside} outside territories`);
+        // Full schema validation before committing the final layout,
+        // using the node/edge types of the template that produced the map
+        const validation = validateMap(data.data, data.metadata?.template);
+        if (!validation.success) {
+            throw new Error(`Invalid map structure: ${JSON.stringify(validation.error)}`);
+        }
+
+        // Dangling edges or shared territory members would break the layout
+        const integrity = checkMapIntegrity(validation.data, { autoFix: true });
+        if (integrity.issues.length > 0) {
+            console.warn(`🩹 Fixed ${integrity.issues.filter(i => i.fixed).length} map integrity issue(s):`, integrity.issues);
+        }
+
+        if (replacing) {
+            applyGeneratedMap(integrity.map);
+            setCurrentMap(); // A generated map starts a new conversation
+        } else {
+            const resolved = resolveIncomingMap(toMapJson(), integrity.map, { mode });
+            if (resolved.issues.length > 0) {
+                console.warn(`🩹 Adjusted the new map to fit the current one:`, resolved.issues);
+            }
+            addIncomingMap(resolved);
+            console.log(`🔗 ${mode === 'merge' ? 'Merged' : 'Appended'}: ${resolved.nodes.length} new nodes, ${Object.keys(resolved.matches).length} matched existing ones`);
+        }
 
-        saveSnapshot('auto-generate');
+        saveSnapshot(replacing ? 'auto-generate' : `auto-${mode}`);
         immediateSave(); // Immediate save after successful generation
         console.log('✅ Map generation complete!');
         console.log(`   → ${territories.length} territories`);
         console.log(`   → ${nodes.length} nodes`);
         console.log(`   → ${edges.length} edges`);
     } catch (error) {
+        // Drop any partially streamed items and put back the map we cleared;
+        // appending and merging leave the canvas as it was
+        if (replacing && previousCanvas) {
+            territories.splice(0, territories.length, ...previousCanvas.territories);
+            nodes.splice(0, nodes.length, ...previousCanvas.nodes);
+            edges.splice(0, edges.length, ...previousCanvas.edges);
+        }
+
+        // Cancelled on purpose: no alert
+        if (error.name === 'AbortError') {
+            console.log('🛑 Map generation cancelled');
+            return;
+        }
+
         console.error('❌ Map generation failed:', error);
 
+        // The sidebar shows a countdown instead of an alert
+        if (error.rateLimited) throw error;
+
         // Show user-friendly error message
         let userMessage = 'Failed to generate map. ';
 
-        if (error.message.includes('Rate limit') || error.message.includes('busy')) {
+        if (error.message.includes('busy')) {
             userMessage += 'The AI service is currently busy. Please wait a moment and try again.';
         } else if (error.message.includes('API key') || error.message.includes('not configured')) {
             userMessage += 'API configuration error. Please check your API keys.';
@@ -557,6 +1069,1324 @@ export async function generateMap() {
         throw error;
     } finally {
         isGenerating.value = false;
+        generationController = null;
+    }
+}
+
+// ---------- NODE EXPANSION ----------
+/**
+ * Convert the canvas back into a MapSchema map for the API
+ * @returns {Object} MapSchema-shaped map
+ */
+function toMapJson() {
+    return {
+        territories: territories.map(t => ({ id: t.id, name: t.label, nodeIds: [...(t.nodeIds || [])] })),
+        nodes: nodes.map(n => ({
+            id: n.id,
+            label: n.label,
+            x: n.x ?? 0,
+            y: n.y ?? 0,
+            ...(n.type ? { type: n.type } : {})
+        })),
+        edges: edges.map(e => ({
+            id: e.id,
+            source: e.source,
+            target: e.target,
+            ...(e.type ? { type: e.type } : {})
+        }))
+    };
+}
+
+/**
+ * Whether two rectangles overlap, keeping a margin between them
+ * @param {{ x: number, y: number, w: number, h: number }} a
+ * @param {{ x: number, y: number, w: number, h: number }} b
+ * @param {number} [margin=0]
+ * @returns {boolean}
+ */
+function rectsOverlap(a, b, margin = 0) {
+    return a.x < b.x + b.w + margin && b.x < a.x + a.w + margin
+        && a.y < b.y + b.h + margin && b.y < a.y + a.h + margin;
+}
+
+/**
+ * Find a free node slot on rings around an anchor node, avoiding other
+ * nodes and any territory except the one the node will join
+ * @param {Node} anchor - Node to stay close to
+ * @param {Territory|null} home - Territory the new node may overlap
+ * @returns {{ x: number, y: number }}
+ */
+function findFreeSpotNear(anchor, home) {
+    const isFree = (spot) =>
+        !nodes.some(n => rectsOverlap(spot, { x: n.x, y: n.y, w: NODE_WIDTH, h: NODE_HEIGHT }, NODE_SPACING_X))
+        && !territories.some(t => t !== home && rectsOverlap(spot, t));
+
+    for (let ring = 1; ring <= 4; ring++) {
+        const steps = ring * 8;
+        for (let i = 0; i < steps; i++) {
+            const angle = (i / steps) * 2 * Math.PI;
+            const spot = {
+                x: Math.round(anchor.x + Math.cos(angle) * ring * (NODE_WIDTH + NODE_SPACING_X)),
+                y: Math.round(anchor.y + Math.sin(angle) * ring * (NODE_HEIGHT + NODE_SPACING_Y) * 1.5),
+                w: NODE_WIDTH,
+                h: NODE_HEIGHT
+            };
+            if (isFree(spot)) return { x: spot.x, y: spot.y };
+        }
+    }
+
+    // Crowded neighbourhood: stack below the anchor
+    return { x: anchor.x, y: Math.max(...nodes.map(n => n.y)) + NODE_HEIGHT + NODE_SPACING_Y };
+}
+
+/**
+ * Grow a territory so it still contains all of its nodes (never shrinks)
+ * @param {Territory} territory
+ */
+function fitTerritoryToNodes(territory) {
+    const members = nodes.filter(n => territory.nodeIds.includes(n.id));
+    if (members.length === 0) return;
+
+    const left = Math.min(territory.x, ...members.map(n => n.x - TERRITORY_PADDING));
+    const top = Math.min(territory.y, ...members.map(n => n.y - TERRITORY_HEADER - TERRITORY_PADDING));
+    const right = Math.max(territory.x + territory.w, ...members.map(n => n.x + NODE_WIDTH + TERRITORY_PADDING));
+    const bottom = Math.max(territory.y + territory.h, ...members.map(n => n.y + NODE_HEIGHT + TERRITORY_PADDING));
+
+    Object.assign(territory, { x: left, y: top, w: right - left, h: bottom - top });
+}
+
+/**
+ * Put a new territory to the right of an anchor rectangle, sliding down
+ * past any territory already occupying the spot
+ * @param {Territory} territory - Sized territory to position (mutated)
+ * @param {{ x: number, y: number, w: number, h: number }} anchor
+ */
+function placeTerritoryBeside(territory, anchor) {
+    territory.x = anchor.x + anchor.w + TERRITORY_SPACING;
+    territory.y = anchor.y;
+
+    let blocker;
+    while ((blocker = territories.find(t => t !== territory && rectsOverlap(territory, t, TERRITORY_SPACING)))) {
+        territory.y = blocker.y + blocker.h + TERRITORY_SPACING;
+    }
+}
+
+/**
+ * Add an expansion from /api/expand next to its parent node.
+ * A new territory is opened beside the parent's territory; otherwise the
+ * children ring the parent and join its territory, which grows to fit.
+ * @param {Node} parent - Expanded node
+ * @param {Object} expansion - { nodes, edges, territory?, territoryId }
+ */
+function mergeExpansion(parent, expansion) {
+    const newNodes = expansion.nodes.map(toCanvasNode);
+    const parentTerritory = territories.find(t => t.nodeIds?.includes(parent.id)) || null;
+
+    if (expansion.territory) {
+        const territory = toCanvasTerritory(expansion.territory, territories.length);
+        placeTerritoryBeside(territory, parentTerritory
+            || { x: parent.x, y: parent.y - TERRITORY_HEADER, w: NODE_WIDTH, h: NODE_HEIGHT });
+
+        territories.push(territory);
+        newNodes.forEach(node => {
+            placeNode(node);
+            nodes.push(node);
+        });
+    } else {
+        const home = territories.find(t => t.id === expansion.territoryId) || null;
+        newNodes.forEach(node => {
+            Object.assign(node, findFreeSpotNear(parent, home));
+            nodes.push(node);
+            if (home) home.nodeIds.push(node.id);
+        });
+        if (home) fitTerritoryToNodes(home);
+    }
+
+    expansion.edges.map(toCanvasEdge).forEach(e => edges.push(e));
+}
+
+/**
+ * Bounding box of everything on the canvas
+ * @returns {{ x: number, y: number, w: number, h: number }|null} Null on an empty canvas
+ */
+function layoutBounds() {
+    const rects = [
+        ...territories,
+        ...nodes.map(n => ({ x: n.x, y: n.y, w: NODE_WIDTH, h: NODE_HEIGHT }))
+    ];
+    if (rects.length === 0) return null;
+
+    const left = Math.min(...rects.map(r => r.x));
+    const top = Math.min(...rects.map(r => r.y));
+    const right = Math.max(...rects.map(r => r.x + r.w));
+    const bottom = Math.max(...rects.map(r => r.y + r.h));
+    return { x: left, y: top, w: right - left, h: bottom - top };
+}
+
+/**
+ * Add a map resolved by resolveIncomingMap() to the canvas without moving
+ * anything already there. New territories keep the usual grid, shifted to
+ * the right of the current layout; nodes joining existing territories (or
+ * none) are placed next to a connected node, and those territories grow.
+ * @param {Object} resolved - { territories, nodes, edges, joins }
+ */
+function addIncomingMap(resolved) {
+    const bounds = layoutBounds();
+
+    const newTerritories = resolved.territories.map(toCanvasTerritory);
+    if (bounds && newTerritories.length > 0) {
+        const dx = bounds.x + bounds.w + TERRITORY_SPACING - Math.min(...newTerritories.map(t => t.x));
+        const dy = bounds.y - Math.min(...newTerritories.map(t => t.y));
+        newTerritories.forEach(t => {
+            t.x += dx;
+            t.y += dy;
+        });
+    }
+    newTerritories.forEach(t => territories.push(t));
+    const isNew = (territory) => newTerritories.some(t => t.id === territory.id);
+
+    Object.entries(resolved.joins).forEach(([territoryId, nodeIds]) => {
+        territories.find(t => t.id === territoryId).nodeIds.push(...nodeIds);
+    });
+    resolved.edges.map(toCanvasEdge).forEach(e => edges.push(e));
+
+    // Nodes are placed one at a time so later ones avoid earlier ones
+    const isPlaced = (n) => n && n.x !== undefined;
+    resolved.nodes.map(toCanvasNode).forEach(node => {
+        const home = territories.find(t => t.nodeIds?.includes(node.id)) || null;
+
+        if (home && isNew(home)) {
+            placeNode(node);
+        } else {
+            const neighbour = edges
+                .filter(e => e.source === node.id || e.target === node.id)
+                .map(e => nodes.find(n => n.id === (e.source === node.id ? e.target : e.source)))
+                .find(isPlaced)
+                || home?.nodeIds.map(id => nodes.find(n => n.id === id)).find(isPlaced);
+
+            // Nothing to sit next to: start from the territory's corner, or below the layout
+            const anchor = neighbour
+                || (home && { x: home.x + TERRITORY_PADDING, y: home.y + TERRITORY_HEADER + TERRITORY_PADDING })
+                || { x: bounds.x, y: bounds.y + bounds.h + NODE_SPACING_Y };
+            Object.assign(node, findFreeSpotNear(anchor, home));
+        }
+
+        nodes.push(node);
+        if (home && !isNew(home)) fitTerritoryToNodes(home);
+    });
+}
+
+/**
+ * Grow a node with AI-suggested children, merged next to it on the canvas
+ * @param {string} nodeId - Node to expand
+ * @param {Object} [options]
+ * @param {number} [options.count] - Number of children to ask for (1-12)
+ * @param {string} [options.instruction] - Extra guidance for the model
+ * @returns {Promise<number>} Number of nodes added
+ */
+export async function expandNode(nodeId, options = {}) {
+    if (expandingNodeId.value || isGenerating.value) {
+        console.warn('An AI request is already in progress');
+        return 0;
+    }
+    if (blockedByCollaboration('Expanding a node')) return 0;
+    if (patchPreview.value) {
+        console.warn('Apply or discard the pending change first');
+        return 0;
+    }
+    if (rateLimitSeconds.value > 0) {
+        console.warn(`Rate limited, try again in ${rateLimitSeconds.value}s`);
+        return 0;
+    }
+
+    const parent = nodes.find(n => n.id === nodeId);
+    if (!parent) {
+        console.warn(`Node ${nodeId} not found`);
+        return 0;
+    }
+
+    try {
+        expandingNodeId.value = nodeId;
+        console.log(`🌱 Expanding "${parent.label}"...`);
+
+        const response = await fetch('/api/expand', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                map: toMapJson(),
+                nodeId,
+                ...(selectedTemplate.value ? { template: selectedTemplate.value } : {}),
+                ...options
+            })
+        });
+        if (!response.ok) await throwResponseError(response);
+
+        const { data, metadata } = await response.json();
+        if (metadata?.issues?.length > 0) {
+            console.warn('🩹 Expansion adjusted to fit the map:', metadata.issues);
+        }
+        if (data.nodes.length === 0) {
+            alert(`The AI found nothing new to add to "${parent.label}".`);
+            return 0;
+        }
+
+        mergeExpansion(parent, data);
+
+        saveSnapshot('auto-expand');
+        immediateSave();
+        console.log(`✅ Added ${data.nodes.length} nodes and ${data.edges.length} edges`);
+        return data.nodes.length;
+    } catch (error) {
+        console.error('❌ Node expansion failed:', error);
+
+        // The sidebar shows a countdown instead of an alert
+        if (!error.rateLimited) {
+            alert(`Failed to expand "${parent.label}": ${error.message}`);
+        }
+        return 0;
+    } finally {
+        expandingNodeId.value = null;
+    }
+}
+
+// ---------- MAP REFINEMENT (PATCH PREVIEW) ----------
+let prePatchState = null; // Canvas before the previewed patch, restored on discard
+
+/**
+ * Remove every item from a reactive array that matches a predicate
+ * @param {Array} list
+ * @param {(item: Object) => boolean} predicate
+ */
+function spliceWhere(list, predicate) {
+    for (let i = list.length - 1; i >= 0; i--) {
+        if (predicate(list[i])) list.splice(i, 1);
+    }
+}
+
+/**
+ * Apply a patch's additions and updates to the canvas and lay out what
+ * moved. Removals are left in place so the preview can show them.
+ * @param {Object[]} operations - Patch operations, already checked by the server
+ */
+function applyPatchToCanvas(operations) {
+    const pending = new Set(); // Nodes that need a (new) position
+    const newTerritories = new Set();
+
+    // One territory per node
+    const assignNode = (nodeId, territoryId) => {
+        territories.forEach(t => {
+            if (t.nodeIds?.includes(nodeId)) t.nodeIds.splice(t.nodeIds.indexOf(nodeId), 1);
+        });
+        territories.find(t => t.id === territoryId)?.nodeIds.push(nodeId);
+        pending.add(nodeId);
+    };
+
+    operations.forEach(({ op, kind, id, fields = {} }) => {
+        if (op === 'remove') return;
+
+        if (kind === 'node') {
+            if (op === 'add') {
+                nodes.push(toCanvasNode({ id, label: fields.label, type: fields.type }));
+                pending.add(id);
+            } else {
+                const node = nodes.find(n => n.id === id);
+                if (fields.label !== undefined) node.label = fields.label;
+                if (fields.type !== undefined) node.type = fields.type;
+            }
+            if (fields.territoryId !== undefined) assignNode(id, fields.territoryId);
+        } else if (kind === 'edge') {
+            if (op === 'add') {
+                edges.push(toCanvasEdge({ id, source: fields.source, target: fields.target, type: fields.type }));
+            } else {
+                const edge = edges.find(e => e.id === id);
+                ['source', 'target', 'type'].forEach(key => {
+                    if (fields[key] !== undefined) edge[key] = fields[key];
+                });
+            }
+        } else {
+            let territory = territories.find(t => t.id === id);
+            if (op === 'add') {
+                // Sized for its members, next to where the first of them lives now
+                territory = toCanvasTerritory({ id, name: fields.name, nodeIds: fields.nodeIds || [] }, territories.length);
+                const anchor = territories.find(t => t.nodeIds?.includes(fields.nodeIds?.[0])) || territories[territories.length - 1];
+                if (anchor) placeTerritoryBeside(territory, anchor);
+                territory.nodeIds = [];
+                territories.push(territory);
+                newTerritories.add(id);
+            } else if (fields.name !== undefined) {
+                territory.label = fields.name;
+            }
+
+            if (fields.nodeIds) {
+                const kept = new Set(fields.nodeIds);
+                territory.nodeIds.filter(nodeId => !kept.has(nodeId)).forEach(nodeId => assignNode(nodeId, null));
+                fields.nodeIds
+                    .filter(nodeId => !territory.nodeIds.includes(nodeId))
+                    .forEach(nodeId => assignNode(nodeId, id));
+            }
+        }
+    });
+
+    // Lay out: grid slots in new territories, otherwise next to a neighbour
+    pending.forEach(nodeId => {
+        const node = nodes.find(n => n.id === nodeId);
+        const home = territories.find(t => t.nodeIds?.includes(nodeId)) || null;
+        const isPlaced = (n) => n && n.id !== nodeId && !pending.has(n.id) && n.x !== undefined;
+
+        if (home && newTerritories.has(home.id)) {
+            placeNode(node);
+        } else {
+            const neighbour = edges
+                .filter(e => e.source === nodeId || e.target === nodeId)
+                .map(e => nodes.find(n => n.id === (e.source === nodeId ? e.target : e.source)))
+                .find(isPlaced)
+                || home?.nodeIds.map(id => nodes.find(n => n.id === id)).find(isPlaced);
+
+            if (neighbour) {
+                Object.assign(node, findFreeSpotNear(neighbour, home));
+            } else {
+                placeNode(node);
+            }
+            if (home) fitTerritoryToNodes(home);
+        }
+        pending.delete(nodeId);
+    });
+}
+
+/**
+ * Drop everything a patch removes (and edges/memberships of removed nodes)
+ * @param {Object} changes - describePatch() result
+ */
+function removePatchedItems(changes) {
+    const removedNodes = new Set(changes.nodes.removed);
+
+    spliceWhere(nodes, n => removedNodes.has(n.id));
+    spliceWhere(edges, e => changes.edges.removed.includes(e.id) || removedNodes.has(e.source) || removedNodes.has(e.target));
+    spliceWhere(territories, t => changes.territories.removed.includes(t.id));
+    territories.forEach(t => spliceWhere(t.nodeIds || [], id => removedNodes.has(id)));
+}
+
+/**
+ * Show a patch on the canvas without committing it: additions and updates
+ * are drawn in place, removals stay visible until the patch is applied
+ * @param {{ summary?: string, operations: Object[] }} patch
+ * @param {string} instruction - Request that produced the patch
+ */
+function startPatchPreview(patch, instruction) {
+    const changes = describePatch(toMapJson(), patch);
+    prePatchState = JSON.parse(JSON.stringify({ territories, nodes, edges }));
+
+    applyPatchToCanvas(patch.operations);
+    patchPreview.value = {
+        instruction,
+        summary: patch.summary || '',
+        operations: patch.operations,
+        changes
+    };
+}
+
+/**
+ * How the pending patch changes an item, for canvas highlighting
+ * @param {'nodes'|'edges'|'territories'} kind
+ * @param {string} id
+ * @returns {'added'|'updated'|'removed'|null}
+ */
+export function patchChange(kind, id) {
+    const changes = patchPreview.value?.changes[kind];
+    if (!changes) return null;
+    if (changes.removed.includes(id)) return 'removed';
+    if (changes.added.includes(id)) return 'added';
+    if (changes.updated.includes(id)) return 'updated';
+    return null;
+}
+
+/**
+ * Commit the previewed patch: drop what it removes and save
+ */
+export function acceptPatch() {
+    if (!patchPreview.value) return;
+    if (blockedByCollaboration('Applying a refine change')) return;
+
+    removePatchedItems(patchPreview.value.changes);
+
+    console.log(`✅ Applied patch: ${patchPreview.value.summary || patchPreview.value.instruction}`);
+    patchPreview.value = null;
+    prePatchState = null;
+    refineInput.value = '';
+
+    saveSnapshot('auto-refine');
+    immediateSave();
+}
+
+/**
+ * Discard the previewed patch and restore the canvas as it was
+ */
+export function rejectPatch() {
+    if (!prePatchState) return;
+
+    territories.splice(0, territories.length, ...prePatchState.territories);
+    nodes.splice(0, nodes.length, ...prePatchState.nodes);
+    edges.splice(0, edges.length, ...prePatchState.edges);
+
+    console.log('↩️ Discarded patch preview');
+    patchPreview.value = null;
+    prePatchState = null;
+}
+
+/**
+ * Ask for a change to the current map ("remove everything about vocabulary")
+ * and preview the resulting patch
+ * @param {string} [instruction] - Defaults to the refine input
+ */
+export async function refineMap(instruction = refineInput.value) {
+    if (!instruction.trim() || nodes.length === 0) return;
+    if (isRefining.value || isGenerating.value || expandingNodeId.value) {
+        console.warn('An AI request is already in progress');
+        return;
+    }
+    if (blockedByCollaboration('Refining the map')) return;
+    if (patchPreview.value) {
+        console.warn('Apply or discard the pending change first');
+        return;
+    }
+    if (rateLimitSeconds.value > 0) {
+        console.warn(`Rate limited, try again in ${rateLimitSeconds.value}s`);
+        return;
+    }
+
+    try {
+        isRefining.value = true;
+        console.log(`✏️ Refining map: "${instruction}"`);
+
+        const response = await fetch('/api/refine', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                map: toMapJson(),
+                instruction,
+                ...(selectedTemplate.value ? { template: selectedTemplate.value } : {})
+            })
+        });
+        if (!response.ok) await throwResponseError(response);
+
+        const { data, metadata } = await response.json();
+        if (metadata?.issues?.length > 0) {
+            console.warn('⚠️ Patch fields ignored:', metadata.issues);
+        }
+        if (data.operations.length === 0) {
+            alert('The AI found nothing to change for that request.');
+            return;
+        }
+
+        startPatchPreview(data, instruction);
+    } catch (error) {
+        console.error('❌ Map refinement failed:', error);
+
+        // The sidebar shows a countdown instead of an alert
+        if (!error.rateLimited) {
+            alert(`Failed to refine map: ${error.message}`);
+        }
+    } finally {
+        isRefining.value = false;
+    }
+}
+
+// ---------- MAP CHAT ----------
+const CHAT_KEY_PREFIX = 'hikki-chat:';
+const CHAT_HISTORY_TURNS = 20; // Earlier messages sent with each request
+
+/**
+ * Switch to another map id and load its chat transcript
+ * @param {string} [id] - Map id; a new one is created when missing
+ */
+function setCurrentMap(id) {
+    mapId.value = id || crypto.randomUUID();
+    chatDraft.value = '';
+
+    try {
+        const raw = localStorage.getItem(CHAT_KEY_PREFIX + mapId.value);
+        chatMessages.value = raw ? JSON.parse(raw) : [];
+    } catch (error) {
+        console.warn('⚠️ Could not load chat transcript:', error.message);
+        chatMessages.value = [];
+    }
+}
+
+/**
+ * Start a fresh map (new id, empty transcript), e.g. after a reset
+ */
+export function startNewMap() {
+    setCurrentMap();
+}
+
+function saveChatTranscript() {
+    try {
+        localStorage.setItem(CHAT_KEY_PREFIX + mapId.value, JSON.stringify(chatMessages.value));
+    } catch (error) {
+        console.warn('⚠️ Could not save chat transcript:', error.message);
+    }
+}
+
+/**
+ * Send the chat draft with the current map and earlier turns. The reply
+ * (and any proposed patch) is appended to the transcript.
+ */
+export async function sendChatMessage() {
+    const message = chatDraft.value.trim();
+    if (!message) return;
+    if (isChatting.value || isGenerating.value || isRefining.value || expandingNodeId.value) {
+        console.warn('An AI request is already in progress');
+        return;
+    }
+    if (rateLimitSeconds.value > 0) {
+        console.warn(`Rate limited, try again in ${rateLimitSeconds.value}s`);
+        return;
+    }
+    if (!mapId.value) setCurrentMap();
+
+    const history = chatMessages.value
+        .filter(m => !m.error)
+        .slice(-CHAT_HISTORY_TURNS)
+        .map(({ role, content }) => ({ role, content }));
+
+    chatMessages.value.push({ id: crypto.randomUUID(), role: 'user', content: message, ts: Date.now() });
+    chatDraft.value = '';
+    saveChatTranscript();
+
+    try {
+        isChatting.value = true;
+
+        const response = await fetch('/api/chat', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                map: toMapJson(),
+                message,
+                history,
+                ...(selectedTemplate.value ? { template: selectedTemplate.value } : {})
+            })
+        });
+        if (!response.ok) await throwResponseError(response);
+
+        const { data } = await response.json();
+        chatMessages.value.push({
+            id: crypto.randomUUID(),
+            role: 'assistant',
+            content: data.reply,
+            ts: Date.now(),
+            ...(data.patch ? { patch: data.patch, patchStatus: 'proposed' } : {})
+        });
+    } catch (error) {
+        console.error('❌ Chat request failed:', error);
+
+        // Failed turns stay visible but aren't sent back as history
+        chatMessages.value.push({
+            id: crypto.randomUUID(),
+            role: 'assistant',
+            content: error.rateLimited
+                ? `Rate limit reached — try again in ${rateLimitSeconds.value}s.`
+                : `Sorry, that didn't work: ${error.message}`,
+            ts: Date.now(),
+            error: true
+        });
+    } finally {
+        isChatting.value = false;
+        saveChatTranscript();
+    }
+}
+
+/**
+ * Apply the patch proposed in a chat message. The map may have changed
+ * since the reply, so the patch is re-checked first; one that no longer
+ * fits is marked stale instead of half-applied.
+ * @param {string} messageId
+ * @returns {boolean} True if the patch was applied
+ */
+export function acceptChatPatch(messageId) {
+    const message = chatMessages.value.find(m => m.id === messageId);
+    if (!message?.patch || message.patchStatus !== 'proposed') return false;
+    if (blockedByCollaboration('Applying a chat change')) return false;
+    if (patchPreview.value) {
+        alert('Apply or discard the pending refine change first.');
+        return false;
+    }
+
+    const current = toMapJson();
+    const { issues } = applyPatch(current, message.patch);
+    const errors = issues.filter(issue => issue.level === 'error');
+    if (errors.length > 0) {
+        console.warn('⚠️ Chat patch no longer applies:', errors);
+        message.patchStatus = 'stale';
+        saveChatTranscript();
+        return false;
+    }
+
+    applyPatchToCanvas(message.patch.operations);
+    removePatchedItems(describePatch(current, message.patch));
+
+    message.patchStatus = 'accepted';
+    saveChatTranscript();
+    saveSnapshot('auto-chat');
+    immediateSave();
+    console.log(`✅ Applied chat patch: ${message.patch.summary || `${message.patch.operations.length} operation(s)`}`);
+    return true;
+}
+
+/**
+ * Decline the patch proposed in a chat message
+ * @param {string} messageId
+ */
+export function rejectChatPatch(messageId) {
+    const message = chatMessages.value.find(m => m.id === messageId);
+    if (!message?.patch || message.patchStatus !== 'proposed') return;
+
+    message.patchStatus = 'rejected';
+    saveChatTranscript();
+}
+
+/**
+ * Forget the current map's conversation
+ */
+export function clearChat() {
+    chatMessages.value = [];
+    localStorage.removeItem(CHAT_KEY_PREFIX + mapId.value);
+}
+
+// ---------- SWOT ANALYSIS ----------
+const SWOT_QUADRANTS = ['strengths', 'weaknesses', 'opportunities', 'threats'];
+
+/**
+ * Replace the SWOT panel contents. Snapshots from before item lists held
+ * one free-text string per quadrant; each line becomes an item.
+ * @param {Object} data - { strengths, weaknesses, opportunities, threats }
+ */
+function setSwot(data) {
+    highlightedSwotItem.value = null;
+    SWOT_QUADRANTS.forEach(quadrant => {
+        const value = data?.[quadrant];
+        swot[quadrant] = typeof value === 'string'
+            ? value.split('\n').map(line => line.trim()).filter(Boolean).map(text => ({ text, nodeIds: [] }))
+            : (value || []).map(item => ({ text: item.text, nodeIds: [...(item.nodeIds || [])] }));
+    });
+}
+
+/**
+ * Empty every SWOT quadrant
+ */
+export function clearSwot() {
+    if (blockedByCollaboration('Editing the SWOT')) return;
+    setSwot({});
+    autoSave();
+}
+
+/**
+ * Add a hand-written SWOT item (not linked to any node)
+ * @param {'strengths'|'weaknesses'|'opportunities'|'threats'} quadrant
+ * @param {string} text
+ */
+export function addSwotItem(quadrant, text) {
+    if (!text.trim() || blockedByCollaboration('Editing the SWOT')) return;
+    swot[quadrant].push({ text: text.trim(), nodeIds: [] });
+    autoSave();
+}
+
+/**
+ * Remove a SWOT item
+ * @param {'strengths'|'weaknesses'|'opportunities'|'threats'} quadrant
+ * @param {number} index
+ */
+export function removeSwotItem(quadrant, index) {
+    if (blockedByCollaboration('Editing the SWOT')) return;
+    if (highlightedSwotItem.value === swot[quadrant][index]) highlightedSwotItem.value = null;
+    swot[quadrant].splice(index, 1);
+    autoSave();
+}
+
+/**
+ * Highlight the nodes a SWOT item refers to; selecting it again clears it
+ * @param {SwotItem} item
+ */
+export function highlightSwotItem(item) {
+    highlightedSwotItem.value = highlightedSwotItem.value === item ? null : item;
+}
+
+/**
+ * Whether a node is linked to the highlighted SWOT item
+ * @param {string} nodeId
+ * @returns {boolean}
+ */
+export function isSwotHighlighted(nodeId) {
+    return highlightedSwotItem.value?.nodeIds.includes(nodeId) || false;
+}
+
+/**
+ * Fill the SWOT panel from the chat input and, if there is one, the
+ * current map. Items link to the nodes they are about.
+ * @returns {Promise<boolean>} True if the panel was filled
+ */
+export async function runAnalysis() {
+    const prompt = chatInput.value.trim();
+    if (!prompt && nodes.length === 0) {
+        alert('Describe your situation or generate a map first.');
+        return false;
+    }
+    if (blockedByCollaboration('Analyzing into the SWOT')) return false;
+    if (isAnalyzing.value || isGenerating.value) {
+        console.warn('An AI request is already in progress');
+        return false;
+    }
+    if (rateLimitSeconds.value > 0) {
+        console.warn(`Rate limited, try again in ${rateLimitSeconds.value}s`);
+        return false;
+    }
+
+    try {
+        isAnalyzing.value = true;
+        console.log('🧭 Running SWOT analysis...');
+
+        const response = await fetch('/api/analyze', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                ...(prompt ? { prompt } : {}),
+                ...(nodes.length > 0 ? { map: toMapJson() } : {}),
+                ...(selectedTemplate.value ? { template: selectedTemplate.value } : {})
+            })
+        });
+        if (!response.ok) await throwResponseError(response);
+
+        const { data, metadata } = await response.json();
+        if (metadata?.issues?.length > 0) {
+            console.warn('⚠️ SWOT items referenced unknown nodes:', metadata.issues);
+        }
+
+        setSwot(data);
+        autoSave();
+        console.log(`✅ SWOT analysis complete (${SWOT_QUADRANTS.map(q => `${swot[q].length} ${q}`).join(', ')})`);
+        return true;
+    } catch (error) {
+        console.error('❌ SWOT analysis failed:', error);
+
+        // The sidebar shows a countdown instead of an alert
+        if (!error.rateLimited) {
+            alert(`Failed to analyze: ${error.message}`);
+        }
+        return false;
+    } finally {
+        isAnalyzing.value = false;
+    }
+}
+
+/**
+ * Replace the canvas with a plan built from the SWOT items: action
+ * territories with dependency edges. The server uses an LLM when one is
+ * available; when the server can't be reached the items are converted
+ * line by line here. Items are then relinked to the nodes built from them.
+ * @returns {Promise<boolean>} True if the plan was built
+ */
+export async function planFromSwot() {
+    if (!SWOT_QUADRANTS.some(quadrant => swot[quadrant].length > 0)) {
+        alert('Add or analyze some SWOT items first.');
+        return false;
+    }
+    if (blockedByCollaboration('Turning the SWOT into a plan')) return false;
+    if (isGenerating.value || isAnalyzing.value) {
+        console.warn('An AI request is already in progress');
+        return false;
+    }
+    if (rateLimitSeconds.value > 0) {
+        console.warn(`Rate limited, try again in ${rateLimitSeconds.value}s`);
+        return false;
+    }
+
+    const vocabulary = templates.value.find(t => t.id === selectedTemplate.value);
+
+    try {
+        isGenerating.value = true;
+        generationController = new AbortController();
+        console.log('📋 Turning SWOT into a plan...');
+
+        let map;
+        let template = vocabulary;
+        try {
+            const response = await fetch('/api/plan', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    swot: JSON.parse(JSON.stringify(swot)),
+                    ...(chatInput.value.trim() ? { prompt: chatInput.value.trim() } : {}),
+                    ...(selectedTemplate.value ? { template: selectedTemplate.value } : {})
+                }),
+                signal: generationController.signal
+            });
+            if (!response.ok) await throwResponseError(response);
+
+            const { data, metadata } = await response.json();
+            if (metadata?.provider === 'keyword') {
+                console.log('ℹ️ No LLM available; the plan was converted line by line');
+            }
+            map = data;
+            template = metadata?.template;
+        } catch (error) {
+            // fetch() only throws TypeError when the server can't be reached
+            if (!(error instanceof TypeError)) throw error;
+            console.warn('⚠️ Plan service unreachable, converting line by line:', error.message);
+            map = swotToPlan(swot, vocabulary);
+        }
+
+        const validation = validateMap(map, template);
+        if (!validation.success) {
+            throw new Error(`Invalid map structure: ${JSON.stringify(validation.error)}`);
+        }
+        const integrity = checkMapIntegrity(validation.data, { autoFix: true });
+
+        patchPreview.value = null;
+        prePatchState = null;
+        applyGeneratedMap(integrity.map);
+        setCurrentMap(); // A new map starts a new conversation
+        setSwot(linkSwotToPlan(swot, integrity.map));
+
+        saveSnapshot('auto-plan');
+        immediateSave();
+        console.log(`✅ Plan built: ${territories.length} territories, ${nodes.length} nodes, ${edges.length} edges`);
+        return true;
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            console.log('🛑 SWOT plan cancelled');
+            return false;
+        }
+
+        console.error('❌ SWOT plan failed:', error);
+
+        // The sidebar shows a countdown instead of an alert
+        if (!error.rateLimited) {
+            alert(`Failed to turn the SWOT into a plan: ${error.message}`);
+        }
+        return false;
+    } finally {
+        isGenerating.value = false;
+        generationController = null;
+    }
+}
+
+// ---------- SERVER STORAGE ----------
+// Edit tokens of the server maps this browser saved or was given an edit
+// link to; /api/maps/:id routes and live collaboration need them
+const EDIT_TOKENS_KEY = 'hikki-edit-tokens';
+
+function readEditTokens() {
+    try {
+        return JSON.parse(localStorage.getItem(EDIT_TOKENS_KEY)) || {};
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Edit token of a server map, if this browser has it
+ * @param {string} id - Saved map id
+ * @returns {string|undefined}
+ */
+export function getEditToken(id) {
+    return readEditTokens()[id];
+}
+
+/**
+ * Keep (or, with no token, forget) a server map's edit token
+ * @param {string} id - Saved map id
+ * @param {string} [token]
+ */
+export function rememberEditToken(id, token) {
+    const { [id]: previous, ...tokens } = readEditTokens();
+    localStorage.setItem(EDIT_TOKENS_KEY, JSON.stringify(token ? { ...tokens, [id]: token } : tokens));
+}
+
+// Request headers for a server map's routes
+function mapHeaders(id, headers = {}) {
+    const token = getEditToken(id);
+    return token ? { ...headers, 'X-Edit-Token': token } : headers;
+}
+
+/**
+ * Canvas state saved with /api/maps: everything needed to reopen the map elsewhere
+ * @returns {Object} { territories, nodes, edges, swot }
+ */
+function getServerState() {
+    return JSON.parse(JSON.stringify({ territories, nodes, edges, swot }));
+}
+
+function putServerMap(id, version, changes) {
+    return fetch(`/api/maps/${id}`, {
+        method: 'PUT',
+        headers: mapHeaders(id, { 'Content-Type': 'application/json', 'If-Match': `"${version}"` }),
+        body: JSON.stringify({ ...changes, author: authorName.value || undefined })
+    });
+}
+
+/**
+ * Put a saved map (or restored revision) on the canvas and link to it
+ * @param {Object} map - SavedMap from /api/maps
+ */
+export function applyServerMap(map) {
+    patchPreview.value = null;
+    prePatchState = null;
+    territories.splice(0, territories.length, ...map.state.territories);
+    nodes.splice(0, nodes.length, ...map.state.nodes);
+    edges.splice(0, edges.length, ...map.state.edges);
+    setSwot(map.state.swot);
+    setCurrentMap(map.id); // Same id on every machine, so each keeps its chat for this map
+    serverMap.value = { id: map.id, name: map.name, version: map.version };
+    immediateSave();
+}
+
+/**
+ * Name recorded as the author of server revisions (empty = the server's client key)
+ * @param {string} name
+ */
+export function setAuthorName(name) {
+    authorName.value = name.trim();
+    if (authorName.value) {
+        localStorage.setItem('hikki-author', authorName.value);
+    } else {
+        localStorage.removeItem('hikki-author');
+    }
+}
+
+/**
+ * Save the canvas to the server: the first save creates the map (under the
+ * local map id), later saves update it. If the server copy changed since
+ * our last save, asks before overwriting it. While collaborating on it, the
+ * room saves its canvas instead (see collabHub.js).
+ * @returns {Promise<boolean>} True if saved
+ */
+export async function saveToServer() {
+    if (isSyncing.value) return false;
+
+    const linked = serverMap.value?.id === mapId.value ? serverMap.value : null;
+    if (linked && collabStatus.value === 'live' && linked.id === collabMapId.value) {
+        try {
+            isSyncing.value = true;
+            return await saveRoom();
+        } finally {
+            isSyncing.value = false;
+        }
+    }
+
+    const name = linked?.name
+        || window.prompt('Name this map', territories[0]?.label || chatInput.value.trim().slice(0, 60) || 'Untitled map')?.trim();
+    if (!name) return false;
+
+    try {
+        isSyncing.value = true;
+        const state = getServerState();
+
+        let response = linked
+            ? await putServerMap(linked.id, linked.version, { state })
+            : await fetch('/api/maps', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ id: mapId.value, name, state, author: authorName.value || undefined })
+            });
+
+        // 412: saved by someone else since our version; 409: already saved under this id
+        // from elsewhere, or open in a collaboration room (which saves it instead)
+        if (response.status === 412 || response.status === 409) {
+            const { error } = await response.json();
+            if (error.details?.live) throw new Error(error.message);
+            if (!confirm(`"${name}" was changed on the server since you last saved it. Overwrite it with this canvas?`)) {
+                return false;
+            }
+            response = await putServerMap(mapId.value, error.details.version, { name, state });
+        }
+        if (!response.ok) await throwResponseError(response);
+
+        const { data } = await response.json();
+        if (data.editToken) rememberEditToken(data.id, data.editToken); // Only sent when the map is created
+        serverMap.value = { id: data.id, name: data.name, version: data.version };
+        immediateSave(); // The link to the server copy is part of the local state
+        console.log(`☁️ Saved "${data.name}" to the server (version ${data.version})`);
+        return true;
+    } catch (error) {
+        console.error('❌ Save to server failed:', error);
+        alert(`Failed to save to the server: ${error.message}`);
+        return false;
+    } finally {
+        isSyncing.value = false;
+    }
+}
+
+/**
+ * Refresh serverMaps from the server: the maps this browser has edit tokens for
+ * @returns {Promise<boolean>} True if listed
+ */
+export async function listServerMaps() {
+    const tokens = Object.values(readEditTokens());
+
+    try {
+        const response = await fetch('/api/maps', {
+            headers: tokens.length > 0 ? { 'X-Edit-Token': tokens.join(',') } : {}
+        });
+        if (!response.ok) await throwResponseError(response);
+
+        const { data } = await response.json();
+        serverMaps.value = data;
+        return true;
+    } catch (error) {
+        console.error('❌ Listing server maps failed:', error);
+        alert(`Failed to list maps on the server: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Replace the canvas with a map saved on the server
+ * @param {string} id - Saved map id
+ * @returns {Promise<boolean>} True if opened
+ */
+export async function openServerMap(id) {
+    if (isSyncing.value) return false;
+    // Opening another map leaves the room; reopening this one would replace the shared canvas
+    if (id === collabMapId.value && blockedByCollaboration('Reopening the saved copy')) return false;
+
+    try {
+        isSyncing.value = true;
+        const response = await fetch(`/api/maps/${id}`, { headers: mapHeaders(id) });
+        if (!response.ok) await throwResponseError(response);
+
+        const { data } = await response.json();
+        applyServerMap(data);
+        console.log(`☁️ Opened "${data.name}" (version ${data.version})`);
+        return true;
+    } catch (error) {
+        console.error('❌ Open from server failed:', error);
+        alert(`Failed to open the map: ${error.message}`);
+        return false;
+    } finally {
+        isSyncing.value = false;
+    }
+}
+
+/**
+ * Delete a saved map from the server (the canvas is left alone)
+ * @param {string} id - Saved map id
+ * @returns {Promise<boolean>} True if deleted
+ */
+export async function deleteServerMap(id) {
+    const listed = serverMaps.value.find(map => map.id === id);
+
+    try {
+        const response = await fetch(`/api/maps/${id}`, {
+            method: 'DELETE',
+            headers: mapHeaders(id, listed ? { 'If-Match': `"${listed.version}"` } : {})
+        });
+        if (response.status === 412) {
+            alert('This map was changed on the server since it was listed. Check the new version before deleting it.');
+            await listServerMaps();
+            return false;
+        }
+        if (!response.ok) await throwResponseError(response);
+
+        serverMaps.value = serverMaps.value.filter(map => map.id !== id);
+        rememberEditToken(id);
+        if (serverMap.value?.id === id) {
+            serverMap.value = null;
+            immediateSave();
+        }
+        console.log(`🗑️ Deleted saved map ${id}`);
+        return true;
+    } catch (error) {
+        console.error('❌ Deleting server map failed:', error);
+        alert(`Failed to delete the map: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Refresh serverRevisions with the revisions of the linked server map
+ * @returns {Promise<boolean>} True if listed
+ */
+export async function listRevisions() {
+    if (!serverMap.value) return false;
+
+    try {
+        const response = await fetch(`/api/maps/${serverMap.value.id}/revisions`, { headers: mapHeaders(serverMap.value.id) });
+        if (!response.ok) await throwResponseError(response);
+
+        const { data } = await response.json();
+        serverRevisions.value = data;
+        return true;
+    } catch (error) {
+        console.error('❌ Listing revisions failed:', error);
+        alert(`Failed to load the map history: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Restore an earlier revision of the linked server map: the server saves it
+ * as a new version, which then replaces the canvas
+ * @param {number} rev - Revision to restore
+ * @returns {Promise<boolean>} True if restored
+ */
+export async function restoreRevision(rev) {
+    if (isSyncing.value || !serverMap.value) return false;
+    if (blockedByCollaboration('Restoring a version')) return false;
+
+    const restore = (version) => fetch(`/api/maps/${serverMap.value.id}/restore`, {
+        method: 'POST',
+        headers: mapHeaders(serverMap.value.id, { 'Content-Type': 'application/json', 'If-Match': `"${version}"` }),
+        body: JSON.stringify({ rev, author: authorName.value || undefined })
+    });
+
+    try {
+        isSyncing.value = true;
+        let response = await restore(serverMap.value.version);
+
+        // Saved again since we last synced; the newer versions stay in the history either way
+        if (response.status === 412) {
+            const { error } = await response.json();
+            if (!confirm(`The map was saved again (version ${error.details.version}) since you opened it. Restore version ${rev} anyway?`)) {
+                return false;
+            }
+            response = await restore(error.details.version);
+        }
+        if (!response.ok) await throwResponseError(response);
+
+        const { data } = await response.json();
+        applyServerMap(data);
+        console.log(`⏪ Restored version ${rev} of "${data.name}" (now version ${data.version})`);
+        await listRevisions();
+        return true;
+    } catch (error) {
+        console.error('❌ Restore failed:', error);
+        alert(`Failed to restore version ${rev}: ${error.message}`);
+        return false;
+    } finally {
+        isSyncing.value = false;
+    }
+}
+
+/**
+ * Link that opens a share in the read-only viewer
+ * @param {string} token
+ * @returns {string}
+ */
+export function shareUrl(token) {
+    return `${window.location.origin}/?share=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Link that hands the linked server map's edit token to someone else, so
+ * they can open, save and collaborate on it
+ * @returns {string|null} Null if this browser has no edit token for it
+ */
+export function editUrl() {
+    const token = serverMap.value && getEditToken(serverMap.value.id);
+    if (!token) return null;
+    return `${window.location.origin}/?map=${encodeURIComponent(serverMap.value.id)}&edit=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Refresh serverShares with the share links of the linked server map
+ * @returns {Promise<boolean>} True if listed
+ */
+export async function listShares() {
+    if (!serverMap.value) return false;
+
+    try {
+        const response = await fetch(`/api/maps/${serverMap.value.id}/shares`, { headers: mapHeaders(serverMap.value.id) });
+        if (!response.ok) await throwResponseError(response);
+
+        const { data } = await response.json();
+        serverShares.value = data;
+        return true;
+    } catch (error) {
+        console.error('❌ Listing share links failed:', error);
+        alert(`Failed to load the share links: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Publish the linked server map read-only. Viewers see its latest saved
+ * version, not unsaved changes on this canvas.
+ * @param {Object} [options]
+ * @param {string|null} [options.expiresAt] - ISO date; null never expires
+ * @returns {Promise<Object|null>} The new share, or null on failure
+ */
+export async function createShare({ expiresAt = null } = {}) {
+    if (!serverMap.value) return null;
+
+    try {
+        const response = await fetch(`/api/maps/${serverMap.value.id}/shares`, {
+            method: 'POST',
+            headers: mapHeaders(serverMap.value.id, { 'Content-Type': 'application/json' }),
+            body: JSON.stringify({ expiresAt })
+        });
+        if (!response.ok) await throwResponseError(response);
+
+        // The token comes back this once; listing again only gives its hint
+        const { data } = await response.json();
+        serverShares.value = [{ ...data, expired: false }, ...serverShares.value];
+        console.log(`🔗 Shared "${serverMap.value.name}"${expiresAt ? ` until ${new Date(expiresAt).toLocaleString()}` : ''}`);
+        return data;
+    } catch (error) {
+        console.error('❌ Sharing failed:', error);
+        alert(`Failed to create a share link: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Revoke a share link of the linked server map
+ * @param {string} shareId
+ * @returns {Promise<boolean>} True if revoked
+ */
+export async function revokeShare(shareId) {
+    if (!serverMap.value) return false;
+
+    try {
+        const response = await fetch(`/api/maps/${serverMap.value.id}/shares/${encodeURIComponent(shareId)}`, {
+            method: 'DELETE',
+            headers: mapHeaders(serverMap.value.id)
+        });
+        if (!response.ok) await throwResponseError(response);
+
+        serverShares.value = serverShares.value.filter(share => share.id !== shareId);
+        return true;
+    } catch (error) {
+        console.error('❌ Revoking share failed:', error);
+        alert(`Failed to revoke the share link: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Show a shared map read-only. Nothing is saved locally while viewing, so
+ * the viewer's own canvas is still there when they open Hikki normally.
+ * @param {string} token - From the ?share= link
+ * @returns {Promise<boolean>} True if opened
+ */
+export async function openSharedMap(token) {
+    viewOnly.value = true;
+
+    try {
+        const response = await fetch(`/api/share/${encodeURIComponent(token)}`);
+        if (!response.ok) await throwResponseError(response);
+
+        const { data } = await response.json();
+        territories.splice(0, territories.length, ...data.state.territories);
+        nodes.splice(0, nodes.length, ...data.state.nodes);
+        edges.splice(0, edges.length, ...data.state.edges);
+        setSwot(data.state.swot);
+        sharedMap.value = { name: data.name, version: data.version, updatedAt: data.updatedAt, expiresAt: data.expiresAt };
+
+        console.log(`👀 Viewing shared map "${data.name}" (version ${data.version})`);
+        return true;
+    } catch (error) {
+        console.error('❌ Opening shared map failed:', error);
+        alert(`Failed to open the shared map: ${error.message}`);
+        return false;
     }
 }
 
@@ -565,9 +2395,17 @@ export function useState() {
         // Data arrays
         territories, nodes, edges,
         // Feature state
-        chatInput, swot, isGenerating,
+        chatInput, swot, isGenerating, jobStatus, rateLimitSeconds, templates, selectedTemplate, generationMode, expandingNodeId,
+        refineInput, isRefining, patchPreview, mapId, chatMessages, chatDraft, isChatting,
+        isAnalyzing, highlightedSwotItem, serverMap, serverMaps, isSyncing, serverRevisions, authorName,
+        serverShares, viewOnly, sharedMap,
         // Functions
-        saveSnapshot, loadSnapshot, runAnalysis, generateMap,
+        saveSnapshot, loadSnapshot, runAnalysis, generateMap, cancelGeneration, resumeGeneration, loadTemplates, expandNode,
+        refineMap, acceptPatch, rejectPatch, patchChange,
+        sendChatMessage, acceptChatPatch, rejectChatPatch, clearChat, startNewMap,
+        clearSwot, addSwotItem, removeSwotItem, highlightSwotItem, isSwotHighlighted, planFromSwot,
+        saveToServer, listServerMaps, openServerMap, deleteServerMap, listRevisions, restoreRevision, setAuthorName,
+        shareUrl, editUrl, rememberEditToken, listShares, createShare, revokeShare, openSharedMap,
         autoSave, immediateSave, autoLoad, deleteNode,
         exportState, importState
     }
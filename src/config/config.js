@@ -1,8 +1,131 @@
 import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import { z } from 'zod';
 
 // Load environment variables
 dotenv.config();
 
+/**
+ * Locate a JSON config file shipped in src/config. It sits next to this module
+ * in dev; serverless bundles (see netlify.toml included_files) keep it at the
+ * same project-relative path under the function's working directory.
+ * @param {string} name - File name, e.g. "providers.json"
+ * @returns {string|URL}
+ */
+function bundledConfigFile(name) {
+  const local = new URL(`./${name}`, import.meta.url);
+  return fs.existsSync(local) ? local : path.join(process.cwd(), 'src', 'config', name);
+}
+
+// Provider registry entry (see src/config/providers.json)
+const ProviderEntrySchema = z.object({
+  name: z.string().regex(/^[a-z0-9-]+$/, 'Provider names must be lowercase letters, digits or dashes'),
+  protocol: z.enum(['openai-chat', 'anthropic-messages']),
+  displayName: z.string().optional(),
+  enabled: z.boolean().default(true),
+  baseUrl: z.string().url(),
+  baseUrlEnv: z.string().optional(),       // Env var that overrides baseUrl
+  apiKeyEnv: z.string().optional(),        // Omit for keyless (e.g. local) servers
+  apiKeyHeader: z.string().optional(),     // Defaults per protocol; "api-key" for Azure-style
+  apiKeyPrefix: z.string().optional(),     // Defaults to "Bearer " for Authorization headers
+  apiVersion: z.string().optional(),       // anthropic-version header
+  query: z.record(z.string()).optional(),  // Extra query params, e.g. Azure api-version
+  defaultModel: z.string(),
+  defaultModelEnv: z.string().optional(),  // Env var that overrides defaultModel
+  structuredOutputEnv: z.string().optional(), // Env var ("true"/"false") that overrides supportsStructuredOutput
+  structuredOutputModels: z.array(z.string()).optional(), // Model name prefixes with structured output; others use JSON mode
+  capabilities: z.object({
+    supportsJsonMode: z.boolean().default(false),
+    supportsStructuredOutput: z.boolean().default(false), // json_schema / forced tool use
+    supportsStreaming: z.boolean().default(false),
+    supportsStreamUsage: z.boolean().default(false)
+  }).default({})
+});
+
+const ProviderRegistrySchema = z.object({
+  providers: z.array(ProviderEntrySchema).min(1)
+});
+
+/**
+ * Load the provider registry JSON and apply env overrides
+ * @param {string|URL} file - Registry path (PROVIDERS_CONFIG or the bundled providers.json)
+ * @returns {Array<Object>} Resolved provider entries
+ * @throws {Error} If the file is missing or malformed
+ */
+function loadProviderRegistry(file) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read provider registry ${file}: ${error.message}`);
+  }
+
+  const parsed = ProviderRegistrySchema.safeParse(raw);
+  if (!parsed.success) {
+    const issues = parsed.error.errors.map(e => `${e.path.join('.')}: ${e.message}`).join('; ');
+    throw new Error(`Invalid provider registry ${file}: ${issues}`);
+  }
+
+  return parsed.data.providers.map(entry => ({
+    ...entry,
+    displayName: entry.displayName || entry.name,
+    baseUrl: (entry.baseUrlEnv && process.env[entry.baseUrlEnv]) || entry.baseUrl,
+    defaultModel: (entry.defaultModelEnv && process.env[entry.defaultModelEnv]) || entry.defaultModel,
+    structuredOutputOverride: parseBooleanEnv(entry.structuredOutputEnv && process.env[entry.structuredOutputEnv])
+  }));
+}
+
+// "true"/"false" as a boolean, anything else (unset) as undefined
+function parseBooleanEnv(value) {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return undefined;
+}
+
+// Price table (see src/config/pricing.json); prices are per 1M tokens
+const PriceTableSchema = z.object({
+  currency: z.string().default('USD'),
+  models: z.record(z.object({
+    input: z.number().nonnegative(),
+    output: z.number().nonnegative()
+  }))
+});
+
+/**
+ * Load the model price table used for usage cost estimates
+ * @param {string|URL} file - Price table path (PRICING_CONFIG or the bundled pricing.json)
+ * @returns {{ currency: string, models: Object<string, { input: number, output: number }> }}
+ * @throws {Error} If the file is missing or malformed
+ */
+function loadPriceTable(file) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read price table ${file}: ${error.message}`);
+  }
+
+  const parsed = PriceTableSchema.safeParse(raw);
+  if (!parsed.success) {
+    const issues = parsed.error.errors.map(e => `${e.path.join('.')}: ${e.message}`).join('; ');
+    throw new Error(`Invalid price table ${file}: ${issues}`);
+  }
+
+  return parsed.data;
+}
+
+/**
+ * Express "trust proxy" setting from TRUST_PROXY
+ * @param {string} [value] - "true"/"false", a hop count, or addresses/subnets
+ * @returns {boolean|number|string}
+ */
+function parseTrustProxy(value) {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+}
+
 /**
  * Centralized configuration for the application
  * All environment variables and defaults are defined here
@@ -13,7 +136,10 @@ export const config = {
     port: parseInt(process.env.PORT || '3000', 10),
     env: process.env.NODE_ENV || 'development',
     host: process.env.HOST || '0.0.0.0',
-    corsOrigin: process.env.CORS_ORIGIN || '*'
+    corsOrigin: process.env.CORS_ORIGIN || '*',
+    // Express "trust proxy": set behind a reverse proxy so req.ip is the client's address
+    // ("true", a hop count like "1", or addresses/subnets such as "loopback")
+    trustProxy: parseTrustProxy(process.env.TRUST_PROXY)
   },
 
   // LLM provider configuration
@@ -22,19 +148,40 @@ export const config = {
     defaultTemperature: parseFloat(process.env.DEFAULT_TEMPERATURE || '0.7'),
     defaultMaxTokens: parseInt(process.env.DEFAULT_MAX_TOKENS || '4000', 10),
     timeout: parseInt(process.env.LLM_TIMEOUT || '30000', 10),
+    // Follow-up turns allowed to fix a map that fails schema validation (0 disables)
+    maxRepairAttempts: parseInt(process.env.LLM_MAX_REPAIR_ATTEMPTS || '2', 10),
 
-    // Provider-specific settings
-    openai: {
-      apiKey: process.env.OPENAI_API_KEY,
-      defaultModel: process.env.OPENAI_MODEL || 'gpt-4-turbo-preview',
-      baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1'
+    // Providers tried, in order, after the requested one fails or is skipped;
+    // "keyword" is the offline keyword map, e.g. "anthropic,openai,keyword"
+    fallbackChain: (process.env.LLM_FALLBACK_CHAIN || '')
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean),
+
+    // Skip a provider for cooldownMs after failureThreshold consecutive failures
+    circuitBreaker: {
+      failureThreshold: parseInt(process.env.LLM_BREAKER_THRESHOLD || '3', 10),
+      cooldownMs: parseInt(process.env.LLM_BREAKER_COOLDOWN || '60000', 10)
+    },
+
+    // Named provider endpoints (openai-chat / anthropic-messages protocols)
+    providers: loadProviderRegistry(
+      process.env.PROVIDERS_CONFIG || bundledConfigFile('providers.json')
+    ),
+
+    // Record-and-replay provider for offline development and tests
+    replay: {
+      mode: process.env.LLM_REPLAY_MODE || 'off', // off | record | replay
+      fixtureDir: process.env.LLM_REPLAY_DIR || 'fixtures/llm',
+      targetProvider: process.env.LLM_REPLAY_TARGET || 'openai' // provider recorded in record mode
     },
 
-    anthropic: {
-      apiKey: process.env.ANTHROPIC_API_KEY,
-      defaultModel: process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-20241022',
-      baseUrl: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com/v1',
-      version: process.env.ANTHROPIC_VERSION || '2023-06-01'
+    // Response cache for identical generation requests
+    cache: {
+      enabled: process.env.LLM_CACHE_ENABLED !== 'false',
+      maxEntries: parseInt(process.env.LLM_CACHE_MAX_ENTRIES || '100', 10),
+      ttlMs: parseInt(process.env.LLM_CACHE_TTL || '86400000', 10), // 24 hours
+      dir: process.env.LLM_CACHE_DIR || '' // On-disk tier, off when empty
     }
   },
 
@@ -44,10 +191,47 @@ export const config = {
     rateLimit: {
       enabled: process.env.RATE_LIMIT_ENABLED === 'true',
       windowMs: parseInt(process.env.RATE_LIMIT_WINDOW || '60000', 10),
-      maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS || '10', 10)
+      maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS || '10', 10),
+      // LLM tokens per client per UTC day (0 disables)
+      dailyTokenBudget: parseInt(process.env.RATE_LIMIT_DAILY_TOKENS || '0', 10),
+      // X-API-Key values that get their own limits; other keys are rejected
+      apiKeys: (process.env.API_KEYS || '').split(',').map(key => key.trim()).filter(Boolean),
+      // Keys the hashes that stand in for client IPs in usage reports and authors
+      // (random per run when empty)
+      clientKeySalt: process.env.CLIENT_KEY_SALT || ''
     }
   },
 
+  // Background generation jobs (POST /api/jobs)
+  jobs: {
+    store: process.env.JOBS_STORE || 'memory', // memory | file
+    dir: process.env.JOBS_DIR || 'data/jobs', // File store: one <id>.json per job
+    concurrency: parseInt(process.env.JOBS_CONCURRENCY || '2', 10), // Jobs running at once
+    ttlMs: parseInt(process.env.JOBS_TTL || '3600000', 10) // Finished jobs are kept 1 hour
+  },
+
+  // Saved maps (/api/maps)
+  maps: {
+    store: process.env.MAPS_STORE || 'file', // Repository implementation; only "file" so far
+    dir: process.env.MAPS_DIR || 'data/maps' // One <id>.json per map
+  },
+
+  // Live collaboration on saved maps (WebSocket at <api prefix>/collab)
+  collab: {
+    enabled: process.env.COLLAB_ENABLED !== 'false',
+    maxClientsPerRoom: parseInt(process.env.COLLAB_MAX_CLIENTS || '20', 10),
+    heartbeatMs: parseInt(process.env.COLLAB_HEARTBEAT || '30000', 10) // Dead connections are dropped after this
+  },
+
+  // Token and cost accounting
+  usage: {
+    enabled: process.env.USAGE_TRACKING_ENABLED !== 'false',
+    file: process.env.USAGE_LOG_FILE || 'data/usage.jsonl', // Append-only, one JSON record per line
+    pricing: loadPriceTable(
+      process.env.PRICING_CONFIG || bundledConfigFile('pricing.json')
+    )
+  },
+
   // Logging configuration
   logging: {
     level: process.env.LOG_LEVEL || 'info',
@@ -55,6 +239,15 @@ export const config = {
   }
 };
 
+/**
+ * Whether a registry entry is enabled and has its API key (if it needs one)
+ * @param {Object} entry - Resolved provider entry
+ * @returns {boolean}
+ */
+export function isProviderConfigured(entry) {
+  return entry.enabled && (!entry.apiKeyEnv || !!process.env[entry.apiKeyEnv]);
+}
+
 /**
  * Validates that required configuration is present
  * @throws {Error} If required configuration is missing
@@ -63,20 +256,50 @@ export function validateConfig() {
   const errors = [];
 
   // Check if at least one LLM provider is configured
-  const hasOpenAI = !!config.llm.openai.apiKey;
-  const hasAnthropic = !!config.llm.anthropic.apiKey;
+  const { mode: replayMode, targetProvider } = config.llm.replay;
+  const isReplaying = replayMode === 'replay';
+  const available = config.llm.providers.filter(isProviderConfigured).map(p => p.name);
 
-  if (!hasOpenAI && !hasAnthropic) {
-    errors.push('At least one LLM provider API key must be configured (OPENAI_API_KEY or ANTHROPIC_API_KEY)');
+  if (!['off', 'record', 'replay'].includes(replayMode)) {
+    errors.push(`LLM_REPLAY_MODE must be "off", "record" or "replay" (got "${replayMode}")`);
   }
 
-  // Validate default provider
-  if (config.llm.defaultProvider === 'openai' && !hasOpenAI) {
-    errors.push('DEFAULT_LLM_PROVIDER is set to "openai" but OPENAI_API_KEY is not configured');
+  // Replaying fixtures needs no keys at all
+  if (available.length === 0 && !isReplaying) {
+    const keyVars = config.llm.providers.filter(p => p.apiKeyEnv).map(p => p.apiKeyEnv);
+    errors.push(`At least one LLM provider must be configured (${keyVars.join(', ')}), or set LLM_REPLAY_MODE=replay`);
+  }
+
+  if (replayMode === 'record' && !available.includes(targetProvider)) {
+    errors.push(`LLM_REPLAY_MODE is "record" but LLM_REPLAY_TARGET "${targetProvider}" is not configured`);
+  }
+
+  if (!['memory', 'file'].includes(config.jobs.store)) {
+    errors.push(`JOBS_STORE must be "memory" or "file" (got "${config.jobs.store}")`);
+  }
+
+  if (config.maps.store !== 'file') {
+    errors.push(`MAPS_STORE must be "file" (got "${config.maps.store}")`);
   }
 
-  if (config.llm.defaultProvider === 'anthropic' && !hasAnthropic) {
-    errors.push('DEFAULT_LLM_PROVIDER is set to "anthropic" but ANTHROPIC_API_KEY is not configured');
+  // Fallback chain entries must be registered providers, replay or keyword
+  const chainNames = [...config.llm.providers.map(p => p.name), 'replay', 'keyword'];
+  config.llm.fallbackChain
+    .filter(name => !chainNames.includes(name))
+    .forEach(name => errors.push(`LLM_FALLBACK_CHAIN entry "${name}" is not a known provider`));
+
+  // Validate default provider
+  const defaultProvider = config.llm.defaultProvider;
+  const defaultEntry = config.llm.providers.find(p => p.name === defaultProvider);
+
+  if (defaultProvider === 'replay') {
+    if (replayMode === 'off') {
+      errors.push('DEFAULT_LLM_PROVIDER is set to "replay" but LLM_REPLAY_MODE is "off"');
+    }
+  } else if (!defaultEntry) {
+    errors.push(`DEFAULT_LLM_PROVIDER "${defaultProvider}" is not in the provider registry`);
+  } else if (!isProviderConfigured(defaultEntry)) {
+    errors.push(`DEFAULT_LLM_PROVIDER is set to "${defaultProvider}" but ${defaultEntry.apiKeyEnv || 'the provider'} is not configured`);
   }
 
   if (errors.length > 0) {
@@ -94,17 +317,30 @@ export function getConfigSummary() {
     server: {
       port: config.server.port,
       env: config.server.env,
-      host: config.server.host
+      host: config.server.host,
+      trustProxy: config.server.trustProxy
     },
     llm: {
       defaultProvider: config.llm.defaultProvider,
-      openaiConfigured: !!config.llm.openai.apiKey,
-      anthropicConfigured: !!config.llm.anthropic.apiKey
+      maxRepairAttempts: config.llm.maxRepairAttempts,
+      fallbackChain: config.llm.fallbackChain,
+      providers: config.llm.providers
+        .filter(p => p.enabled)
+        .map(p => ({ name: p.name, protocol: p.protocol, configured: isProviderConfigured(p) })),
+      replayMode: config.llm.replay.mode,
+      cache: config.llm.cache.enabled
+        ? `${config.llm.cache.maxEntries} entries${config.llm.cache.dir ? ` + disk (${config.llm.cache.dir})` : ''}`
+        : 'off'
     },
     api: {
       prefix: config.api.prefix,
-      rateLimitEnabled: config.api.rateLimit.enabled
-    }
+      rateLimitEnabled: config.api.rateLimit.enabled,
+      apiKeys: config.api.rateLimit.apiKeys.length
+    },
+    jobs: `${config.jobs.concurrency} at a time, ${config.jobs.store === 'file' ? `file (${config.jobs.dir})` : 'memory'}`,
+    maps: `${config.maps.store} (${config.maps.dir})`,
+    collab: config.collab.enabled ? `${config.api.prefix}/collab, up to ${config.collab.maxClientsPerRoom} per map` : 'disabled',
+    usage: config.usage.enabled ? config.usage.file : 'off'
   };
 }
 
@@ -17,6 +17,77 @@ export class LLMProviderError extends Error {
   }
 }
 
+export class MapValidationError extends Error {
+  constructor(message, details = null) {
+    super(message);
+    this.name = 'MapValidationError';
+    this.statusCode = 502;
+    this.details = details;
+  }
+}
+
+export class RateLimitError extends Error {
+  constructor(message, details = null) {
+    super(message);
+    this.name = 'RateLimitError';
+    this.statusCode = 429;
+    this.details = details;
+  }
+}
+
+export class AuthenticationError extends Error {
+  constructor(message, details = null) {
+    super(message);
+    this.name = 'AuthenticationError';
+    this.statusCode = 401;
+    this.details = details;
+  }
+}
+
+export class CacheMissError extends Error {
+  constructor(message, details = null) {
+    super(message);
+    this.name = 'CacheMissError';
+    this.statusCode = 404;
+    this.details = details;
+  }
+}
+
+export class NotFoundError extends Error {
+  constructor(message, details = null) {
+    super(message);
+    this.name = 'NotFoundError';
+    this.statusCode = 404;
+    this.details = details;
+  }
+}
+
+export class ConflictError extends Error {
+  constructor(message, details = null) {
+    super(message);
+    this.name = 'ConflictError';
+    this.statusCode = 409;
+    this.details = details;
+  }
+}
+
+export class VersionConflictError extends Error {
+  constructor(message, details = null) {
+    super(message);
+    this.name = 'VersionConflictError';
+    this.statusCode = 412; // If-Match / version no longer current
+    this.details = details;
+  }
+}
+
+export class RequestAbortedError extends Error {
+  constructor(message = 'Request cancelled by the client') {
+    super(message);
+    this.name = 'RequestAbortedError';
+    this.statusCode = 499; // "Client closed request"; nobody is left to read it
+  }
+}
+
 export class ConfigurationError extends Error {
   constructor(message) {
     super(message);
@@ -25,16 +96,13 @@ export class ConfigurationError extends Error {
   }
 }
 
-// Global error handler middleware
-export function errorHandler(err, req, res, next) {
-  console.error('Error occurred:', {
-    name: err.name,
-    message: err.message,
-    stack: err.stack,
-    path: req.path,
-    method: req.method
-  });
-
+/**
+ * Status code and JSON body for an error, shared by Express and the
+ * Netlify functions so both answer with the same shape
+ * @param {Error} err
+ * @returns {{ statusCode: number, body: { error: { message: string, type: string, details?: *, provider?: string } } }}
+ */
+export function toErrorResponse(err) {
   // Default error response
   const errorResponse = {
     error: {
@@ -61,7 +129,27 @@ export function errorHandler(err, req, res, next) {
     delete errorResponse.error.details;
   }
 
-  res.status(statusCode).json(errorResponse);
+  return { statusCode, body: errorResponse };
+}
+
+// Global error handler middleware
+export function errorHandler(err, req, res, next) {
+  // The client went away; there is no one to answer
+  if (err instanceof RequestAbortedError) {
+    console.log(`🛑 ${req.method} ${req.path} cancelled by the client`);
+    return;
+  }
+
+  console.error('Error occurred:', {
+    name: err.name,
+    message: err.message,
+    stack: err.stack,
+    path: req.path,
+    method: req.method
+  });
+
+  const { statusCode, body } = toErrorResponse(err);
+  res.status(statusCode).json(body);
 }
 
 // 404 handler
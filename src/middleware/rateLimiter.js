@@ -0,0 +1,210 @@
+import crypto from 'crypto';
+import config from '../config/config.js';
+import { RateLimitError, AuthenticationError } from './errorHandler.js';
+
+/**
+ * Rate limiting for LLM-backed routes
+ * - Sliding window: at most maxRequests per windowMs per client
+ * - Daily token budget: total LLM tokens per client per UTC day (0 disables),
+ *   charged through rateLimiter.recordTokens, including failed and cancelled calls
+ *
+ * Clients are keyed by X-API-Key when it is one of the configured keys
+ * (API_KEYS), otherwise by IP; requests with any other key are rejected, so a
+ * made-up key can't buy a fresh window or budget. Behind a proxy, set
+ * TRUST_PROXY so the IP is the client's.
+ * Sets RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset on every
+ * response and Retry-After on 429s.
+ */
+
+// Never keep raw keys in memory or logs
+function hashKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex').substring(0, 16);
+}
+
+const knownKeys = new Set(config.api.rateLimit.apiKeys.map(hashKey));
+
+// A missing key is fine (the caller is keyed by IP); a made-up one is not
+function acceptsApiKey(apiKey) {
+  return !apiKey || knownKeys.has(hashKey(apiKey));
+}
+
+/**
+ * Whether the request's X-API-Key is missing or one of the configured keys
+ * @param {import('express').Request} req
+ * @returns {boolean}
+ */
+export function hasValidApiKey(req) {
+  return acceptsApiKey(req.get('x-api-key'));
+}
+
+// Random unless configured, so labels can't be reversed by hashing every address
+const clientKeySalt = config.api.rateLimit.clientKeySalt || crypto.randomBytes(32).toString('hex');
+
+/**
+ * A client key that is safe to show: IP addresses become a keyed hash
+ * @param {string} clientKey - From getClientKey
+ * @returns {string} "key:<hash>" as is, "ip:<hash>" for "ip:<address>"
+ */
+export function publicClientKey(clientKey) {
+  if (!clientKey?.startsWith('ip:')) return clientKey;
+  const hash = crypto.createHmac('sha256', clientKeySalt).update(clientKey.slice(3)).digest('hex');
+  return `ip:${hash.substring(0, 16)}`;
+}
+
+/**
+ * Identify a caller from its X-API-Key and address, outside Express
+ * (the Netlify functions)
+ * @param {string|undefined} apiKey
+ * @param {string|undefined} ip
+ * @returns {string} "key:<hash>" for configured keys, otherwise "ip:<address>"
+ */
+export function clientKeyFor(apiKey, ip) {
+  if (apiKey && knownKeys.has(hashKey(apiKey))) {
+    return `key:${hashKey(apiKey)}`;
+  }
+  return `ip:${ip}`;
+}
+
+/**
+ * Identify the caller for rate limiting and accounting
+ * @param {import('express').Request} req
+ * @returns {string} "key:<hash>" for configured keys, otherwise "ip:<address>"
+ */
+export function getClientKey(req) {
+  return clientKeyFor(req.get('x-api-key'), req.ip);
+}
+
+// Current UTC day and seconds until it ends
+function utcDay(now) {
+  const date = new Date(now);
+  const midnight = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+  return {
+    day: date.toISOString().split('T')[0],
+    secondsLeft: Math.ceil((midnight - now) / 1000)
+  };
+}
+
+/**
+ * Create rate limiting middleware
+ * @param {Object} options
+ * @param {boolean} options.enabled
+ * @param {number} options.windowMs - Sliding window length
+ * @param {number} options.maxRequests - Requests allowed per window
+ * @param {number} [options.dailyTokenBudget=0] - Tokens per client per UTC day (0 disables)
+ * @returns {import('express').RequestHandler}
+ */
+export function createRateLimiter({ enabled, windowMs, maxRequests, dailyTokenBudget = 0 }) {
+  const requestLog = new Map(); // clientKey -> request timestamps within the window
+  const tokenUsage = new Map(); // clientKey -> { day, tokens }
+
+  // Forget idle clients so the maps don't grow forever
+  const sweep = setInterval(() => {
+    const cutoff = Date.now() - windowMs;
+    requestLog.forEach((timestamps, key) => {
+      if (timestamps[timestamps.length - 1] <= cutoff) requestLog.delete(key);
+    });
+    const { day } = utcDay(Date.now());
+    tokenUsage.forEach((usage, key) => {
+      if (usage.day !== day) tokenUsage.delete(key);
+    });
+  }, Math.max(windowMs, 60000));
+  sweep.unref();
+
+  // Add tokens to a client's daily total
+  const recordTokens = (key, tokens) => {
+    if (!enabled || dailyTokenBudget <= 0 || !(tokens > 0)) return;
+    const { day } = utcDay(Date.now());
+    const current = tokenUsage.get(key);
+    tokenUsage.set(key, {
+      day,
+      tokens: (current?.day === day ? current.tokens : 0) + tokens
+    });
+  };
+
+  /**
+   * Admit one request or say why not; counts it against the window when admitted
+   * @param {string|undefined} apiKey - The X-API-Key sent
+   * @param {string} key - From getClientKey / clientKeyFor
+   * @returns {{ headers: Object<string, string>, error: Error|null }} RateLimit-* / Retry-After
+   *   headers for the response, and the error to answer with when rejected
+   */
+  const admit = (apiKey, key) => {
+    if (!enabled) return { headers: {}, error: null };
+
+    if (!acceptsApiKey(apiKey)) {
+      return { headers: {}, error: new AuthenticationError('Unknown API key') };
+    }
+
+    const now = Date.now();
+
+    // --- Sliding window ---
+    const timestamps = (requestLog.get(key) || []).filter(ts => ts > now - windowMs);
+    const resetSeconds = timestamps.length > 0
+      ? Math.ceil((timestamps[0] + windowMs - now) / 1000)
+      : Math.ceil(windowMs / 1000);
+
+    const headers = {
+      'RateLimit-Policy': `${maxRequests};w=${Math.ceil(windowMs / 1000)}`,
+      'RateLimit-Limit': String(maxRequests),
+      'RateLimit-Remaining': String(Math.max(0, maxRequests - timestamps.length - 1)),
+      'RateLimit-Reset': String(resetSeconds)
+    };
+
+    if (timestamps.length >= maxRequests) {
+      requestLog.set(key, timestamps);
+      return {
+        headers: { ...headers, 'RateLimit-Remaining': '0', 'Retry-After': String(resetSeconds) },
+        error: new RateLimitError(
+          `Rate limit exceeded: ${maxRequests} requests per ${Math.ceil(windowMs / 1000)}s. Try again in ${resetSeconds}s.`,
+          { retryAfter: resetSeconds, limit: maxRequests, reason: 'window' }
+        )
+      };
+    }
+
+    // --- Daily token budget ---
+    if (dailyTokenBudget > 0) {
+      const { day, secondsLeft } = utcDay(now);
+      const usage = tokenUsage.get(key);
+      const used = usage?.day === day ? usage.tokens : 0;
+
+      if (used >= dailyTokenBudget) {
+        return {
+          headers: { ...headers, 'Retry-After': String(secondsLeft) },
+          error: new RateLimitError(
+            `Rate limit exceeded: daily budget of ${dailyTokenBudget} tokens used. Try again in ${secondsLeft}s.`,
+            { retryAfter: secondsLeft, limit: dailyTokenBudget, reason: 'daily-tokens' }
+          )
+        };
+      }
+    }
+
+    timestamps.push(now);
+    requestLog.set(key, timestamps);
+    return { headers, error: null };
+  };
+
+  const rateLimiter = (req, res, next) => {
+    // Resolved up front: once the client disconnects req.ip is gone, and
+    // cancelled requests are still charged (see res.locals.clientKey)
+    const key = getClientKey(req);
+    res.locals.clientKey = key;
+
+    const { headers, error } = admit(req.get('x-api-key'), key);
+    res.set(headers);
+    return error ? next(error) : next();
+  };
+
+  // Runtimes without Express middleware (the Netlify functions) admit directly
+  rateLimiter.admit = admit;
+
+  // Callers charge what an LLM call spent once it settles, successful or not:
+  // a cancelled request has no response to hook, and background jobs outlive theirs
+  rateLimiter.recordTokens = recordTokens;
+
+  return rateLimiter;
+}
+
+// Shared limiter for all LLM-backed routes
+export const rateLimiter = createRateLimiter(config.api.rateLimit);
+
+export default rateLimiter;
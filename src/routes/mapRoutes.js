@@ -1,10 +1,123 @@
 import express from 'express';
 import llmService from '../services/llmService.js';
-import { validateRequest } from '../schemas/mapSchema.js';
-import { ValidationError, LLMProviderError } from '../middleware/errorHandler.js';
+import usageStore from '../services/usageStore.js';
+import jobQueue from '../services/jobQueue.js';
+import mapRepository, { summarizeSavedMap } from '../services/mapRepository.js';
+import collabHub from '../services/collabHub.js';
+import {
+  parseGenerateRequest,
+  buildGenerateResponse,
+  parseExpandRequest,
+  buildExpandResponse,
+  parseRefineRequest,
+  buildRefineResponse,
+  parseChatRequest,
+  buildChatResponse,
+  parseAnalyzeRequest,
+  buildAnalyzeResponse,
+  parsePlanRequest,
+  getProviderStatus,
+  getTemplateList,
+  getHealthStatus,
+  chargeUsage
+} from '../services/mapGeneration.js';
+import { validateMap } from '../schemas/mapSchema.js';
+import {
+  UsageQuerySchema,
+  JobQuerySchema,
+  MapCreateSchema,
+  MapUpdateSchema,
+  MapRestoreSchema,
+  RevisionParamsSchema,
+  ShareCreateSchema,
+  validateRequest
+} from '../schemas/requestSchema.js';
+import { checkMapIntegrity, summarizeIntegrity } from '../schemas/mapIntegrity.js';
+import { ValidationError, ConflictError, RequestAbortedError } from '../middleware/errorHandler.js';
+import { rateLimiter, getClientKey, publicClientKey } from '../middleware/rateLimiter.js';
 
 const router = express.Router();
 
+/**
+ * Charge an LLM outcome (result or error) to the caller; see chargeUsage
+ */
+function trackUsage(req, res, endpoint, outcome) {
+  chargeUsage(endpoint, res.locals.clientKey || getClientKey(req), outcome); // Set by the rate limiter
+}
+
+/**
+ * Abort signal for the LLM work behind a request: fires when the client
+ * disconnects (e.g. hits Cancel) before we've finished answering, so the
+ * in-flight provider call and any retry backoff stop with it.
+ */
+function abortOnDisconnect(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  return controller.signal;
+}
+
+/**
+ * Who is calling a map route: their client key (an owner when it is a
+ * configured API key) and the edit tokens sent in X-Edit-Token, which lists
+ * several comma-separated when asking for every map a client holds
+ * @returns {import('../services/mapRepository.js').MapCaller}
+ */
+function mapCaller(req) {
+  return {
+    clientKey: getClientKey(req),
+    editTokens: (req.get('x-edit-token') || '').split(',').map(token => token.trim()).filter(Boolean)
+  };
+}
+
+/**
+ * Only let callers with the map's edit token or owning API key through to
+ * /maps/:id routes (401 otherwise, 404 if there is no such map)
+ */
+async function requireMapAccess(req, res, next) {
+  try {
+    await mapRepository.authorize(req.params.id, mapCaller(req));
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Saved maps use their version as a strong ETag
+function etagFor(map) {
+  return `"${map.version}"`;
+}
+
+/**
+ * Version a write is based on, from If-Match ("3", W/"3"; * means any) or
+ * the body's version field
+ * @returns {number|undefined}
+ * @throws {ValidationError}
+ */
+function expectedVersion(req, bodyVersion) {
+  const header = req.get('if-match');
+  if (!header) return bodyVersion;
+  if (header.trim() === '*') return undefined;
+
+  const version = Number(header.trim().replace(/^W\//, '').replace(/"/g, ''));
+  if (!Number.isInteger(version) || version < 1) {
+    throw new ValidationError(`If-Match must be a map version ETag, e.g. "3" (got ${header})`);
+  }
+  return version;
+}
+
+/**
+ * A map open in a collaboration room is saved by the room, so direct writes
+ * would fork its history
+ * @throws {ConflictError}
+ */
+function refuseWhileLive(id) {
+  if (collabHub.isLive(id)) {
+    throw new ConflictError('This map is being edited live; save it from the collaboration session', { id, live: true });
+  }
+}
+
 /**
  * POST /api/generate
  * Main endpoint: Generate a knowledge map from a text prompt
@@ -13,67 +126,666 @@ const router = express.Router();
  * {
  *   "prompt": "string (required)",
  *   "context": "string (optional)",
- *   "provider": "openai|anthropic (optional)",
+ *   "provider": "registry provider name, e.g. openai|anthropic|groq (optional)",
+ *   "template": "learning-plan|project-plan|character-map|argument-map (optional, see /api/templates)",
  *   "model": "string (optional)",
  *   "temperature": number (optional, 0-2),
- *   "maxTokens": number (optional)
+ *   "maxTokens": number (optional),
+ *   "cache": "prefer|bypass|only" (optional, default prefer; only returns 404 on a miss)
  * }
  *
  * Response:
  * {
  *   "success": true,
  *   "data": { mapJson },
- *   "metadata": { provider, model, usage, fallback }
+ *   "metadata": { provider, model, template, usage, fallback, repairRounds, cached, attempts, warning }
  * }
  */
-router.post('/generate', async (req, res, next) => {
+router.post('/generate', rateLimiter, async (req, res, next) => {
   try {
-    // Validate request
-    const validation = validateRequest(req.body);
-    if (!validation.success) {
-      throw new ValidationError('Invalid request parameters', validation.error);
-    }
+    const { prompt, context, provider, template, model, temperature, maxTokens, cache } = parseGenerateRequest(req.body);
+
+    // Generate map (or serve an identical earlier one from the cache)
+    const result = await llmService.generateMap(prompt, context, {
+      provider,
+      template,
+      model,
+      temperature,
+      maxTokens,
+      cache,
+      signal: abortOnDisconnect(res)
+    });
+
+    trackUsage(req, res, 'generate', result);
+
+    res.json(buildGenerateResponse(result));
+  } catch (error) {
+    trackUsage(req, res, 'generate', error);
+    next(error);
+  }
+});
 
-    const { prompt, context, provider, model, temperature, maxTokens } = validation.data;
+/**
+ * POST /api/generate/stream
+ * Streaming variant of /api/generate using Server-Sent Events
+ *
+ * Request body: same as /api/generate
+ *
+ * Events:
+ *   event: territory | node | edge   data: { item }       (as soon as parseable)
+ *   event: done                      data: same body as /api/generate (MapSchema-validated)
+ *   event: error                     data: { error: { message, type } }
+ */
+router.post('/generate/stream', rateLimiter, async (req, res, next) => {
+  let options;
+  try {
+    options = parseGenerateRequest(req.body);
+  } catch (error) {
+    return next(error);
+  }
 
-    // Check if requested provider is available
-    if (provider && !llmService.isProviderAvailable(provider)) {
-      throw new LLMProviderError(
-        `Provider '${provider}' is not configured. Please set the appropriate API key.`,
-        provider
-      );
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    const { prompt, context, provider, template, model, temperature, maxTokens, cache } = options;
+
+    const result = await llmService.generateMapStream(prompt, context, {
+      provider,
+      template,
+      model,
+      temperature,
+      maxTokens,
+      cache,
+      signal: abortOnDisconnect(res)
+    }, (kind, item) => sendEvent(kind, { item }));
+
+    trackUsage(req, res, 'generate', result);
+    sendEvent('done', buildGenerateResponse(result));
+  } catch (error) {
+    trackUsage(req, res, 'generate', error);
+
+    if (error instanceof RequestAbortedError) {
+      console.log('🛑 Streaming generation cancelled by the client');
+      return;
     }
 
-    // Generate map
-    const result = await llmService.generateMap(prompt, context, {
+    console.error('❌ Streaming generation failed:', error.message);
+    sendEvent('error', {
+      error: {
+        message: error.message || 'Map generation failed',
+        type: error.name || 'Error'
+      }
+    });
+  } finally {
+    res.end();
+  }
+});
+
+/**
+ * POST /api/expand
+ * Grow one node of the current map with new children
+ *
+ * Request body:
+ * {
+ *   "map": MapSchema map the client currently shows (required),
+ *   "nodeId": "id of the node to expand (required)",
+ *   "count": number (optional, 1-12, default 5),
+ *   "instruction": "string (optional), e.g. 'focus on testing tools'",
+ *   "template", "provider", "model", "temperature", "maxTokens": as for /api/generate
+ * }
+ *
+ * Response (additions only; ids never collide with ids already in the map):
+ * {
+ *   "success": true,
+ *   "data": { nodes, edges, territory?, territoryId },
+ *   "metadata": { provider, model, template, usage, fallback, repairRounds, attempts, issues, warning }
+ * }
+ */
+router.post('/expand', rateLimiter, async (req, res, next) => {
+  try {
+    const { map, nodeId, count, instruction, provider, template, model, temperature, maxTokens } = parseExpandRequest(req.body);
+
+    const result = await llmService.expandNode(map, nodeId, {
       provider,
+      template,
       model,
       temperature,
-      maxTokens
+      maxTokens,
+      count,
+      instruction,
+      signal: abortOnDisconnect(res)
     });
 
-    // Build response
-    const response = {
-      success: true,
-      data: result.mapJson,
-      metadata: {
-        provider: result.provider,
-        model: result.model,
-        fallback: result.fallback || false
-      }
-    };
+    trackUsage(req, res, 'expand', result);
+
+    res.json(buildExpandResponse(result));
+  } catch (error) {
+    trackUsage(req, res, 'expand', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/refine
+ * Apply a natural-language change to the current map as a patch
+ *
+ * Request body:
+ * {
+ *   "map": MapSchema map the client currently shows (required),
+ *   "instruction": "string (required), e.g. 'remove everything about vocabulary'",
+ *   "template", "provider", "model", "temperature", "maxTokens": as for /api/generate
+ * }
+ *
+ * Response (every operation is checked against the map's current ids):
+ * {
+ *   "success": true,
+ *   "data": { summary, operations: [{ op: add|update|remove, kind: node|edge|territory, id, fields }] },
+ *   "metadata": { provider, model, template, usage, fallback, repairRounds, attempts, issues, warning }
+ * }
+ */
+router.post('/refine', rateLimiter, async (req, res, next) => {
+  try {
+    const { map, instruction, provider, template, model, temperature, maxTokens } = parseRefineRequest(req.body);
+
+    const result = await llmService.refineMap(map, instruction, {
+      provider,
+      template,
+      model,
+      temperature,
+      maxTokens,
+      signal: abortOnDisconnect(res)
+    });
 
-    // Include usage data if available
-    if (result.usage) {
-      response.metadata.usage = result.usage;
+    trackUsage(req, res, 'refine', result);
+
+    res.json(buildRefineResponse(result));
+  } catch (error) {
+    trackUsage(req, res, 'refine', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/chat
+ * One turn of a conversation about the current map
+ *
+ * Request body:
+ * {
+ *   "map": MapSchema map the client currently shows (required),
+ *   "message": "string (required)",
+ *   "history": [{ "role": "user|assistant", "content": "string" }] (optional, oldest first, max 40),
+ *   "template", "provider", "model", "temperature", "maxTokens": as for /api/generate
+ * }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "data": { reply, patch: { summary, operations } | null },
+ *   "metadata": { provider, model, template, usage, fallback, repairRounds, attempts, issues, warning }
+ * }
+ */
+router.post('/chat', rateLimiter, async (req, res, next) => {
+  try {
+    const { map, message, history, provider, template, model, temperature, maxTokens } = parseChatRequest(req.body);
+
+    const result = await llmService.chat(map, message, history, {
+      provider,
+      template,
+      model,
+      temperature,
+      maxTokens,
+      signal: abortOnDisconnect(res)
+    });
+
+    trackUsage(req, res, 'chat', result);
+
+    res.json(buildChatResponse(result));
+  } catch (error) {
+    trackUsage(req, res, 'chat', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/analyze
+ * SWOT analysis of the user's description and/or current map
+ *
+ * Request body (at least one of prompt and map):
+ * {
+ *   "prompt": "string (optional), the user's description of their situation",
+ *   "map": MapSchema map the client currently shows (optional),
+ *   "template", "provider", "model", "temperature", "maxTokens": as for /api/generate
+ * }
+ *
+ * Response (nodeIds only reference nodes of the given map):
+ * {
+ *   "success": true,
+ *   "data": { strengths, weaknesses, opportunities, threats: [{ text, nodeIds }] },
+ *   "metadata": { provider, model, template, usage, fallback, repairRounds, attempts, issues, warning }
+ * }
+ */
+router.post('/analyze', rateLimiter, async (req, res, next) => {
+  try {
+    const { prompt, map, provider, template, model, temperature, maxTokens } = parseAnalyzeRequest(req.body);
+
+    const result = await llmService.analyzeSwot(prompt || '', map || null, {
+      provider,
+      template,
+      model,
+      temperature,
+      maxTokens,
+      signal: abortOnDisconnect(res)
+    });
+
+    trackUsage(req, res, 'analyze', result);
+
+    res.json(buildAnalyzeResponse(result));
+  } catch (error) {
+    trackUsage(req, res, 'analyze', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/plan
+ * Turn a SWOT analysis into a plan map
+ *
+ * Request body:
+ * {
+ *   "swot": { strengths, weaknesses, opportunities, threats: [{ text, nodeIds }] } (required, at least one item),
+ *   "prompt": "string (optional), the user's description",
+ *   "template", "provider", "model", "temperature", "maxTokens": as for /api/generate
+ * }
+ *
+ * Response: as for /api/generate. Nodes built from an item have ids starting
+ * with its key ("w2-..." for the second weakness). Without an LLM the plan
+ * comes from the line-splitting converter (provider "keyword").
+ */
+router.post('/plan', rateLimiter, async (req, res, next) => {
+  try {
+    const { swot, prompt, provider, template, model, temperature, maxTokens } = parsePlanRequest(req.body);
+
+    const result = await llmService.planFromSwot(swot, prompt, {
+      provider,
+      template,
+      model,
+      temperature,
+      maxTokens,
+      signal: abortOnDisconnect(res)
+    });
+
+    trackUsage(req, res, 'plan', result);
+
+    res.json(buildGenerateResponse(result));
+  } catch (error) {
+    trackUsage(req, res, 'plan', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/jobs
+ * Queue a map generation and answer at once; poll GET /api/jobs/:id for the result
+ *
+ * Request body: same as /api/generate
+ *
+ * Response (202, Location: /api/jobs/:id):
+ * {
+ *   "success": true,
+ *   "data": { id, status: "queued|running", position, progress, result: null, error: null, createdAt, ... }
+ * }
+ * A job starts at once when a slot is free, so it can already be "running".
+ */
+router.post('/jobs', rateLimiter, async (req, res, next) => {
+  try {
+    const request = parseGenerateRequest(req.body);
+    const job = await jobQueue.submit(request, { clientKey: getClientKey(req) });
+
+    res.status(202).location(`${req.baseUrl}/jobs/${job.id}`).json({ success: true, data: job });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/jobs/:id
+ * Status, progress and (once succeeded) the result of a generation job
+ *
+ * Query: ?after=N skips the first N streamed items (pass the last nextEvent)
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     id, status: "queued|running|succeeded|failed|cancelled",
+ *     position,                                  (while queued, 1 = next)
+ *     progress: { territories, nodes, edges },   (items streamed so far)
+ *     events: [{ kind, item }], nextEvent,       (while running)
+ *     result,                                    (same body as /api/generate)
+ *     error: { message, type },
+ *     createdAt, startedAt, finishedAt
+ *   }
+ * }
+ */
+router.get('/jobs/:id', async (req, res, next) => {
+  try {
+    const query = JobQuerySchema.safeParse(req.query);
+    if (!query.success) {
+      throw new ValidationError('Invalid job query', query.error.errors);
     }
 
-    // Include error message if fallback was used
-    if (result.error) {
-      response.metadata.warning = result.error;
+    res.json({ success: true, data: await jobQueue.get(req.params.id, query.data) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/jobs/:id
+ * Cancel a queued or running job (the provider call is aborted);
+ * deletes a finished one. Responds with the job as it ended.
+ */
+router.delete('/jobs/:id', async (req, res, next) => {
+  try {
+    res.json({ success: true, data: await jobQueue.cancel(req.params.id) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/maps
+ * The saved maps the caller may open, most recently updated first (without
+ * their canvas state): those whose edit tokens are sent in X-Edit-Token
+ * (comma-separated) and those saved with the caller's API key
+ *
+ * Response:
+ * { "success": true, "data": [{ id, name, version, createdAt, updatedAt, counts: { territories, nodes, edges } }] }
+ */
+router.get('/maps', async (req, res, next) => {
+  try {
+    res.json({ success: true, data: await mapRepository.list(mapCaller(req)) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/maps
+ * Save a new map
+ *
+ * Request body:
+ * {
+ *   "id": "string (optional, letters/digits/-/_; defaults to a new UUID)",
+ *   "name": "string (required)",
+ *   "state": { territories, nodes, edges, swot? },   (canvas state, as the client holds it)
+ *   "author": "string (optional, recorded on the revision; defaults to the client key)"
+ * }
+ *
+ * Response (201, Location: /api/maps/:id, ETag: "1"):
+ * { "success": true, "data": { id, name, version: 1, createdAt, updatedAt, createdBy, updatedBy, state, editToken } }
+ * 409 if a map with this id exists.
+ *
+ * editToken is returned this once: every /api/maps/:id route below needs it
+ * in X-Edit-Token, unless the map was saved with a configured X-API-Key and
+ * the caller sends that key.
+ */
+router.post('/maps', async (req, res, next) => {
+  try {
+    const validation = validateRequest(req.body, MapCreateSchema);
+    if (!validation.success) {
+      throw new ValidationError('Invalid map', validation.error);
     }
 
-    res.json(response);
+    const { author, ...input } = validation.data;
+    const clientKey = getClientKey(req);
+    const map = await mapRepository.create({
+      ...input,
+      author: author || publicClientKey(clientKey),
+      owner: clientKey.startsWith('key:') ? clientKey : null
+    });
+    console.log(`🗂️ Saved map ${map.id} "${map.name}"`);
+
+    res.status(201)
+      .location(`${req.baseUrl}/maps/${map.id}`)
+      .set('ETag', etagFor(map))
+      .json({ success: true, data: map });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/maps/:id
+ * One saved map with its canvas state. Sends ETag: "<version>";
+ * If-None-Match with the current ETag answers 304.
+ */
+router.get('/maps/:id', requireMapAccess, async (req, res, next) => {
+  try {
+    const map = await mapRepository.get(req.params.id);
+    res.set('ETag', etagFor(map)).json({ success: true, data: map });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/maps/:id
+ * Replace a map's name and/or state (optimistic concurrency)
+ *
+ * Headers: If-Match: "<version>" (or send "version" in the body) is required
+ *
+ * Request body: { "name"?: string, "state"?: {...}, "version"?: number, "author"?: string }
+ *
+ * Every update is kept as a revision (see /api/maps/:id/revisions).
+ * Response (ETag: new version): { "success": true, "data": map }
+ * 412 with details { version } when the map changed since that version.
+ * 409 with details { live: true } while a collaboration room has the map open
+ * (the room saves it instead, see collabHub).
+ */
+router.put('/maps/:id', requireMapAccess, async (req, res, next) => {
+  try {
+    const validation = validateRequest(req.body, MapUpdateSchema);
+    if (!validation.success) {
+      throw new ValidationError('Invalid map update', validation.error);
+    }
+
+    refuseWhileLive(req.params.id);
+    const { version, author, ...changes } = validation.data;
+    const expected = expectedVersion(req, version);
+    if (expected === undefined && req.get('if-match')?.trim() !== '*') {
+      throw new ValidationError('Send If-Match: "<version>" (or a version field) to update a map');
+    }
+
+    const map = await mapRepository.update(req.params.id, changes, {
+      expectedVersion: expected,
+      author: author || publicClientKey(getClientKey(req))
+    });
+    console.log(`🗂️ Updated map ${map.id} to version ${map.version}`);
+
+    res.set('ETag', etagFor(map)).json({ success: true, data: map });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/maps/:id/revisions
+ * Every saved version of a map, newest first, without canvas state
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "data": [{
+ *     mapId, rev, action: "create|update|restore", restoredFrom?, author, createdAt, name, rename?,
+ *     diff: { territories|nodes|edges: { added, removed, changed: [{ id, label, fields: { status: { from, to } } }], moved }, swot }
+ *   }]
+ * }
+ */
+router.get('/maps/:id/revisions', requireMapAccess, async (req, res, next) => {
+  try {
+    res.json({ success: true, data: await mapRepository.listRevisions(req.params.id) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/maps/:id/revisions/:rev
+ * One revision, including the canvas state it saved
+ */
+router.get('/maps/:id/revisions/:rev', requireMapAccess, async (req, res, next) => {
+  try {
+    const params = RevisionParamsSchema.safeParse(req.params);
+    if (!params.success) {
+      throw new ValidationError('Invalid revision', params.error.errors);
+    }
+
+    const revision = await mapRepository.getRevision(req.params.id, params.data.rev);
+    res.json({ success: true, data: revision });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/maps/:id/restore
+ * Save an earlier revision's name and state as a new version (history is kept)
+ *
+ * Headers: If-Match: "<version>" (optional, or "version" in the body)
+ * Request body: { "rev": number, "version"?: number, "author"?: string }
+ *
+ * Response (ETag: new version): { "success": true, "data": map }
+ * 409 with details { live: true } while a collaboration room has the map open.
+ */
+router.post('/maps/:id/restore', requireMapAccess, async (req, res, next) => {
+  try {
+    const validation = validateRequest(req.body, MapRestoreSchema);
+    if (!validation.success) {
+      throw new ValidationError('Invalid restore request', validation.error);
+    }
+
+    refuseWhileLive(req.params.id);
+    const { rev, version, author } = validation.data;
+    const map = await mapRepository.restore(req.params.id, rev, {
+      expectedVersion: expectedVersion(req, version),
+      author: author || publicClientKey(getClientKey(req))
+    });
+    console.log(`⏪ Restored map ${map.id} to revision ${rev} (now version ${map.version})`);
+
+    res.set('ETag', etagFor(map)).json({ success: true, data: map });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/maps/:id/shares
+ * Publish a map read-only under a new share token (GET /api/share/:token)
+ *
+ * Request body: { "expiresAt"?: "ISO date" | null }  (omitted/null: never expires)
+ *
+ * Response (201): { "success": true, "data": { token, mapId, createdAt, expiresAt } }
+ */
+router.post('/maps/:id/shares', requireMapAccess, async (req, res, next) => {
+  try {
+    const validation = validateRequest(req.body, ShareCreateSchema);
+    if (!validation.success) {
+      throw new ValidationError('Invalid share request', validation.error);
+    }
+
+    const share = await mapRepository.createShare(req.params.id, validation.data);
+    console.log(`🔗 Shared map ${share.mapId}${share.expiresAt ? ` until ${share.expiresAt}` : ''}`);
+
+    res.status(201).json({ success: true, data: share });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/maps/:id/shares
+ * A map's shares, newest first; expired ones are flagged "expired". Each has
+ * an id and a short hint but never its token, which only the POST returns.
+ */
+router.get('/maps/:id/shares', requireMapAccess, async (req, res, next) => {
+  try {
+    res.json({ success: true, data: await mapRepository.listShares(req.params.id) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/maps/:id/shares/:shareId
+ * Revoke a share; its link stops working at once
+ */
+router.delete('/maps/:id/shares/:shareId', requireMapAccess, async (req, res, next) => {
+  try {
+    const share = await mapRepository.deleteShare(req.params.id, req.params.shareId);
+    console.log(`🔗 Revoked a share of map ${share.mapId}`);
+
+    res.json({ success: true, data: share });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/share/:token
+ * The latest version of a shared map, for the read-only viewer. Editing it
+ * takes the map's edit token, which a share never hands out; the map's id is
+ * left out as well.
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "data": { name, version, updatedAt, expiresAt, state: { territories, nodes, edges, swot? } }
+ * }
+ */
+router.get('/share/:token', async (req, res, next) => {
+  try {
+    const { share, map } = await mapRepository.getSharedMap(req.params.token);
+
+    res.json({
+      success: true,
+      data: {
+        name: map.name,
+        version: map.version,
+        updatedAt: map.updatedAt,
+        expiresAt: share.expiresAt,
+        state: map.state
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/maps/:id
+ * Delete a saved map with its revisions and shares; If-Match (optional) guards against deleting newer changes.
+ * A collaboration room on the map is closed.
+ *
+ * Response: { "success": true, "data": { id, name, version, ..., counts } }
+ */
+router.delete('/maps/:id', requireMapAccess, async (req, res, next) => {
+  try {
+    const map = await mapRepository.delete(req.params.id, { expectedVersion: expectedVersion(req) });
+    collabHub.closeRoom(map.id, 'This map was deleted');
+    console.log(`🗑️ Deleted map ${map.id}`);
+
+    res.json({ success: true, data: summarizeSavedMap(map) });
   } catch (error) {
     next(error);
   }
@@ -82,18 +794,19 @@ router.post('/generate', async (req, res, next) => {
 /**
  * GET /api/providers
  * Get list of available and configured LLM providers
+ * "providers" lists registry entries with protocol and capability flags
  */
 router.get('/providers', (req, res) => {
-  const available = llmService.getAvailableProviders();
-
-  res.json({
-    success: true,
-    data: {
-      available,
-      supported: ['openai', 'anthropic'],
-      default: process.env.DEFAULT_LLM_PROVIDER || 'openai'
-    }
-  });
+  res.json(getProviderStatus());
+});
+
+/**
+ * GET /api/templates
+ * Prompt templates ("map genres") for the sidebar picker: id, name,
+ * description, node/edge type vocabularies and count guidance
+ */
+router.get('/templates', (req, res) => {
+  res.json(getTemplateList());
 });
 
 /**
@@ -101,27 +814,59 @@ router.get('/providers', (req, res) => {
  * Health check endpoint with provider status
  */
 router.get('/health', (req, res) => {
-  const availableProviders = llmService.getAvailableProviders();
-
-  res.json({
-    success: true,
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    providers: {
-      available: availableProviders,
-      count: availableProviders.length
+  res.json(getHealthStatus());
+});
+
+/**
+ * GET /api/usage
+ * Token and cost totals from the usage log
+ *
+ * Query (all optional): from, to (YYYY-MM-DD, UTC, inclusive), provider, clientKey
+ * Client IPs are never shown: "ip:" keys are a keyed hash of the address.
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "currency": "USD",
+ *     "totals": { requests, promptTokens, completionTokens, totalTokens, cost, unpricedRequests },
+ *     "byDay": { "2025-01-31": totals }, "byProvider": {...}, "byModel": {...}, "byClient": {...}
+ *   }
+ * }
+ */
+router.get('/usage', async (req, res, next) => {
+  try {
+    const query = UsageQuerySchema.safeParse(req.query);
+    if (!query.success) {
+      throw new ValidationError('Invalid usage query', query.error.errors);
     }
-  });
+
+    res.json({
+      success: true,
+      data: await usageStore.aggregate(query.data)
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
 /**
  * POST /api/validate
  * Validate map structure without generating
  * Useful for testing and debugging map JSON
+ *
+ * Runs the MapSchema shape check, then referential-integrity checks.
+ * Query: ?autoFix=true drops dangling edges/references and dedupes ids
+ *
+ * Response:
+ * {
+ *   "success": boolean,
+ *   "report": { valid, errors, warnings, fixed, issues: [{ level, path, message, fixed? }] },
+ *   "data": map (auto-fixed copy when requested)
+ * }
  */
-router.post('/validate', async (req, res, next) => {
+router.post('/validate', (req, res, next) => {
   try {
-    const { validateMap } = await import('../schemas/mapSchema.js');
     const validation = validateMap(req.body);
 
     if (!validation.success) {
@@ -132,10 +877,17 @@ router.post('/validate', async (req, res, next) => {
       });
     }
 
-    res.json({
-      success: true,
-      message: 'Map structure is valid',
-      data: validation.data
+    const autoFix = req.query.autoFix === 'true';
+    const integrity = checkMapIntegrity(validation.data, { autoFix });
+
+    res.status(integrity.valid ? 200 : 400).json({
+      success: integrity.valid,
+      message: integrity.valid ? 'Map structure is valid' : 'Map has integrity errors',
+      report: {
+        ...summarizeIntegrity(integrity),
+        issues: integrity.issues
+      },
+      data: integrity.map
     });
   } catch (error) {
     next(error);
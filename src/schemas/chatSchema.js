@@ -0,0 +1,48 @@
+import { z } from 'zod';
+import { MapPatchSchema, validatePatch } from './mapPatch.js';
+
+/**
+ * Map Chat
+ *
+ * Shape of one assistant turn in the map chat: a message for the
+ * transcript plus an optional patch (src/schemas/mapPatch.js) the user can
+ * accept or reject.
+ *
+ * Pure functions (no Node/browser APIs) so both server and client can use them.
+ */
+
+export const ChatReplySchema = z.object({
+  reply: z.string().min(1),
+  patch: MapPatchSchema.optional()
+});
+
+/**
+ * Validate a chat reply; a proposed patch must apply cleanly to the map
+ * @param {Object} data - Candidate reply
+ * @param {Object} map - Map the conversation is about
+ * @param {Object} [vocabulary] - { nodeTypes, edgeTypes }
+ * @returns {{ success: true, data: Object, issues: Array } | { success: false, error: Array }}
+ */
+export function validateChatReply(data, map, vocabulary = null) {
+  const shape = ChatReplySchema.safeParse(data);
+  if (!shape.success) {
+    return { success: false, error: shape.error.errors };
+  }
+
+  const { reply, patch } = shape.data;
+
+  // A patch without operations is no proposal at all
+  if (!patch || patch.operations.length === 0) {
+    return { success: true, data: { reply, patch: null }, issues: [] };
+  }
+
+  const validation = validatePatch(patch, map, vocabulary);
+  if (!validation.success) {
+    return {
+      success: false,
+      error: validation.error.map(issue => ({ ...issue, path: ['patch', ...issue.path] }))
+    };
+  }
+
+  return { success: true, data: { reply, patch: validation.data }, issues: validation.issues };
+}
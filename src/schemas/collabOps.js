@@ -0,0 +1,117 @@
+import { z } from 'zod';
+
+/**
+ * Collaboration Operations
+ *
+ * Edits shared between people working on the same canvas at once. Each one
+ * is small and says what it sets rather than what it changes from, so
+ * applying the same sequence of operations gives the same canvas everywhere:
+ * - move: a node's position (node drags)
+ * - update: a node's label, note and/or status (inspector edits)
+ * - add: a new node (quick add)
+ * - delete: a node, its edges and its territory membership (deleteNode)
+ *
+ * The server puts operations in one order and everyone applies them in that
+ * order; concurrent edits to the same field end with the later one.
+ *
+ * Pure functions (no Node/browser APIs) so both server and client can use them.
+ */
+
+/**
+ * @typedef {Object} CollabOp
+ * @property {'move'|'update'|'add'|'delete'} kind
+ * @property {string} [nodeId] - move, update, delete
+ * @property {number} [x] - move
+ * @property {number} [y] - move
+ * @property {Object} [fields] - update: { label?, note?, status? }
+ * @property {Object} [node] - add: the full node
+ */
+
+// Node fields an update may set
+export const SHARED_NODE_FIELDS = ['label', 'note', 'status'];
+
+const NodeId = z.string().min(1).max(200);
+
+export const CollabOpSchema = z.discriminatedUnion('kind', [
+  z.object({ kind: z.literal('move'), nodeId: NodeId, x: z.number().finite(), y: z.number().finite() }),
+  z.object({
+    kind: z.literal('update'),
+    nodeId: NodeId,
+    fields: z.object({
+      label: z.string().max(500).optional(),
+      note: z.string().max(20000).optional(),
+      status: z.enum(['todo', 'in-progress', 'done']).optional()
+    }).strict()
+  }),
+  z.object({
+    kind: z.literal('add'),
+    node: z.object({
+      id: NodeId,
+      label: z.string().max(500),
+      x: z.number().finite(),
+      y: z.number().finite()
+    }).passthrough()
+  }),
+  z.object({ kind: z.literal('delete'), nodeId: NodeId })
+]);
+
+/**
+ * Fields of a node an operation writes, e.g. ['x', 'y'] for a move
+ * @param {CollabOp} op
+ * @returns {string[]}
+ */
+export function opFields(op) {
+  if (op.kind === 'move') return ['x', 'y'];
+  if (op.kind === 'update') return Object.keys(op.fields);
+  return [];
+}
+
+/**
+ * Apply an operation to a canvas state, in place (reactive arrays stay reactive)
+ * @param {{ territories: Object[], nodes: Object[], edges: Object[] }} state
+ * @param {CollabOp} op
+ * @returns {boolean} False if it no longer applies (e.g. the node was deleted)
+ */
+export function applyOp(state, op) {
+  switch (op.kind) {
+    case 'move': {
+      const node = state.nodes.find(n => n.id === op.nodeId);
+      if (!node) return false;
+      node.x = op.x;
+      node.y = op.y;
+      return true;
+    }
+
+    case 'update': {
+      const node = state.nodes.find(n => n.id === op.nodeId);
+      if (!node) return false;
+      Object.assign(node, op.fields);
+      return true;
+    }
+
+    case 'add': {
+      if (state.nodes.some(n => n.id === op.node.id)) return false;
+      state.nodes.push({ ...op.node });
+      return true;
+    }
+
+    case 'delete': {
+      const index = state.nodes.findIndex(n => n.id === op.nodeId);
+      if (index === -1) return false;
+      state.nodes.splice(index, 1);
+
+      for (let i = state.edges.length - 1; i >= 0; i--) {
+        const edge = state.edges[i];
+        if (edge.source === op.nodeId || edge.target === op.nodeId) state.edges.splice(i, 1);
+      }
+      state.territories.forEach(territory => {
+        const member = territory.nodeIds?.indexOf(op.nodeId) ?? -1;
+        if (member !== -1) territory.nodeIds.splice(member, 1);
+      });
+      return true;
+    }
+
+    default:
+      return false;
+  }
+}
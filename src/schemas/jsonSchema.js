@@ -0,0 +1,102 @@
+/**
+ * Zod → JSON Schema
+ *
+ * Compiles the subset of Zod used by the map schemas (objects, arrays,
+ * strings, numbers, booleans, enums, optionals, records) into JSON Schema
+ * for provider-side structured output.
+ *
+ * Strict mode follows OpenAI's structured-output rules: every object lists all
+ * of its properties as required and forbids extra ones, optional fields become
+ * nullable, and free-form records (which strict mode can't express) are left
+ * out. Use stripNulls() on the result before Zod validation.
+ *
+ * Pure functions (no Node/browser APIs) so both server and client can use them.
+ */
+
+/**
+ * Compile a Zod schema to JSON Schema
+ * @param {import('zod').ZodTypeAny} schema
+ * @param {Object} [options]
+ * @param {boolean} [options.strict=false] - OpenAI strict structured-output rules
+ * @returns {Object} JSON Schema
+ */
+export function toJsonSchema(schema, { strict = false } = {}) {
+  const def = schema._def;
+
+  switch (def.typeName) {
+    case 'ZodObject': {
+      const properties = {};
+      const required = [];
+
+      Object.entries(schema.shape).forEach(([key, value]) => {
+        const optional = value.isOptional();
+        const inner = optional ? unwrapOptional(value) : value;
+
+        // Strict mode has no way to allow arbitrary keys
+        if (strict && inner._def.typeName === 'ZodRecord') return;
+
+        const compiled = toJsonSchema(inner, { strict });
+        if (strict) {
+          properties[key] = optional ? { anyOf: [compiled, { type: 'null' }] } : compiled;
+          required.push(key);
+        } else {
+          properties[key] = compiled;
+          if (!optional) required.push(key);
+        }
+      });
+
+      return {
+        type: 'object',
+        properties,
+        required,
+        ...(strict ? { additionalProperties: false } : {})
+      };
+    }
+    case 'ZodArray':
+      return { type: 'array', items: toJsonSchema(def.type, { strict }) };
+    case 'ZodString':
+      return { type: 'string' };
+    case 'ZodNumber':
+      return { type: 'number' };
+    case 'ZodBoolean':
+      return { type: 'boolean' };
+    case 'ZodEnum':
+      return { type: 'string', enum: [...def.values] };
+    case 'ZodOptional':
+    case 'ZodDefault':
+      return toJsonSchema(unwrapOptional(schema), { strict });
+    case 'ZodRecord':
+      return { type: 'object', additionalProperties: true };
+    case 'ZodAny':
+      return {};
+    default:
+      throw new Error(`toJsonSchema: unsupported Zod type ${def.typeName}`);
+  }
+}
+
+// ZodOptional / ZodDefault -> wrapped schema
+function unwrapOptional(schema) {
+  let inner = schema;
+  while (inner._def.typeName === 'ZodOptional' || inner._def.typeName === 'ZodDefault') {
+    inner = inner._def.innerType;
+  }
+  return inner;
+}
+
+/**
+ * Remove null-valued object properties, recursively. Strict structured
+ * output answers "not set" with null; Zod's .optional() expects the key to
+ * be absent.
+ * @param {*} value
+ * @returns {*}
+ */
+export function stripNulls(value) {
+  if (Array.isArray(value)) return value.map(stripNulls);
+  if (value === null || typeof value !== 'object') return value;
+
+  return Object.fromEntries(
+    Object.entries(value)
+      .filter(([, v]) => v !== null)
+      .map(([k, v]) => [k, stripNulls(v)])
+  );
+}
@@ -0,0 +1,131 @@
+/**
+ * Map Diff
+ *
+ * Structural difference between two canvas states: which territories, nodes
+ * and edges were added, removed, changed or moved, and for changed ones which
+ * fields went from what to what (e.g. status "todo" → "done").
+ *
+ * Layout (x, y, w, h) is reported separately as "moved" so dragging things
+ * around doesn't bury real edits.
+ *
+ * Pure functions (no Node/browser APIs) so both server and client can use them.
+ */
+
+/**
+ * @typedef {Object} CollectionDiff
+ * @property {{ id: string, label: string }[]} added
+ * @property {{ id: string, label: string }[]} removed
+ * @property {{ id: string, label: string, fields: Object<string, { from: *, to: * }> }[]} changed
+ * @property {{ id: string, label: string }[]} moved
+ */
+
+/**
+ * @typedef {Object} MapDiff
+ * @property {CollectionDiff} territories
+ * @property {CollectionDiff} nodes
+ * @property {CollectionDiff} edges
+ * @property {boolean} swot - Whether the SWOT analysis changed
+ */
+
+export const DIFF_COLLECTIONS = ['territories', 'nodes', 'edges'];
+
+const LAYOUT_FIELDS = ['x', 'y', 'w', 'h'];
+const IGNORED_FIELDS = ['id', 'timestamp'];
+
+// What an item is called in a change list
+function itemLabel(item) {
+  return item.label || item.name || (item.source ? `${item.source} → ${item.target}` : item.id);
+}
+
+// Territory membership is a set; its order doesn't matter
+function comparable(key, value) {
+  return JSON.stringify(key === 'nodeIds' && Array.isArray(value) ? [...value].sort() : value ?? null);
+}
+
+function diffCollection(before = [], after = []) {
+  const beforeById = new Map(before.map(item => [item.id, item]));
+  const afterIds = new Set(after.map(item => item.id));
+  const diff = { added: [], removed: [], changed: [], moved: [] };
+
+  after.forEach(item => {
+    const previous = beforeById.get(item.id);
+    if (!previous) {
+      diff.added.push({ id: item.id, label: itemLabel(item) });
+      return;
+    }
+
+    const fields = {};
+    let moved = false;
+    new Set([...Object.keys(previous), ...Object.keys(item)]).forEach(key => {
+      if (IGNORED_FIELDS.includes(key) || comparable(key, previous[key]) === comparable(key, item[key])) return;
+      if (LAYOUT_FIELDS.includes(key)) {
+        moved = true;
+      } else {
+        fields[key] = { from: previous[key] ?? null, to: item[key] ?? null };
+      }
+    });
+
+    if (Object.keys(fields).length > 0) diff.changed.push({ id: item.id, label: itemLabel(item), fields });
+    if (moved) diff.moved.push({ id: item.id, label: itemLabel(item) });
+  });
+
+  before
+    .filter(item => !afterIds.has(item.id))
+    .forEach(item => diff.removed.push({ id: item.id, label: itemLabel(item) }));
+
+  return diff;
+}
+
+/**
+ * Diff two canvas states
+ * @param {Object|null} before - { territories, nodes, edges, swot? }; null for a new map
+ * @param {Object} after
+ * @returns {MapDiff}
+ */
+export function diffMapStates(before, after) {
+  const diff = {};
+  DIFF_COLLECTIONS.forEach(collection => {
+    diff[collection] = diffCollection(before?.[collection], after[collection]);
+  });
+  diff.swot = comparable('swot', before?.swot) !== comparable('swot', after.swot);
+  return diff;
+}
+
+/**
+ * Totals for a change list, e.g. { added: 2, removed: 0, changed: 1, moved: 4 }
+ * @param {MapDiff} diff
+ * @returns {{ added: number, removed: number, changed: number, moved: number }}
+ */
+export function countDiff(diff) {
+  const counts = { added: 0, removed: 0, changed: 0, moved: 0 };
+  DIFF_COLLECTIONS.forEach(collection => {
+    Object.keys(counts).forEach(kind => {
+      counts[kind] += diff[collection][kind].length;
+    });
+  });
+  return counts;
+}
+
+/**
+ * One-line description, e.g. "+2 nodes, −1 edge, 1 node changed, SWOT changed"
+ * @param {MapDiff} diff
+ * @returns {string}
+ */
+export function describeDiff(diff) {
+  const parts = [];
+  const noun = (collection, n) => {
+    const singular = { territories: 'territory', nodes: 'node', edges: 'edge' }[collection];
+    return `${n} ${n === 1 ? singular : collection}`;
+  };
+
+  DIFF_COLLECTIONS.forEach(collection => {
+    const { added, removed, changed, moved } = diff[collection];
+    if (added.length > 0) parts.push(`+${noun(collection, added.length)}`);
+    if (removed.length > 0) parts.push(`−${noun(collection, removed.length)}`);
+    if (changed.length > 0) parts.push(`${noun(collection, changed.length)} changed`);
+    if (moved.length > 0) parts.push(`${noun(collection, moved.length)} moved`);
+  });
+  if (diff.swot) parts.push('SWOT changed');
+
+  return parts.join(', ') || 'No changes';
+}
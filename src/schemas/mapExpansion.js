@@ -0,0 +1,157 @@
+import { z } from 'zod';
+import { createMapSchemas } from './mapSchema.js';
+
+/**
+ * Node Expansion
+ *
+ * Schema for an LLM's expansion of one node (new child nodes, edges and an
+ * optional territory), and the deterministic step that fits it into the
+ * current map:
+ * - New ids never collide with any existing node, edge or territory id
+ * - Edges must touch at least one new node; dangling ones are dropped
+ * - Children the model left unconnected are linked to the parent
+ *
+ * Pure functions (no Node/browser APIs) so both server and client can use them.
+ */
+
+/**
+ * @typedef {Object} ResolvedExpansion
+ * @property {Object[]} nodes - New nodes only
+ * @property {Object[]} edges - New edges only (new-new or new-existing)
+ * @property {Object} [territory] - New territory holding the new nodes
+ * @property {string|null} territoryId - Territory the new nodes belong to:
+ *   the new one, the parent's, or null when the parent has none
+ * @property {{ path: string, message: string }[]} issues - What was renamed or dropped
+ */
+
+/**
+ * Build the expansion schema for a node/edge type vocabulary
+ * @param {Object} [vocabulary] - { nodeTypes, edgeTypes } of the template
+ * @returns {z.ZodObject}
+ */
+export function createExpansionSchema(vocabulary = {}) {
+  const { NodeSchema, EdgeSchema, TerritorySchema } = createMapSchemas(vocabulary);
+
+  return z.object({
+    territory: TerritorySchema.optional(),
+    nodes: z.array(NodeSchema).min(1),
+    edges: z.array(EdgeSchema)
+  });
+}
+
+/**
+ * Validate an expansion against the template's vocabulary
+ * @param {Object} data
+ * @param {Object} [vocabulary]
+ * @returns {{ success: true, data: Object } | { success: false, error: * }}
+ */
+export function validateExpansion(data, vocabulary = null) {
+  try {
+    return {
+      success: true,
+      data: createExpansionSchema(vocabulary || {}).parse(data)
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.errors || error.message
+    };
+  }
+}
+
+/**
+ * Fit a validated expansion into the map it expands
+ * @param {Object} map - Current MapSchema-shaped map
+ * @param {string} parentId - Id of the expanded node
+ * @param {Object} expansion - Validated { territory?, nodes, edges }
+ * @param {Object} [options]
+ * @param {string} [options.linkType] - Edge type for parent links added here
+ * @returns {ResolvedExpansion}
+ */
+export function resolveExpansion(map, parentId, expansion, { linkType } = {}) {
+  const issues = [];
+  const existingNodeIds = new Set(map.nodes.map(node => node.id));
+  const usedIds = new Set([
+    ...existingNodeIds,
+    ...map.edges.map(edge => edge.id),
+    ...(map.territories || []).map(territory => territory.id)
+  ]);
+
+  // "react" -> "react", then "react-2", "react-3", ...
+  const uniqueId = (base) => {
+    let id = base;
+    for (let n = 2; usedIds.has(id); n++) id = `${base}-${n}`;
+    usedIds.add(id);
+    return id;
+  };
+
+  // --- Nodes: the parent echoed back is dropped, colliding ids renamed ---
+  const nodeIdMap = new Map();
+  const nodes = [];
+  expansion.nodes.forEach((node, i) => {
+    if (node.id === parentId) {
+      issues.push({ path: `nodes[${i}]`, message: 'Dropped a copy of the expanded node' });
+      return;
+    }
+    if (nodeIdMap.has(node.id)) {
+      issues.push({ path: `nodes[${i}].id`, message: `Dropped duplicate node id "${node.id}"` });
+      return;
+    }
+
+    const id = uniqueId(node.id);
+    if (id !== node.id) {
+      issues.push({ path: `nodes[${i}].id`, message: `Renamed "${node.id}" to "${id}"` });
+    }
+    nodeIdMap.set(node.id, id);
+    nodes.push({ ...node, id });
+  });
+
+  // New ids win over existing ones: the model meant its own node
+  const resolveEnd = (id) => nodeIdMap.get(id) ?? (existingNodeIds.has(id) ? id : null);
+
+  // --- Edges: at least one end must be new, both ends must exist ---
+  const edges = [];
+  const connected = new Set();
+  expansion.edges.forEach((edge, i) => {
+    const source = resolveEnd(edge.source);
+    const target = resolveEnd(edge.target);
+
+    if (!source || !target) {
+      issues.push({ path: `edges[${i}]`, message: `Dropped edge "${edge.id}" with an unknown endpoint` });
+      return;
+    }
+    if (source === target || (existingNodeIds.has(source) && existingNodeIds.has(target))) {
+      issues.push({ path: `edges[${i}]`, message: `Dropped edge "${edge.id}" that adds no new node` });
+      return;
+    }
+
+    edges.push({ ...edge, id: uniqueId(edge.id), source, target });
+    connected.add(source);
+    connected.add(target);
+  });
+
+  // Children must hang off the map somewhere; default to the parent
+  nodes.forEach(node => {
+    if (connected.has(node.id)) return;
+    edges.push({
+      id: uniqueId(`${parentId}-${node.id}`),
+      source: parentId,
+      target: node.id,
+      ...(linkType ? { type: linkType } : {})
+    });
+  });
+
+  // --- Territory: a new one takes every new node, otherwise the parent's ---
+  let territory;
+  let territoryId = (map.territories || []).find(t => t.nodeIds.includes(parentId))?.id ?? null;
+  if (expansion.territory && nodes.length > 0) {
+    territory = {
+      ...expansion.territory,
+      id: uniqueId(expansion.territory.id),
+      nodeIds: nodes.map(node => node.id)
+    };
+    territoryId = territory.id;
+  }
+
+  return { nodes, edges, ...(territory ? { territory } : {}), territoryId, issues };
+}
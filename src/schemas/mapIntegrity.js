@@ -0,0 +1,163 @@
+/**
+ * Map Integrity Checks
+ *
+ * Semantic validation that runs after the MapSchema shape check:
+ * - Unique node, edge and territory ids
+ * - Edges and territory nodeIds only reference existing nodes
+ * - Each node belongs to at most one territory
+ *
+ * Pure functions (no Node/browser APIs) so both server and client can use them.
+ */
+
+/**
+ * @typedef {Object} IntegrityIssue
+ * @property {'error'|'warning'} level - Errors break the map, warnings are cosmetic
+ * @property {string} path - JSON path of the offending value, e.g. "edges[3].target"
+ * @property {string} message - Human-readable description
+ * @property {boolean} [fixed] - True if auto-fix resolved the issue
+ */
+
+/**
+ * @typedef {Object} IntegrityReport
+ * @property {boolean} valid - True if no unfixed errors remain
+ * @property {IntegrityIssue[]} issues - Every issue found, in map order
+ * @property {Object} map - The fixed copy in auto-fix mode, otherwise the input map
+ */
+
+/**
+ * Check referential integrity of a MapSchema-shaped map
+ * @param {Object} map - Map with nodes, edges and optional territories
+ * @param {Object} [options]
+ * @param {boolean} [options.autoFix=false] - Drop dangling references and dedupe ids
+ * @returns {IntegrityReport}
+ */
+export function checkMapIntegrity(map, { autoFix = false } = {}) {
+  const issues = [];
+  const report = (level, path, message, fixable) => {
+    issues.push({ level, path, message, ...(autoFix && fixable ? { fixed: true } : {}) });
+  };
+
+  // --- Nodes: duplicate ids (later duplicates are renamed on fix; edges and
+  // territories keep pointing at the first node with the id) ---
+  const nodeIds = new Set();
+  const nodes = (map.nodes || []).map((node, i) => {
+    let id = node.id;
+    if (nodeIds.has(id)) {
+      report('error', `nodes[${i}].id`, `Duplicate node id "${id}"`, true);
+      if (autoFix) id = uniqueId(id, nodeIds);
+    }
+    nodeIds.add(id);
+    return id === node.id ? node : { ...node, id };
+  });
+
+  // --- Edges: dangling references, duplicate ids, repeated connections ---
+  const edgeIds = new Set();
+  const connections = new Set();
+  const edges = [];
+  (map.edges || []).forEach((edge, i) => {
+    let dangling = false;
+    ['source', 'target'].forEach(end => {
+      if (!nodeIds.has(edge[end])) {
+        report('error', `edges[${i}].${end}`, `Edge ${end} "${edge[end]}" does not match any node`, true);
+        dangling = true;
+      }
+    });
+    if (dangling && autoFix) return;
+
+    if (edge.source === edge.target) {
+      report('warning', `edges[${i}]`, `Edge "${edge.id}" connects node "${edge.source}" to itself`, false);
+    }
+
+    const connection = `${edge.source}->${edge.target}:${edge.type || ''}`;
+    if (connections.has(connection)) {
+      report('warning', `edges[${i}]`, `Edge "${edge.id}" repeats an existing ${edge.source} → ${edge.target} connection`, true);
+      if (autoFix) return;
+    }
+    connections.add(connection);
+
+    let fixedEdge = edge;
+    if (edgeIds.has(edge.id)) {
+      report('error', `edges[${i}].id`, `Duplicate edge id "${edge.id}"`, true);
+      if (autoFix) fixedEdge = { ...edge, id: uniqueId(edge.id, edgeIds) };
+    }
+    edgeIds.add(fixedEdge.id);
+    edges.push(fixedEdge);
+  });
+
+  // --- Territories: duplicate ids, missing members, shared members ---
+  const territoryIds = new Set();
+  const owner = new Map(); // nodeId -> name of the territory that claimed it first
+  const territories = (map.territories || []).map((territory, i) => {
+    let id = territory.id;
+    if (territoryIds.has(id)) {
+      report('error', `territories[${i}].id`, `Duplicate territory id "${id}"`, true);
+      if (autoFix) id = uniqueId(id, territoryIds);
+    }
+    territoryIds.add(id);
+
+    const members = [];
+    (territory.nodeIds || []).forEach((nodeId, j) => {
+      const path = `territories[${i}].nodeIds[${j}]`;
+
+      if (!nodeIds.has(nodeId)) {
+        report('error', path, `Territory "${territory.name}" references missing node "${nodeId}"`, true);
+        if (autoFix) return;
+      } else if (members.includes(nodeId)) {
+        report('warning', path, `Node "${nodeId}" is listed twice in territory "${territory.name}"`, true);
+        if (autoFix) return;
+      } else if (owner.has(nodeId)) {
+        report('error', path, `Node "${nodeId}" already belongs to territory "${owner.get(nodeId)}"`, true);
+        if (autoFix) return;
+      }
+
+      if (!owner.has(nodeId)) owner.set(nodeId, territory.name);
+      members.push(nodeId);
+    });
+
+    if (members.length === 0) {
+      report('warning', `territories[${i}].nodeIds`, `Territory "${territory.name}" has no nodes`, false);
+    }
+
+    return { ...territory, id, nodeIds: members };
+  });
+
+  // Unassigned nodes only matter when the map uses territories at all
+  if (territories.length > 0) {
+    nodes.forEach((node, index) => {
+      if (!owner.has(node.id)) {
+        report('warning', `nodes[${index}]`, `Node "${node.label}" is not in any territory`, false);
+      }
+    });
+  }
+
+  const valid = !issues.some(issue => issue.level === 'error' && !issue.fixed);
+
+  return {
+    valid,
+    issues,
+    map: autoFix
+      ? { ...map, nodes, edges, ...(map.territories ? { territories } : {}) }
+      : map
+  };
+}
+
+/**
+ * Summarize a report as counts, e.g. for response metadata
+ * @param {IntegrityReport} report
+ * @returns {{ valid: boolean, errors: number, warnings: number, fixed: number }}
+ */
+export function summarizeIntegrity(report) {
+  return {
+    valid: report.valid,
+    errors: report.issues.filter(issue => issue.level === 'error').length,
+    warnings: report.issues.filter(issue => issue.level === 'warning').length,
+    fixed: report.issues.filter(issue => issue.fixed).length
+  };
+}
+
+// Suffix an id until it is unused: "node-1" -> "node-1-2", "node-1-3", ...
+function uniqueId(id, taken) {
+  let n = 2;
+  while (taken.has(`${id}-${n}`)) n++;
+  return `${id}-${n}`;
+}
@@ -0,0 +1,142 @@
+/**
+ * Map Merging
+ *
+ * Fits a newly generated map into the map already on the canvas, for the
+ * append and merge generation modes:
+ * - append: everything is added; ids that collide with existing ones are renamed
+ * - merge: incoming nodes whose normalized label matches an existing node
+ *   become that node (which keeps its id, position, note and status),
+ *   incoming territories join existing ones with the same normalized name,
+ *   and only what is new is added
+ *
+ * Pure functions (no Node/browser APIs) so both server and client can use them.
+ */
+
+/**
+ * @typedef {Object} ResolvedMerge
+ * @property {Object[]} territories - New territories, nodeIds listing new nodes only
+ * @property {Object[]} nodes - New nodes only
+ * @property {Object[]} edges - New edges only, endpoints resolved to canvas ids
+ * @property {Object<string, string[]>} joins - Existing territory id -> new node ids joining it
+ * @property {Object<string, string>} matches - Incoming node id -> existing node id it merged into
+ * @property {{ path: string, message: string }[]} issues - What was renamed or dropped
+ */
+
+/**
+ * Label used to match nodes and territories: case, accents, punctuation
+ * and spacing don't count ("Writing — Task 1" matches "writing task 1")
+ * @param {string} label
+ * @returns {string}
+ */
+export function normalizeLabel(label = '') {
+  return label
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Resolve an incoming map against the current one
+ * @param {Object} current - MapSchema-shaped map on the canvas
+ * @param {Object} incoming - Validated, integrity-checked generated map
+ * @param {Object} [options]
+ * @param {'append'|'merge'} [options.mode='append']
+ * @returns {ResolvedMerge}
+ */
+export function resolveIncomingMap(current, incoming, { mode = 'append' } = {}) {
+  const merge = mode === 'merge';
+  const issues = [];
+  const usedIds = new Set([
+    ...current.nodes.map(node => node.id),
+    ...current.edges.map(edge => edge.id),
+    ...(current.territories || []).map(territory => territory.id)
+  ]);
+
+  // "react" -> "react", then "react-2", "react-3", ...
+  const uniqueId = (base) => {
+    let id = base;
+    for (let n = 2; usedIds.has(id); n++) id = `${base}-${n}`;
+    usedIds.add(id);
+    return id;
+  };
+
+  // --- Nodes: matched by label (merge), otherwise added under a free id ---
+  const nodesByLabel = new Map();
+  if (merge) {
+    current.nodes.forEach(node => {
+      const key = normalizeLabel(node.label);
+      if (!nodesByLabel.has(key)) nodesByLabel.set(key, node.id);
+    });
+  }
+
+  const nodeIdMap = new Map();
+  const matches = {};
+  const nodes = [];
+  incoming.nodes.forEach((node, i) => {
+    const existing = nodesByLabel.get(normalizeLabel(node.label));
+    if (existing) {
+      nodeIdMap.set(node.id, existing);
+      matches[node.id] = existing;
+      return;
+    }
+
+    const id = uniqueId(node.id);
+    if (id !== node.id) {
+      issues.push({ path: `nodes[${i}].id`, message: `Renamed "${node.id}" to "${id}"` });
+    }
+    nodeIdMap.set(node.id, id);
+    nodes.push({ ...node, id });
+    // Later incoming nodes with the same label merge into this one
+    if (merge) nodesByLabel.set(normalizeLabel(node.label), id);
+  });
+
+  // --- Edges: skip self loops and pairs that are already connected ---
+  const pairKey = (a, b) => [a, b].sort().join('\u0000');
+  const connected = new Set(current.edges.map(edge => pairKey(edge.source, edge.target)));
+  const edges = [];
+  incoming.edges.forEach((edge, i) => {
+    const source = nodeIdMap.get(edge.source);
+    const target = nodeIdMap.get(edge.target);
+
+    if (!source || !target || source === target) {
+      issues.push({ path: `edges[${i}]`, message: `Dropped edge "${edge.id}": its nodes merged into one` });
+      return;
+    }
+    if (connected.has(pairKey(source, target))) return;
+
+    connected.add(pairKey(source, target));
+    edges.push({ ...edge, id: uniqueId(edge.id), source, target });
+  });
+
+  // --- Territories: matched by name (merge) or added with their new nodes ---
+  const territoriesByName = new Map(
+    merge ? (current.territories || []).map(territory => [normalizeLabel(territory.name), territory.id]) : []
+  );
+  const newNodeIds = new Set(nodes.map(node => node.id));
+  const placed = new Set(); // A node belongs to one territory
+  const territories = [];
+  const joins = {};
+
+  (incoming.territories || []).forEach((territory, i) => {
+    const members = territory.nodeIds
+      .map(id => nodeIdMap.get(id))
+      .filter(id => newNodeIds.has(id) && !placed.has(id));
+    members.forEach(id => placed.add(id));
+
+    const existing = territoriesByName.get(normalizeLabel(territory.name));
+    if (existing) {
+      if (members.length > 0) joins[existing] = [...(joins[existing] || []), ...members];
+      return;
+    }
+    if (merge && members.length === 0) {
+      issues.push({ path: `territories[${i}]`, message: `Skipped "${territory.name}": all of its nodes already exist` });
+      return;
+    }
+
+    territories.push({ ...territory, id: uniqueId(territory.id), nodeIds: members });
+  });
+
+  return { territories, nodes, edges, joins, matches, issues };
+}
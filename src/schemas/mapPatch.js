@@ -0,0 +1,248 @@
+import { z } from 'zod';
+
+/**
+ * Map Patches
+ *
+ * A patch is an ordered list of add/update/remove operations on nodes,
+ * edges and territories, used by refine and chat requests instead of
+ * regenerating the whole map. Operations apply in order, so later ones may
+ * reference items added earlier in the same patch.
+ *
+ * Node membership is expressed with fields.territoryId (node operations) or
+ * fields.nodeIds (territory operations); a node belongs to one territory.
+ * Positions are never patched; the client lays out what was added.
+ *
+ * Pure functions (no Node/browser APIs) so both server and client can use them.
+ */
+
+/**
+ * @typedef {Object} PatchOperation
+ * @property {'add'|'update'|'remove'} op
+ * @property {'node'|'edge'|'territory'} kind
+ * @property {string} id - New id for add, existing id otherwise
+ * @property {Object} [fields] - Full item for add, changed fields for update
+ */
+
+/**
+ * @typedef {Object} PatchIssue
+ * @property {'error'|'warning'} level - Errors skip the operation, warnings ignore a field
+ * @property {Array<string|number>} path - e.g. ['operations', 2, 'fields', 'source']
+ * @property {string} message
+ */
+
+// Fields each kind accepts; anything else is ignored with a warning
+export const PATCH_FIELDS = {
+  node: ['label', 'type', 'territoryId'],
+  edge: ['label', 'type', 'source', 'target'],
+  territory: ['name', 'description', 'nodeIds']
+};
+
+// Fields an add operation can't do without
+const REQUIRED_ON_ADD = {
+  node: ['label'],
+  edge: ['source', 'target'],
+  territory: ['name']
+};
+
+const COLLECTIONS = { node: 'nodes', edge: 'edges', territory: 'territories' };
+
+export const PatchOperationSchema = z.object({
+  op: z.enum(['add', 'update', 'remove']),
+  kind: z.enum(['node', 'edge', 'territory']),
+  id: z.string(),
+  fields: z.object({
+    label: z.string().optional(),
+    type: z.string().optional(),
+    territoryId: z.string().optional(),
+    source: z.string().optional(),
+    target: z.string().optional(),
+    name: z.string().optional(),
+    description: z.string().optional(),
+    nodeIds: z.array(z.string()).optional()
+  }).optional()
+});
+
+export const MapPatchSchema = z.object({
+  summary: z.string().optional(),
+  operations: z.array(PatchOperationSchema)
+});
+
+/**
+ * Apply a patch to a MapSchema-shaped map, operation by operation.
+ * Invalid operations are skipped and reported; the input map is not mutated.
+ * Removing a node also removes its edges and territory membership.
+ * @param {Object} map - MapSchema-shaped map
+ * @param {{ operations: PatchOperation[] }} patch
+ * @param {Object} [options]
+ * @param {Object} [options.vocabulary] - { nodeTypes, edgeTypes } allowed in added/updated types
+ * @returns {{ map: Object, issues: PatchIssue[], applied: number }}
+ */
+export function applyPatch(map, patch, { vocabulary = null } = {}) {
+  const issues = [];
+  const next = {
+    ...map,
+    territories: (map.territories || []).map(t => ({ ...t, nodeIds: [...t.nodeIds] })),
+    nodes: map.nodes.map(n => ({ ...n })),
+    edges: map.edges.map(e => ({ ...e }))
+  };
+  let applied = 0;
+
+  const hasNode = (id) => next.nodes.some(n => n.id === id);
+  const hasTerritory = (id) => next.territories.some(t => t.id === id);
+
+  // One territory per node: leave the old one, join the new one (if any)
+  const assignNode = (nodeId, territoryId) => {
+    next.territories.forEach(t => {
+      t.nodeIds = t.nodeIds.filter(id => id !== nodeId);
+    });
+    next.territories.find(t => t.id === territoryId)?.nodeIds.push(nodeId);
+  };
+
+  patch.operations.forEach((operation, i) => {
+    const { op, kind, id } = operation;
+    const path = ['operations', i];
+    const errors = [];
+    const error = (message, field) => errors.push({
+      level: 'error',
+      path: field ? [...path, 'fields', field] : [...path, 'id'],
+      message
+    });
+
+    const collection = next[COLLECTIONS[kind]];
+    const index = collection.findIndex(item => item.id === id);
+
+    // Drop fields that don't belong to this kind
+    const fields = {};
+    Object.entries(operation.fields || {}).forEach(([key, value]) => {
+      if (value === undefined) return;
+      if (PATCH_FIELDS[kind].includes(key)) {
+        fields[key] = value;
+      } else if (op !== 'remove') {
+        issues.push({ level: 'warning', path: [...path, 'fields', key], message: `"${key}" does not apply to a ${kind}; ignored` });
+      }
+    });
+
+    // --- Reference and vocabulary checks ---
+    if (op === 'add' && index !== -1) error(`A ${kind} with id "${id}" already exists`);
+    if (op !== 'add' && index === -1) error(`No ${kind} with id "${id}"`);
+
+    if (op === 'add') {
+      REQUIRED_ON_ADD[kind]
+        .filter(field => fields[field] === undefined)
+        .forEach(field => error(`Adding a ${kind} requires "${field}"`, field));
+    }
+
+    if (op !== 'remove') {
+      ['source', 'target'].forEach(end => {
+        if (fields[end] !== undefined && !hasNode(fields[end])) {
+          error(`Edge ${end} "${fields[end]}" does not match any node`, end);
+        }
+      });
+      if (kind === 'edge' && (fields.source || fields.target)) {
+        const current = collection[index] || {};
+        if ((fields.source ?? current.source) === (fields.target ?? current.target)) {
+          error('An edge cannot connect a node to itself', 'target');
+        }
+      }
+      if (fields.territoryId !== undefined && !hasTerritory(fields.territoryId)) {
+        error(`Territory "${fields.territoryId}" does not exist`, 'territoryId');
+      }
+      (fields.nodeIds || []).forEach(nodeId => {
+        if (!hasNode(nodeId)) error(`Territory member "${nodeId}" does not match any node`, 'nodeIds');
+      });
+
+      const allowedTypes = vocabulary && (kind === 'node' ? vocabulary.nodeTypes : kind === 'edge' ? vocabulary.edgeTypes : null);
+      if (fields.type !== undefined && allowedTypes && !allowedTypes.includes(fields.type)) {
+        error(`Type "${fields.type}" is not one of: ${allowedTypes.join(', ')}`, 'type');
+      }
+    }
+
+    if (errors.length > 0) {
+      issues.push(...errors);
+      return;
+    }
+
+    // --- Apply ---
+    const { territoryId, nodeIds, ...itemFields } = fields;
+
+    if (op === 'remove') {
+      collection.splice(index, 1);
+      if (kind === 'node') {
+        next.edges = next.edges.filter(e => e.source !== id && e.target !== id);
+        assignNode(id, null);
+      }
+    } else if (op === 'add') {
+      const item = kind === 'node'
+        ? { id, x: 0, y: 0, ...itemFields } // Placeholder position; clients lay out additions
+        : kind === 'territory'
+          ? { id, ...itemFields, nodeIds: [] }
+          : { id, ...itemFields };
+      collection.push(item);
+    } else {
+      Object.assign(collection[index], itemFields);
+    }
+
+    if (op !== 'remove') {
+      if (kind === 'node' && territoryId !== undefined) assignNode(id, territoryId);
+      if (kind === 'territory' && nodeIds) {
+        next.territories.find(t => t.id === id).nodeIds.forEach(nodeId => assignNode(nodeId, null));
+        nodeIds.forEach(nodeId => assignNode(nodeId, id));
+      }
+    }
+
+    applied++;
+  });
+
+  return { map: next, issues, applied };
+}
+
+/**
+ * Validate a patch's shape and check every operation against the map
+ * @param {Object} data - Candidate patch
+ * @param {Object} map - Map the patch will be applied to
+ * @param {Object} [vocabulary] - { nodeTypes, edgeTypes }
+ * @returns {{ success: true, data: Object, issues: PatchIssue[] } | { success: false, error: Array<{ path: Array, message: string }> }}
+ */
+export function validatePatch(data, map, vocabulary = null) {
+  const shape = MapPatchSchema.safeParse(data);
+  if (!shape.success) {
+    return { success: false, error: shape.error.errors };
+  }
+
+  const { issues } = applyPatch(map, shape.data, { vocabulary });
+  const errors = issues.filter(issue => issue.level === 'error');
+  if (errors.length > 0) {
+    return { success: false, error: errors };
+  }
+
+  return { success: true, data: shape.data, issues };
+}
+
+/**
+ * Ids touched by a patch, per kind, for previews. Edges of removed nodes
+ * count as removed.
+ * @param {Object} map - Map before the patch
+ * @param {{ operations: PatchOperation[] }} patch
+ * @returns {{ nodes: Object, edges: Object, territories: Object }} Each { added, updated, removed } id arrays
+ */
+export function describePatch(map, patch) {
+  const summary = {
+    nodes: { added: [], updated: [], removed: [] },
+    edges: { added: [], updated: [], removed: [] },
+    territories: { added: [], updated: [], removed: [] }
+  };
+  const bucket = { add: 'added', update: 'updated', remove: 'removed' };
+
+  patch.operations.forEach(({ op, kind, id }) => {
+    summary[COLLECTIONS[kind]][bucket[op]].push(id);
+  });
+
+  const removedNodes = new Set(summary.nodes.removed);
+  map.edges
+    .filter(e => removedNodes.has(e.source) || removedNodes.has(e.target))
+    .forEach(e => {
+      if (!summary.edges.removed.includes(e.id)) summary.edges.removed.push(e.id);
+    });
+
+  return summary;
+}
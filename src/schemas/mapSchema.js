@@ -1,95 +1,91 @@
 import { z } from 'zod';
 
-// Node schema
-export const NodeSchema = z.object({
-  id: z.string(),
-  label: z.string(),
-  x: z.number(),
-  y: z.number(),
-  type: z.enum(['concept', 'entity', 'event', 'location', 'person']).optional(),
-  size: z.number().optional(),
-  color: z.string().optional(),
-  metadata: z.record(z.any()).optional()
-});
+// Default node/edge type vocabularies; prompt templates may define their own
+export const DEFAULT_NODE_TYPES = ['concept', 'entity', 'event', 'location', 'person'];
+export const DEFAULT_EDGE_TYPES = ['relationship', 'dependency', 'similarity', 'hierarchy'];
 
-// Edge schema
-export const EdgeSchema = z.object({
-  id: z.string(),
-  source: z.string(),
-  target: z.string(),
-  label: z.string().optional(),
-  weight: z.number().optional(),
-  type: z.enum(['relationship', 'dependency', 'similarity', 'hierarchy']).optional(),
-  color: z.string().optional(),
-  metadata: z.record(z.any()).optional()
-});
+/**
+ * Build the map schemas for a node/edge type vocabulary
+ * @param {Object} [vocabulary]
+ * @param {string[]|null} [vocabulary.nodeTypes] - null accepts any type string
+ * @param {string[]|null} [vocabulary.edgeTypes] - null accepts any type string
+ * @returns {{ NodeSchema: z.ZodObject, EdgeSchema: z.ZodObject, TerritorySchema: z.ZodObject, MapSchema: z.ZodObject }}
+ */
+export function createMapSchemas({ nodeTypes = DEFAULT_NODE_TYPES, edgeTypes = DEFAULT_EDGE_TYPES } = {}) {
+  // Maps the client already holds may mix vocabularies (e.g. one template's
+  // map expanded with another's), so callers can opt out of the enum
+  const typeSchema = (types) => (types ? z.enum(types) : z.string());
 
-// Territory schema
-export const TerritorySchema = z.object({
-  id: z.string(),
-  name: z.string(),
-  nodeIds: z.array(z.string()),
-  color: z.string().optional(),
-  description: z.string().optional(),
-  metadata: z.record(z.any()).optional()
-});
+  // Node schema
+  const NodeSchema = z.object({
+    id: z.string(),
+    label: z.string(),
+    x: z.number(),
+    y: z.number(),
+    type: typeSchema(nodeTypes).optional(),
+    size: z.number().optional(),
+    color: z.string().optional(),
+    metadata: z.record(z.any()).optional()
+  });
 
-// Complete map schema
-export const MapSchema = z.object({
-  nodes: z.array(NodeSchema),
-  edges: z.array(EdgeSchema),
-  territories: z.array(TerritorySchema).optional(),
-  metadata: z.object({
-    title: z.string().optional(),
+  // Edge schema
+  const EdgeSchema = z.object({
+    id: z.string(),
+    source: z.string(),
+    target: z.string(),
+    label: z.string().optional(),
+    weight: z.number().optional(),
+    type: typeSchema(edgeTypes).optional(),
+    color: z.string().optional(),
+    metadata: z.record(z.any()).optional()
+  });
+
+  // Territory schema
+  const TerritorySchema = z.object({
+    id: z.string(),
+    name: z.string(),
+    nodeIds: z.array(z.string()),
+    color: z.string().optional(),
     description: z.string().optional(),
-    created: z.string().optional(),
-    tags: z.array(z.string()).optional(),
-    version: z.string().optional()
-  }).optional()
-});
+    metadata: z.record(z.any()).optional()
+  });
+
+  // Complete map schema. Key order matters: structured output emits keys in
+  // this order, and streaming clients draw territories before their nodes.
+  const MapSchema = z.object({
+    territories: z.array(TerritorySchema).optional(),
+    nodes: z.array(NodeSchema),
+    edges: z.array(EdgeSchema),
+    metadata: z.object({
+      title: z.string().optional(),
+      description: z.string().optional(),
+      created: z.string().optional(),
+      tags: z.array(z.string()).optional(),
+      version: z.string().optional()
+    }).optional()
+  });
 
-// Request schema
-export const LLMRequestSchema = z.object({
-  prompt: z.string().min(1, 'Prompt is required'),
-  context: z.string().optional(),
-  provider: z.enum(['openai', 'anthropic']).optional(),
-  model: z.string().optional(),
-  temperature: z.number().min(0).max(2).optional(),
-  maxTokens: z.number().positive().optional()
-});
+  return { NodeSchema, EdgeSchema, TerritorySchema, MapSchema };
+}
 
-// Response schema
-export const LLMResponseSchema = z.object({
-  mapJson: MapSchema,
-  provider: z.string().optional(),
-  model: z.string().optional(),
-  usage: z.object({
-    promptTokens: z.number().optional(),
-    completionTokens: z.number().optional(),
-    totalTokens: z.number().optional()
-  }).optional()
-});
+// Schemas for the default vocabulary
+export const { NodeSchema, EdgeSchema, TerritorySchema, MapSchema } = createMapSchemas();
 
 // Validation helper functions
-export function validateMap(data) {
-  try {
-    return {
-      success: true,
-      data: MapSchema.parse(data)
-    };
-  } catch (error) {
-    return {
-      success: false,
-      error: error.errors || error.message
-    };
-  }
-}
 
-export function validateRequest(data) {
+/**
+ * Validate a map against MapSchema
+ * @param {Object} data - Map to validate
+ * @param {Object} [vocabulary] - { nodeTypes, edgeTypes } of the template that produced it
+ * @returns {{ success: true, data: Object } | { success: false, error: * }}
+ */
+export function validateMap(data, vocabulary = null) {
+  const schema = vocabulary ? createMapSchemas(vocabulary).MapSchema : MapSchema;
+
   try {
     return {
       success: true,
-      data: LLMRequestSchema.parse(data)
+      data: schema.parse(data)
     };
   } catch (error) {
     return {
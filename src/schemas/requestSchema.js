@@ -0,0 +1,202 @@
+import { z } from 'zod';
+import config from '../config/config.js';
+import { MapSchema, createMapSchemas } from './mapSchema.js';
+import { SwotSchema } from './swotSchema.js';
+import { TEMPLATE_IDS } from '../templates/index.js';
+import { CollabOpSchema } from './collabOps.js';
+
+// Server-only API schemas. Kept apart from mapSchema.js, which the browser
+// bundle imports and therefore must not pull in config/dotenv.
+
+// Providers a request may name: enabled registry entries, plus replay while enabled
+const PROVIDER_NAMES = [
+  ...config.llm.providers.filter(entry => entry.enabled).map(entry => entry.name),
+  ...(config.llm.replay.mode !== 'off' ? ['replay'] : [])
+];
+
+// Request schema
+export const LLMRequestSchema = z.object({
+  prompt: z.string().min(1, 'Prompt is required'),
+  context: z.string().optional(),
+  provider: z.enum(PROVIDER_NAMES).optional(),
+  template: z.enum(TEMPLATE_IDS).optional(),
+  model: z.string().optional(),
+  temperature: z.number().min(0).max(2).optional(),
+  maxTokens: z.number().positive().optional(),
+  // prefer: serve cached maps when possible; bypass: always call the LLM; only: never call it
+  cache: z.enum(['bypass', 'prefer', 'only']).optional()
+});
+
+// A map the client already holds. Node/edge types aren't checked against a
+// template: maps can mix vocabularies and are never written back as-is.
+const CurrentMapSchema = createMapSchemas({ nodeTypes: null, edgeTypes: null }).MapSchema;
+
+// Generation options shared by every LLM-backed endpoint
+const GenerationOptionsSchema = LLMRequestSchema.pick({
+  provider: true,
+  template: true,
+  model: true,
+  temperature: true,
+  maxTokens: true
+});
+
+// POST /api/expand
+export const ExpandRequestSchema = GenerationOptionsSchema.extend({
+  map: CurrentMapSchema,
+  nodeId: z.string().min(1, 'nodeId is required'),
+  count: z.number().int().min(1).max(12).optional(),
+  instruction: z.string().max(500).optional()
+});
+
+// POST /api/refine
+export const RefineRequestSchema = GenerationOptionsSchema.extend({
+  map: CurrentMapSchema,
+  instruction: z.string().min(1, 'Instruction is required').max(2000)
+});
+
+// POST /api/chat
+const ChatMessageSchema = z.object({
+  role: z.enum(['user', 'assistant']),
+  content: z.string().min(1).max(4000)
+});
+
+export const ChatRequestSchema = GenerationOptionsSchema.extend({
+  map: CurrentMapSchema,
+  message: z.string().min(1, 'Message is required').max(4000),
+  // Earlier turns, oldest first; the client keeps the transcript per map
+  history: z.array(ChatMessageSchema).max(40).optional()
+});
+
+// POST /api/analyze
+export const AnalyzeRequestSchema = GenerationOptionsSchema.extend({
+  // The user's description of their situation (the sidebar's chat input)
+  prompt: z.string().max(4000).optional(),
+  map: CurrentMapSchema.optional()
+}).refine(
+  ({ prompt, map }) => Boolean(prompt?.trim()) || (map?.nodes.length ?? 0) > 0,
+  { message: 'A prompt or a non-empty map is required', path: ['prompt'] }
+);
+
+// POST /api/plan
+export const PlanRequestSchema = GenerationOptionsSchema.extend({
+  swot: SwotSchema,
+  // The user's description, for context
+  prompt: z.string().max(4000).optional()
+}).refine(
+  ({ swot }) => Object.values(swot).some(items => items.length > 0),
+  { message: 'The SWOT analysis has no items', path: ['swot'] }
+);
+
+// Response schema
+export const LLMResponseSchema = z.object({
+  mapJson: MapSchema,
+  provider: z.string().optional(),
+  model: z.string().optional(),
+  usage: z.object({
+    promptTokens: z.number().optional(),
+    completionTokens: z.number().optional(),
+    totalTokens: z.number().optional()
+  }).optional()
+});
+
+// Canvas state saved with /api/maps: the client's own format (positions,
+// notes, status, territory sizes), so only ids and references are checked
+const SavedMapStateSchema = z.object({
+  territories: z.array(z.object({ id: z.string().min(1), nodeIds: z.array(z.string()).default([]) }).passthrough()),
+  nodes: z.array(z.object({ id: z.string().min(1), label: z.string() }).passthrough()),
+  edges: z.array(z.object({ id: z.string().min(1), source: z.string(), target: z.string() }).passthrough()),
+  swot: SwotSchema.optional()
+});
+
+const SavedMapId = z.string().regex(/^[A-Za-z0-9_-]{1,64}$/, 'Map ids are 1-64 letters, digits, dashes or underscores');
+const SavedMapName = z.string().trim().min(1, 'Name is required').max(200);
+
+// Who saved a revision; the server falls back to the caller's client key
+const RevisionAuthor = z.string().trim().min(1).max(100);
+
+// POST /api/maps
+export const MapCreateSchema = z.object({
+  // Clients may reuse their own map id; otherwise the server picks one
+  id: SavedMapId.optional(),
+  name: SavedMapName,
+  state: SavedMapStateSchema,
+  author: RevisionAuthor.optional()
+});
+
+// PUT /api/maps/:id (the version may come from If-Match instead)
+export const MapUpdateSchema = z.object({
+  name: SavedMapName.optional(),
+  state: SavedMapStateSchema.optional(),
+  version: z.number().int().positive().optional(),
+  author: RevisionAuthor.optional()
+}).refine(data => data.name !== undefined || data.state !== undefined, {
+  message: 'Send a name, a state or both'
+});
+
+// GET /api/maps/:id/revisions/:rev path parameters
+export const RevisionParamsSchema = z.object({
+  rev: z.string().regex(/^[1-9]\d*$/, 'Expected a revision number (1, 2, ...)').transform(Number)
+});
+
+// POST /api/maps/:id/restore (the version may come from If-Match instead)
+export const MapRestoreSchema = z.object({
+  rev: z.number().int().positive(),
+  version: z.number().int().positive().optional(),
+  author: RevisionAuthor.optional()
+});
+
+// POST /api/maps/:id/shares
+export const ShareCreateSchema = z.object({
+  expiresAt: z.string().datetime({ offset: true })
+    .refine(value => Date.parse(value) > Date.now(), 'expiresAt must be in the future')
+    .nullable()
+    .default(null)
+});
+
+// Messages sent over the collaboration WebSocket (/api/collab)
+export const CollabMessageSchema = z.discriminatedUnion('type', [
+  z.object({
+    type: z.literal('join'),
+    mapId: SavedMapId,
+    name: z.string().trim().max(100).optional(),
+    editToken: z.string().max(100).optional() // Same access as /api/maps/:id (see mapRepository.authorize)
+  }),
+  z.object({ type: z.literal('op'), clientSeq: z.number().int().nonnegative(), op: CollabOpSchema }),
+  z.object({
+    type: z.literal('presence'),
+    cursor: z.object({ x: z.number().finite(), y: z.number().finite() }).nullable(),
+    selection: z.string().max(200).nullable()
+  }),
+  z.object({ type: z.literal('save') }), // Save the room's canvas as the map's next version
+  z.object({ type: z.literal('leave') })
+]);
+
+// GET /api/usage query string
+const Day = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Expected a YYYY-MM-DD date');
+
+export const UsageQuerySchema = z.object({
+  from: Day.optional(),
+  to: Day.optional(),
+  provider: z.string().optional(),
+  clientKey: z.string().optional()
+});
+
+// GET /api/jobs/:id query string
+export const JobQuerySchema = z.object({
+  // Streamed items already received; only later ones are returned
+  after: z.coerce.number().int().nonnegative().default(0)
+});
+
+export function validateRequest(data, schema = LLMRequestSchema) {
+  try {
+    return {
+      success: true,
+      data: schema.parse(data)
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.errors || error.message
+    };
+  }
+}
@@ -0,0 +1,131 @@
+import { SWOT_QUADRANTS } from './swotSchema.js';
+import { DEFAULT_NODE_TYPES, DEFAULT_EDGE_TYPES } from './mapSchema.js';
+
+/**
+ * SWOT → Plan
+ *
+ * Turns a SWOT analysis into a plan map: one territory of actions per
+ * quadrant, chained by dependency edges, with fixing weaknesses and
+ * guarding against threats leading into pursuing opportunities.
+ *
+ * Plan nodes built from a SWOT item have ids starting with that item's key
+ * ("w2-1", "w2-practice-timing"), for the line-splitting converter here and
+ * for LLM-built plans alike, so items can be relinked to their nodes.
+ *
+ * Pure functions (no Node/browser APIs) so both server and client can use them.
+ */
+
+// Territory per quadrant, in plan order, and the verb its actions start with
+const PLAN_SECTIONS = {
+  weaknesses: { name: 'Fix weaknesses', verb: 'Improve', nodeTypes: ['task', 'objection'] },
+  threats: { name: 'Guard against threats', verb: 'Mitigate', nodeTypes: ['risk', 'objection', 'event'] },
+  strengths: { name: 'Build on strengths', verb: 'Leverage', nodeTypes: ['resource', 'trait', 'premise'] },
+  opportunities: { name: 'Pursue opportunities', verb: 'Pursue', nodeTypes: ['milestone', 'event', 'claim'] }
+};
+
+const DEPENDENCY_EDGE_TYPES = ['dependency', 'supports', 'relationship', 'relates'];
+
+/**
+ * Key identifying a SWOT item in plan node ids, e.g. ('weaknesses', 1) → "w2"
+ * @param {string} quadrant
+ * @param {number} index - Item index within the quadrant
+ * @returns {string}
+ */
+export function swotItemKey(quadrant, index) {
+  return `${quadrant[0]}${index + 1}`;
+}
+
+/**
+ * Split an item into action lines: one per line or semicolon, without
+ * bullets or numbering
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function splitSwotLines(text) {
+  return text
+    .split(/[\n;]+/)
+    .map(line => line.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').trim())
+    .filter(Boolean);
+}
+
+// First preferred type the vocabulary knows, or none
+function pickType(allowed, preferred) {
+  const match = preferred.find(type => allowed.includes(type));
+  return match ? { type: match } : {};
+}
+
+/**
+ * Deterministic SWOT → plan conversion, used when no LLM is available
+ * @param {Object} swot - { strengths, weaknesses, opportunities, threats } of { text, nodeIds }
+ * @param {Object} [vocabulary] - { nodeTypes, edgeTypes } of the template
+ * @returns {Object} MapSchema-shaped map (positions are left to the client)
+ */
+export function swotToPlan(swot, { nodeTypes = DEFAULT_NODE_TYPES, edgeTypes = DEFAULT_EDGE_TYPES } = {}) {
+  const territories = [];
+  const nodes = [];
+  const edges = [];
+  const edgeType = pickType(edgeTypes, DEPENDENCY_EDGE_TYPES);
+
+  const link = (source, target) => {
+    edges.push({ id: `${source}--${target}`, source, target, label: 'then', ...edgeType });
+  };
+
+  Object.entries(PLAN_SECTIONS).forEach(([quadrant, section]) => {
+    const nodeType = pickType(nodeTypes, [...section.nodeTypes, 'concept']);
+    const sectionNodes = [];
+
+    (swot[quadrant] || []).forEach((item, index) => {
+      const key = swotItemKey(quadrant, index);
+      splitSwotLines(item.text).forEach((line, lineIndex) => {
+        sectionNodes.push({ id: `${key}-${lineIndex + 1}`, label: `${section.verb}: ${line}`, x: 0, y: 0, ...nodeType });
+      });
+    });
+    if (sectionNodes.length === 0) return;
+
+    sectionNodes.slice(1).forEach((node, i) => link(sectionNodes[i].id, node.id));
+    territories.push({ id: `plan-${quadrant}`, name: section.name, nodeIds: sectionNodes.map(node => node.id) });
+    nodes.push(...sectionNodes);
+  });
+
+  // Weaknesses are fixed and threats mitigated before opportunities are pursued
+  const first = (quadrant) => territories.find(t => t.id === `plan-${quadrant}`)?.nodeIds[0];
+  const last = (quadrant) => territories.find(t => t.id === `plan-${quadrant}`)?.nodeIds.at(-1);
+  if (first('opportunities')) {
+    ['weaknesses', 'threats']
+      .filter(quadrant => last(quadrant))
+      .forEach(quadrant => link(last(quadrant), first('opportunities')));
+  }
+
+  return {
+    territories,
+    nodes,
+    edges,
+    metadata: {
+      title: 'Plan from SWOT',
+      description: 'Actions converted line by line from the SWOT analysis',
+      tags: ['swot']
+    }
+  };
+}
+
+/**
+ * Point every SWOT item at the plan nodes built from it (by id prefix)
+ * @param {Object} swot - { strengths, weaknesses, opportunities, threats }
+ * @param {Object} map - Plan map
+ * @returns {Object} New SWOT with updated nodeIds
+ */
+export function linkSwotToPlan(swot, map) {
+  const linked = {};
+
+  SWOT_QUADRANTS.forEach(quadrant => {
+    linked[quadrant] = (swot[quadrant] || []).map((item, index) => {
+      const key = swotItemKey(quadrant, index);
+      return {
+        text: item.text,
+        nodeIds: map.nodes.filter(node => node.id === key || node.id.startsWith(`${key}-`)).map(node => node.id)
+      };
+    });
+  });
+
+  return linked;
+}
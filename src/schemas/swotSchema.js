@@ -0,0 +1,58 @@
+import { z } from 'zod';
+
+/**
+ * SWOT Analysis
+ *
+ * Strengths, weaknesses, opportunities and threats drawn from the user's
+ * description and, when there is one, their map. Each item points at the
+ * nodes it is about so the canvas can highlight them.
+ *
+ * Pure functions (no Node/browser APIs) so both server and client can use them.
+ */
+
+export const SWOT_QUADRANTS = ['strengths', 'weaknesses', 'opportunities', 'threats'];
+
+export const SwotItemSchema = z.object({
+  text: z.string().min(1),
+  nodeIds: z.array(z.string())
+});
+
+export const SwotSchema = z.object({
+  strengths: z.array(SwotItemSchema),
+  weaknesses: z.array(SwotItemSchema),
+  opportunities: z.array(SwotItemSchema),
+  threats: z.array(SwotItemSchema)
+});
+
+/**
+ * Validate an analysis and keep only node ids that exist in the map.
+ * Unknown ids are dropped (and reported) rather than failing the analysis.
+ * @param {Object} data - Candidate analysis
+ * @param {Object} [map] - Map the analysis refers to; without one, items carry no node ids
+ * @returns {{ success: true, data: Object, issues: Array<{ path: Array, message: string }> } | { success: false, error: Array }}
+ */
+export function validateSwot(data, map = null) {
+  const shape = SwotSchema.safeParse(data);
+  if (!shape.success) {
+    return { success: false, error: shape.error.errors };
+  }
+
+  const issues = [];
+  const nodeIds = new Set((map?.nodes || []).map(node => node.id));
+  const swot = {};
+
+  SWOT_QUADRANTS.forEach(quadrant => {
+    swot[quadrant] = shape.data[quadrant].map((item, i) => {
+      const unknown = item.nodeIds.filter(id => !nodeIds.has(id));
+      if (unknown.length > 0) {
+        issues.push({
+          path: [quadrant, i, 'nodeIds'],
+          message: `Dropped unknown node id(s): ${unknown.join(', ')}`
+        });
+      }
+      return { text: item.text, nodeIds: [...new Set(item.nodeIds.filter(id => nodeIds.has(id)))] };
+    });
+  });
+
+  return { success: true, data: swot, issues };
+}
@@ -0,0 +1,98 @@
+/**
+ * Per-provider circuit breaker
+ *
+ * - closed: requests flow normally
+ * - open: too many consecutive failures; requests are skipped until the cooldown ends
+ * - half-open: cooldown elapsed; the next request is a trial that closes or re-opens it
+ */
+export class CircuitBreaker {
+  /**
+   * @param {Object} options
+   * @param {number} options.failureThreshold - Consecutive failures before opening
+   * @param {number} options.cooldownMs - How long an open circuit skips requests
+   */
+  constructor({ failureThreshold, cooldownMs }) {
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.circuits = new Map(); // name -> { failures, openedAt, lastError }
+  }
+
+  getCircuit(name) {
+    if (!this.circuits.has(name)) {
+      this.circuits.set(name, { failures: 0, openedAt: null, lastError: null });
+    }
+    return this.circuits.get(name);
+  }
+
+  /**
+   * Current state for a provider
+   * @param {string} name
+   * @returns {'closed'|'open'|'half-open'}
+   */
+  getState(name) {
+    const circuit = this.getCircuit(name);
+    if (circuit.openedAt === null) return 'closed';
+    return Date.now() - circuit.openedAt >= this.cooldownMs ? 'half-open' : 'open';
+  }
+
+  /**
+   * Whether a request to this provider should be attempted
+   * @param {string} name
+   * @returns {boolean}
+   */
+  canRequest(name) {
+    return this.getState(name) !== 'open';
+  }
+
+  /**
+   * Milliseconds until an open circuit allows a trial request
+   * @param {string} name
+   * @returns {number}
+   */
+  retryAfter(name) {
+    const circuit = this.getCircuit(name);
+    if (circuit.openedAt === null) return 0;
+    return Math.max(0, this.cooldownMs - (Date.now() - circuit.openedAt));
+  }
+
+  recordSuccess(name) {
+    const circuit = this.getCircuit(name);
+    if (circuit.openedAt !== null) {
+      console.log(`🟢 Circuit for ${name} closed`);
+    }
+    circuit.failures = 0;
+    circuit.openedAt = null;
+    circuit.lastError = null;
+  }
+
+  recordFailure(name, error) {
+    const circuit = this.getCircuit(name);
+    circuit.failures++;
+    circuit.lastError = error?.message || null;
+
+    // A failed half-open trial re-opens immediately
+    if (circuit.failures >= this.failureThreshold || circuit.openedAt !== null) {
+      circuit.openedAt = Date.now();
+      console.warn(`🔴 Circuit for ${name} opened after ${circuit.failures} consecutive failure(s)`);
+    }
+  }
+
+  /**
+   * State of every provider seen so far, for health reporting
+   * @returns {Object<string, { state: string, failures: number, retryAfterMs: number, lastError: string|null }>}
+   */
+  snapshot() {
+    const result = {};
+    this.circuits.forEach((circuit, name) => {
+      result[name] = {
+        state: this.getState(name),
+        failures: circuit.failures,
+        retryAfterMs: this.retryAfter(name),
+        lastError: circuit.lastError
+      };
+    });
+    return result;
+  }
+}
+
+export default CircuitBreaker;
@@ -0,0 +1,356 @@
+import crypto from 'crypto';
+import { WebSocketServer } from 'ws';
+import config from '../config/config.js';
+import mapRepository from './mapRepository.js';
+import { applyOp } from '../schemas/collabOps.js';
+import { CollabMessageSchema, validateRequest } from '../schemas/requestSchema.js';
+import { clientKeyFor, publicClientKey } from '../middleware/rateLimiter.js';
+
+/**
+ * Live collaboration
+ *
+ * People with the same saved map open join its room over a WebSocket,
+ * with the same access as its /api/maps routes: the map's edit token in the
+ * join message, or the API key that saved it as X-API-Key on the upgrade. The
+ * room keeps the canvas as everyone should currently see it, starting from
+ * the saved copy; everyone who joins gets the room's canvas (and the saved
+ * SWOT, which isn't edited live).
+ *
+ * Edits are sent as operations (see collabOps.js). The server numbers them,
+ * applies them to the room's canvas and sends them to everyone in the room,
+ * sender included, so every client applies the same operations in the same
+ * order. Operations that no longer apply (the node was deleted first) are
+ * dropped and only the sender is told.
+ *
+ * Cursors and selections are relayed as they come and never sequenced.
+ *
+ * While a room is open it is the only thing that saves its map: anyone in
+ * it can ask the room to save its canvas as a new version, which everyone is
+ * told about, and a room with unsaved changes saves them when the last
+ * person leaves. /api/maps/:id updates and restores are refused meanwhile
+ * (see isLive), so nobody ends up with a different "saved" version.
+ * Deleting the map closes its room.
+ *
+ * Client -> server:
+ *   { type: 'join', mapId, name?, editToken? }
+ *   { type: 'op', clientSeq, op }
+ *   { type: 'presence', cursor: { x, y } | null, selection: nodeId | null }
+ *   { type: 'save' }
+ *   { type: 'leave' }
+ * Server -> client:
+ *   { type: 'welcome', clientId, color, seq, version, state, peers }
+ *   { type: 'op', seq, clientId, clientSeq, op }
+ *   { type: 'dropped', clientSeq }
+ *   { type: 'peer', peer }        - Someone joined or moved their cursor/selection
+ *   { type: 'left', clientId }
+ *   { type: 'saved', version, updatedAt, clientId } - clientId: who asked, null when the room closed
+ *   { type: 'closed', message }   - The map was deleted; the room is gone
+ *   { type: 'error', message, details? }
+ */
+
+/**
+ * @typedef {Object} Room
+ * @property {string} mapId
+ * @property {{ territories: Object[], nodes: Object[], edges: Object[], swot?: Object }} state
+ * @property {number} seq - Operations applied so far
+ * @property {number} savedSeq - Operations in the saved copy
+ * @property {number} version - Saved version the room's canvas is based on
+ * @property {string} updatedAt - When that version was saved
+ * @property {Promise} saving - Tail of the room's saves, which run one at a time
+ * @property {Map<string, Object>} clients - clientId -> client
+ */
+
+const PEER_COLORS = ['#ef4444', '#f59e0b', '#10b981', '#3b82f6', '#8b5cf6', '#ec4899', '#14b8a6', '#f97316'];
+
+export class CollabHub {
+  /**
+   * @param {Object} options
+   * @param {string} options.path - WebSocket endpoint, e.g. "/api/collab"
+   * @param {number} options.maxClientsPerRoom
+   * @param {number} options.heartbeatMs - Ping interval; clients missing a pong are dropped
+   */
+  constructor({ path, maxClientsPerRoom, heartbeatMs }) {
+    this.path = path;
+    this.maxClientsPerRoom = maxClientsPerRoom;
+    this.heartbeatMs = heartbeatMs;
+    this.rooms = new Map(); // mapId -> Room
+    this.wss = null;
+  }
+
+  /**
+   * Accept WebSocket connections on an HTTP server
+   * @param {import('http').Server} server
+   * @returns {WebSocketServer}
+   */
+  attach(server) {
+    this.wss = new WebSocketServer({ server, path: this.path, maxPayload: 10 * 1024 * 1024 });
+    this.wss.on('connection', (socket, request) => this.connect(socket, request));
+
+    const heartbeat = setInterval(() => {
+      this.wss.clients.forEach(socket => {
+        if (!socket.isAlive) {
+          socket.terminate();
+          return;
+        }
+        socket.isAlive = false;
+        socket.ping();
+      });
+    }, this.heartbeatMs);
+    heartbeat.unref();
+    this.wss.on('close', () => clearInterval(heartbeat));
+
+    console.log(`🤝 Collaboration listening on ${this.path}`);
+    return this.wss;
+  }
+
+  /**
+   * Disconnect everyone (server shutdown)
+   */
+  close() {
+    if (!this.wss) return;
+    this.wss.clients.forEach(socket => socket.close(1001, 'Server shutting down'));
+    this.wss.close();
+    this.wss = null;
+  }
+
+  connect(socket, request) {
+    const client = {
+      id: crypto.randomUUID(),
+      socket,
+      clientKey: clientKeyFor(request.headers['x-api-key'], request.socket.remoteAddress),
+      room: null,
+      name: null,
+      color: null,
+      cursor: null,
+      selection: null
+    };
+    socket.isAlive = true;
+
+    socket.on('pong', () => {
+      socket.isAlive = true;
+    });
+    socket.on('message', data => {
+      this.receive(client, data).catch(error => {
+        console.error('❌ Collaboration message failed:', error.message);
+        send(client, { type: 'error', message: error.message });
+      });
+    });
+    socket.on('close', () => this.leave(client));
+  }
+
+  async receive(client, data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch {
+      send(client, { type: 'error', message: 'Messages must be JSON' });
+      return;
+    }
+
+    const validation = validateRequest(message, CollabMessageSchema);
+    if (!validation.success) {
+      send(client, { type: 'error', message: 'Invalid message', details: validation.error });
+      return;
+    }
+
+    const { type } = validation.data;
+    if (type === 'join') return this.join(client, validation.data);
+    if (type === 'leave') return this.leave(client);
+
+    if (!client.room) {
+      send(client, { type: 'error', message: 'Join a map first' });
+      return;
+    }
+    if (type === 'op') this.applyClientOp(client, validation.data);
+    if (type === 'presence') this.updatePresence(client, validation.data);
+    if (type === 'save') await this.saveRoom(client.room, client);
+  }
+
+  /**
+   * Join the room of a saved map, leaving any other room first
+   * @param {Object} client
+   * @param {Object} message - { mapId, name?, editToken? }
+   */
+  async join(client, { mapId, name, editToken }) {
+    this.leave(client);
+
+    // Rooms are for maps saved on the server that this client may edit
+    // (throws NotFoundError / AuthenticationError otherwise)
+    await mapRepository.authorize(mapId, {
+      clientKey: client.clientKey,
+      editTokens: editToken ? [editToken] : []
+    });
+    const saved = await mapRepository.get(mapId);
+
+    const room = this.rooms.get(mapId) || this.openRoom(saved);
+    if (room.clients.size >= this.maxClientsPerRoom) {
+      send(client, { type: 'error', message: `Map '${mapId}' already has ${room.clients.size} people editing it` });
+      return;
+    }
+
+    const used = new Set([...room.clients.values()].map(peer => peer.color));
+    Object.assign(client, {
+      room,
+      name: name || 'Anonymous',
+      author: name || publicClientKey(client.clientKey), // Recorded on the revisions the room saves
+      color: PEER_COLORS.find(color => !used.has(color)) || PEER_COLORS[room.clients.size % PEER_COLORS.length],
+      cursor: null,
+      selection: null
+    });
+
+    send(client, {
+      type: 'welcome',
+      clientId: client.id,
+      color: client.color,
+      seq: room.seq,
+      version: room.version,
+      state: room.state,
+      peers: [...room.clients.values()].map(peerView)
+    });
+    this.broadcast(room, { type: 'peer', peer: peerView(client) });
+    room.clients.set(client.id, client);
+
+    console.log(`🤝 ${client.name} joined map ${mapId} (${room.clients.size} editing)`);
+  }
+
+  // A room starts from the saved copy, never from a client's canvas
+  openRoom(saved) {
+    const room = {
+      mapId: saved.id,
+      state: structuredClone(saved.state),
+      seq: 0,
+      savedSeq: 0,
+      version: saved.version,
+      updatedAt: saved.updatedAt,
+      saving: Promise.resolve(),
+      clients: new Map()
+    };
+    this.rooms.set(saved.id, room);
+    return room;
+  }
+
+  /**
+   * Whether a map has an open room, which is then the only thing saving it
+   * @param {string} mapId
+   * @returns {boolean}
+   */
+  isLive(mapId) {
+    return this.rooms.has(mapId);
+  }
+
+  /**
+   * Save a room's canvas as a new version of its map and tell everyone in it.
+   * Saves queue up behind each other; one with nothing new to save still
+   * answers with the current version.
+   * @param {Room} room
+   * @param {Object|null} client - Who asked (null: the room is closing)
+   * @param {string} [author] - Recorded on the revision; defaults to the client's
+   * @returns {Promise<void>}
+   */
+  saveRoom(room, client, author = client?.author) {
+    const save = room.saving.then(async () => {
+      const seq = room.seq;
+      if (seq !== room.savedSeq) {
+        const map = await mapRepository.update(room.mapId, { state: structuredClone(room.state) }, {
+          expectedVersion: room.version,
+          author
+        });
+        Object.assign(room, { version: map.version, updatedAt: map.updatedAt, savedSeq: seq });
+        console.log(`🤝 Saved map ${room.mapId} from its room (version ${map.version})`);
+      }
+
+      this.broadcast(room, { type: 'saved', version: room.version, updatedAt: room.updatedAt, clientId: client?.id || null });
+    });
+    room.saving = save.catch(() => {}); // A failed save doesn't stop later ones
+    return save;
+  }
+
+  /**
+   * Close a map's room without saving (the map was deleted)
+   * @param {string} mapId
+   * @param {string} message - Told to everyone in it
+   */
+  closeRoom(mapId, message) {
+    const room = this.rooms.get(mapId);
+    if (!room) return;
+
+    this.rooms.delete(mapId);
+    this.broadcast(room, { type: 'closed', message });
+    room.clients.forEach(client => {
+      client.room = null;
+    });
+    room.clients.clear();
+    console.log(`🤝 Closed the room of map ${mapId}: ${message}`);
+  }
+
+  leave(client) {
+    const { room } = client;
+    if (!room) return;
+
+    room.clients.delete(client.id);
+    client.room = null;
+    this.broadcast(room, { type: 'left', clientId: client.id });
+    console.log(`👋 ${client.name} left map ${room.mapId} (${room.clients.size} editing)`);
+
+    if (room.clients.size === 0) this.closeEmptyRoom(room, client.author);
+  }
+
+  // The last person left: keep unsaved changes, then drop the room unless
+  // someone joined meanwhile. Until then it still refuses other writes.
+  async closeEmptyRoom(room, author) {
+    if (room.seq !== room.savedSeq) {
+      await this.saveRoom(room, null, author).catch(error => {
+        console.error(`❌ Could not save map ${room.mapId} from its room:`, error.message);
+      });
+    }
+    if (room.clients.size === 0 && this.rooms.get(room.mapId) === room) this.rooms.delete(room.mapId);
+  }
+
+  applyClientOp(client, { clientSeq, op }) {
+    const { room } = client;
+    if (!applyOp(room.state, op)) {
+      send(client, { type: 'dropped', clientSeq });
+      return;
+    }
+
+    room.seq++;
+    this.broadcast(room, { type: 'op', seq: room.seq, clientId: client.id, clientSeq, op });
+  }
+
+  updatePresence(client, { cursor, selection }) {
+    Object.assign(client, { cursor, selection });
+    this.broadcast(client.room, { type: 'peer', peer: peerView(client) }, { except: client.id });
+  }
+
+  /**
+   * Send to everyone in a room
+   * @param {Room} room
+   * @param {Object} message
+   * @param {Object} [options]
+   * @param {string} [options.except] - Client id to skip
+   */
+  broadcast(room, message, { except } = {}) {
+    const data = JSON.stringify(message);
+    room.clients.forEach(client => {
+      if (client.id !== except) sendRaw(client, data);
+    });
+  }
+}
+
+// What others see of a client
+function peerView({ id, name, color, cursor, selection }) {
+  return { clientId: id, name, color, cursor, selection };
+}
+
+function send(client, message) {
+  sendRaw(client, JSON.stringify(message));
+}
+
+function sendRaw(client, data) {
+  if (client.socket.readyState === client.socket.OPEN) client.socket.send(data);
+}
+
+export default new CollabHub({
+  ...config.collab,
+  path: `${config.api.prefix}/collab`
+});
@@ -0,0 +1,268 @@
+import crypto from 'crypto';
+import config from '../config/config.js';
+import llmService from './llmService.js';
+import { createJobStore } from './jobStore.js';
+import { buildGenerateResponse, chargeUsage } from './mapGeneration.js';
+import { NotFoundError, RequestAbortedError } from '../middleware/errorHandler.js';
+
+/**
+ * Background generation jobs
+ *
+ * A job is submitted, answered with its id at once, and run by an in-process
+ * queue that starts at most `concurrency` jobs at a time. Clients poll for
+ * status, progress and the result, so a generation no longer has to finish
+ * within one HTTP request (or a proxy's timeout).
+ *
+ * Queued and running jobs are held in memory; every status change is written
+ * to the store. Items streamed by a running job are kept in memory only, for
+ * clients rendering the map as it grows.
+ */
+
+/**
+ * @typedef {Object} Job
+ * @property {string} id
+ * @property {'queued'|'running'|'succeeded'|'failed'|'cancelled'} status
+ * @property {Object} request - Validated generation request
+ * @property {string} clientKey - Caller, charged for the tokens
+ * @property {{ territories: number, nodes: number, edges: number }} progress - Items streamed so far
+ * @property {Object|null} result - Same body as POST /api/generate, once succeeded
+ * @property {{ message: string, type: string }|null} error - Once failed
+ * @property {string} createdAt
+ * @property {string|null} startedAt
+ * @property {string|null} finishedAt
+ */
+
+const FINISHED = ['succeeded', 'failed', 'cancelled'];
+
+export class JobQueue {
+  /**
+   * @param {Object} options
+   * @param {Object} options.store - Job store (see jobStore.js)
+   * @param {number} options.concurrency - Jobs running at once
+   * @param {number} options.ttlMs - How long finished jobs are kept
+   * @param {Function} options.handler - (job, { signal, onEvent }) => Promise<result body>
+   */
+  constructor({ store, concurrency, ttlMs, handler }) {
+    this.store = store;
+    this.concurrency = Math.max(1, concurrency);
+    this.ttlMs = ttlMs;
+    this.handler = handler;
+    this.waiting = []; // Queued jobs, oldest first
+    this.running = new Map(); // id -> { job, events, controller, done }
+    this.recovered = null;
+    this.writes = Promise.resolve(); // Saves run one at a time, in order
+
+    // Forget finished jobs once they expire
+    const sweep = setInterval(() => {
+      this.prune().catch(error => console.warn('⚠️ Could not prune jobs:', error.message));
+    }, Math.min(ttlMs, 60000));
+    sweep.unref();
+  }
+
+  /**
+   * Queue a generation
+   * @param {Object} request - Validated generation request
+   * @param {Object} [options]
+   * @param {string} [options.clientKey]
+   * @returns {Promise<Object>} Public view of the new job ("running" if a slot was free)
+   */
+  async submit(request, { clientKey = null } = {}) {
+    await this.recover();
+
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      request,
+      clientKey,
+      progress: { territories: 0, nodes: 0, edges: 0 },
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null
+    };
+
+    await this.store.save(job);
+    this.waiting.push(job);
+    console.log(`📥 Job ${job.id.substring(0, 8)} queued (${this.waiting.length} waiting, ${this.running.size} running)`);
+
+    this.pump();
+    return this.view(job);
+  }
+
+  /**
+   * Current state of a job
+   * @param {string} id
+   * @param {Object} [options]
+   * @param {number} [options.after=0] - Streamed items the caller already has
+   * @returns {Promise<Object>} Public view
+   * @throws {NotFoundError}
+   */
+  async get(id, { after = 0 } = {}) {
+    await this.recover();
+
+    const active = this.running.get(id);
+    if (active) return this.view(active.job, active.events.slice(after));
+
+    const job = this.waiting.find(queued => queued.id === id) || await this.store.get(id);
+    if (!job) throw new NotFoundError(`Job '${id}' not found`, { id });
+    return this.view(job);
+  }
+
+  /**
+   * Cancel a queued or running job; a finished job is deleted instead
+   * @param {string} id
+   * @returns {Promise<Object>} Public view of the job as it ended
+   * @throws {NotFoundError}
+   */
+  async cancel(id) {
+    await this.recover();
+
+    const active = this.running.get(id);
+    if (active) {
+      active.controller.abort();
+      await active.done;
+      return this.view(active.job);
+    }
+
+    const index = this.waiting.findIndex(queued => queued.id === id);
+    if (index !== -1) {
+      const [job] = this.waiting.splice(index, 1);
+      await this.finish(job, 'cancelled');
+      return this.view(job);
+    }
+
+    const job = await this.store.get(id);
+    if (!job) throw new NotFoundError(`Job '${id}' not found`, { id });
+
+    await this.store.delete(id);
+    console.log(`🗑️ Job ${id.substring(0, 8)} deleted`);
+    return this.view(job);
+  }
+
+  // Start queued jobs while there are free slots
+  pump() {
+    while (this.running.size < this.concurrency && this.waiting.length > 0) {
+      this.run(this.waiting.shift());
+    }
+  }
+
+  run(job) {
+    const active = { job, events: [], controller: new AbortController() };
+    this.running.set(job.id, active);
+
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    this.persist(job);
+    console.log(`⚙️ Job ${job.id.substring(0, 8)} started`);
+
+    const onEvent = (kind, item) => {
+      active.events.push({ kind, item });
+      const counter = { territory: 'territories', node: 'nodes', edge: 'edges' }[kind];
+      if (counter) job.progress[counter]++;
+    };
+
+    active.done = this.handler(job, { signal: active.controller.signal, onEvent })
+      .then(result => this.finish(job, 'succeeded', { result }))
+      .catch(error => {
+        if (error instanceof RequestAbortedError || active.controller.signal.aborted) {
+          return this.finish(job, 'cancelled');
+        }
+        console.error(`❌ Job ${job.id.substring(0, 8)} failed:`, error.message);
+        return this.finish(job, 'failed', {
+          error: { message: error.message || 'Map generation failed', type: error.name || 'Error' }
+        });
+      })
+      .finally(() => {
+        this.running.delete(job.id);
+        this.pump();
+      });
+  }
+
+  async finish(job, status, { result = null, error = null } = {}) {
+    Object.assign(job, { status, result, error, finishedAt: new Date().toISOString() });
+    await this.persist(job);
+    console.log(`${status === 'succeeded' ? '✅' : status === 'cancelled' ? '🛑' : '⚠️'} Job ${job.id.substring(0, 8)} ${status}`);
+  }
+
+  // Writes never fail a job; the in-memory copy stays authoritative while it runs
+  persist(job) {
+    const snapshot = structuredClone(job);
+    this.writes = this.writes
+      .then(() => this.store.save(snapshot))
+      .catch(error => console.warn(`⚠️ Could not save job ${job.id.substring(0, 8)}:`, error.message));
+    return this.writes;
+  }
+
+  // Jobs a previous process left queued or running can't be resumed
+  recover() {
+    if (!this.recovered) {
+      this.recovered = this.store.list().then(jobs => Promise.all(
+        jobs
+          .filter(job => !FINISHED.includes(job.status))
+          .map(job => this.finish(job, 'failed', {
+            error: { message: 'Interrupted by a server restart', type: 'JobInterruptedError' }
+          }))
+      ));
+    }
+    return this.recovered;
+  }
+
+  async prune() {
+    const cutoff = Date.now() - this.ttlMs;
+    const expired = (await this.store.list())
+      .filter(job => FINISHED.includes(job.status) && Date.parse(job.finishedAt) < cutoff);
+
+    await Promise.all(expired.map(job => this.store.delete(job.id)));
+    if (expired.length > 0) console.log(`🧹 Pruned ${expired.length} expired job(s)`);
+  }
+
+  /**
+   * What clients see of a job: no request body or client key
+   * @param {Job} job
+   * @param {Array<{ kind: string, item: Object }>} [events] - Streamed items to include
+   * @returns {Object}
+   */
+  view(job, events = []) {
+    const { request, clientKey, ...rest } = job;
+    const active = this.running.get(job.id);
+    const position = this.waiting.findIndex(queued => queued.id === job.id);
+
+    return {
+      ...rest,
+      ...(position !== -1 ? { position: position + 1 } : {}),
+      ...(active ? { events, nextEvent: active.events.length } : {})
+    };
+  }
+}
+
+// Jobs generate through the streaming path so progress can be reported
+async function runGenerationJob(job, { signal, onEvent }) {
+  const { prompt, context, provider, template, model, temperature, maxTokens, cache } = job.request;
+
+  let result;
+  try {
+    result = await llmService.generateMapStream(prompt, context, {
+      provider,
+      template,
+      model,
+      temperature,
+      maxTokens,
+      cache,
+      signal
+    }, onEvent);
+  } catch (error) {
+    chargeUsage('jobs', job.clientKey, error); // Failed and cancelled jobs still paid for their calls
+    throw error;
+  }
+
+  chargeUsage('jobs', job.clientKey, result); // Charged like a request to /api/generate, after the fact
+  return buildGenerateResponse(result);
+}
+
+export default new JobQueue({
+  store: createJobStore(config.jobs),
+  concurrency: config.jobs.concurrency,
+  ttlMs: config.jobs.ttlMs,
+  handler: runGenerationJob
+});
@@ -0,0 +1,107 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Storage for background generation jobs
+ *
+ * - memory: jobs live as long as the process
+ * - file: one <id>.json file per job, so finished results survive a restart
+ *
+ * Both stores hold plain JSON job records (see JobQueue) and expose the same
+ * async get / save / delete / list interface.
+ */
+
+export class MemoryJobStore {
+  constructor() {
+    this.jobs = new Map(); // id -> job record
+  }
+
+  async get(id) {
+    const job = this.jobs.get(id);
+    return job ? structuredClone(job) : null;
+  }
+
+  async save(job) {
+    this.jobs.set(job.id, structuredClone(job));
+  }
+
+  async delete(id) {
+    this.jobs.delete(id);
+  }
+
+  async list() {
+    return [...this.jobs.values()].map(job => structuredClone(job));
+  }
+}
+
+const JOB_ID = /^[A-Za-z0-9_-]+$/;
+
+export class FileJobStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Directory holding <id>.json job files
+   */
+  constructor({ dir }) {
+    this.dir = dir;
+  }
+
+  filePath(id) {
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  async get(id) {
+    // Ids come from URLs; never let one point outside the directory
+    if (!JOB_ID.test(id)) return null;
+
+    try {
+      return JSON.parse(await fs.readFile(this.filePath(id), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ Ignoring unreadable job ${id}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  async save(job) {
+    await fs.mkdir(this.dir, { recursive: true });
+    // Write then rename so a reader never sees a half-written job
+    const temp = `${this.filePath(job.id)}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(job));
+    await fs.rename(temp, this.filePath(job.id));
+  }
+
+  async delete(id) {
+    await fs.rm(this.filePath(id), { force: true });
+  }
+
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const jobs = await Promise.all(
+      files
+        .filter(file => file.endsWith('.json'))
+        .map(file => this.get(path.basename(file, '.json')))
+    );
+    return jobs.filter(Boolean);
+  }
+}
+
+/**
+ * Build the job store selected in config
+ * @param {Object} options
+ * @param {'memory'|'file'} options.store
+ * @param {string} [options.dir] - File store directory
+ * @returns {MemoryJobStore|FileJobStore}
+ */
+export function createJobStore({ store, dir }) {
+  return store === 'file' ? new FileJobStore({ dir }) : new MemoryJobStore();
+}
+
+export default createJobStore;
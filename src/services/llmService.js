@@ -1,308 +1,111 @@
-import axios from 'axios';
-import { validateMap } from '../schemas/mapSchema.js';
-
-// System prompt for map generation
-const SYSTEM_PROMPT = `You are a knowledge map generator. Your task is to convert user prompts into structured knowledge maps.
-
-🎯 CRITICAL WORKFLOW - Follow these steps IN ORDER:
-
-════════════════════════════════════════════════════════
-⚠️ UNDERSTAND THE HIERARCHY FIRST ⚠️
-
-TERRITORIES = CONTAINERS (2-5 total)
-  ↓ contain multiple
-NODES = ITEMS (10-30 total)
-  ↓ connected by
-EDGES = RELATIONSHIPS
-
-Example hierarchy:
-- Territory: "Face Expression" (CATEGORY - a container)
-  ├─ Node: "Eye Contact" (specific item)
-  ├─ Node: "Smile Types" (specific item)
-  ├─ Node: "Frowning" (specific item)
-  └─ Node: "Raised Eyebrows" (specific item)
-
-- Territory: "Gesture" (CATEGORY - a container)
-  ├─ Node: "Hand Movements" (specific item)
-  ├─ Node: "Arm Position" (specific item)
-  └─ Node: "Body Language" (specific item)
-
-DO NOT confuse territories with nodes!
-❌ BAD: Territory = "Eye Contact" (this is a node, too specific!)
-✅ GOOD: Territory = "Face Expression", Node = "Eye Contact"
-
-════════════════════════════════════════════════════════
-
-STEP 1: READ USER INPUT & EXTRACT TERRITORY CATEGORIES
-- Look for: "first X, then Y, after Z" → X, Y, Z are territory candidates
-- Look for: "including A, B, and C" → A, B, C are territory candidates
-- Extract 2-5 CATEGORY NAMES (not individual items!)
-- Filter out verbs, pronouns, connectors
-
-STEP 2: VALIDATE TERRITORIES
-- Each territory must be a CONTAINER that can hold 3-10 nodes
-- Ask yourself: "Can I think of specific items that belong in this category?"
-- If yes ✅ → It's a territory
-- If no ❌ → It's probably a node, not a territory
-
-STEP 3: GENERATE NODES (10-30 specific items)
-- For EACH territory, create 3-10 specific nodes
-- Nodes are concrete concepts, tasks, skills, items
-- Assign each node to its territory via nodeIds array
-
-STEP 4: CREATE EDGES between nodes and position spatially
-
-════════════════════════════════════════════════════════
-
-Generate a JSON response with the following structure:
-{
-  "nodes": [
-    {
-      "id": "unique-id",
-      "label": "Node Label",
-      "x": number (0-1000),
-      "y": number (0-1000),
-      "type": "concept|entity|event|location|person",
-      "size": number (optional, 10-50),
-      "color": "hex color (optional)"
-    }
-  ],
-  "edges": [
-    {
-      "id": "unique-id",
-      "source": "node-id",
-      "target": "node-id",
-      "label": "Relationship Label",
-      "type": "relationship|dependency|similarity|hierarchy",
-      "weight": number (optional, 1-10)
-    }
-  ],
-  "territories": [
-    {
-      "id": "unique-id",
-      "name": "Territory Name",
-      "nodeIds": ["node-id-1", "node-id-2"],
-      "color": "hex color (optional)",
-      "description": "Territory description"
+import config, { isProviderConfigured } from '../config/config.js';
+import { validateMap, createMapSchemas } from '../schemas/mapSchema.js';
+import { toJsonSchema, stripNulls } from '../schemas/jsonSchema.js';
+import { checkMapIntegrity } from '../schemas/mapIntegrity.js';
+import { StreamingMapParser } from './streamingMapParser.js';
+import { ReplayProvider } from './replayProvider.js';
+import { CircuitBreaker } from './circuitBreaker.js';
+import { ResponseCache } from './responseCache.js';
+import { createExpansionSchema, validateExpansion, resolveExpansion } from '../schemas/mapExpansion.js';
+import { MapPatchSchema, validatePatch } from '../schemas/mapPatch.js';
+import { ChatReplySchema, validateChatReply } from '../schemas/chatSchema.js';
+import { SwotSchema, validateSwot } from '../schemas/swotSchema.js';
+import { swotToPlan } from '../schemas/swotPlan.js';
+import { getTemplate } from '../templates/index.js';
+import { composeExpandSystemPrompt, buildExpandPrompt } from '../templates/expandPrompt.js';
+import { composeRefineSystemPrompt, buildRefinePrompt } from '../templates/refinePrompt.js';
+import { composeChatSystemPrompt, buildChatPrompt, buildChatHistory } from '../templates/chatPrompt.js';
+import { composeAnalyzeSystemPrompt, buildAnalyzePrompt } from '../templates/analyzePrompt.js';
+import { buildSwotPlanPrompt } from '../templates/swotPlanPrompt.js';
+import { LLMProviderError, MapValidationError, CacheMissError, RequestAbortedError } from '../middleware/errorHandler.js';
+
+// Fallback-chain name for the offline keyword map (fallbackParser)
+export const KEYWORD_PROVIDER = 'keyword';
+
+// json_schema name (OpenAI) and tool name (Anthropic) for structured map output
+export const MAP_TOOL_NAME = 'knowledge_map';
+const EXPANSION_TOOL_NAME = 'node_expansion';
+const PATCH_TOOL_NAME = 'map_patch';
+const CHAT_TOOL_NAME = 'chat_reply';
+const SWOT_TOOL_NAME = 'swot_analysis';
+
+class LLMService {
+  constructor() {
+    // Wire protocols; each registry entry is served by one of these
+    this.protocols = {
+      'openai-chat': { call: this.callOpenAI, stream: this.streamOpenAI },
+      'anthropic-messages': { call: this.callAnthropic, stream: this.streamAnthropic }
+    };
+
+    // Named endpoints from the provider registry (src/config/providers.json)
+    this.registry = new Map(
+      config.llm.providers.filter(entry => entry.enabled).map(entry => [entry.name, entry])
+    );
+
+    this.providers = {};
+    this.streamProviders = {};
+    this.registry.forEach((entry, name) => {
+      const protocol = this.protocols[entry.protocol];
+      this.providers[name] = (prompt, options) => protocol.call.call(this, entry, prompt, options);
+      if (entry.capabilities.supportsStreaming) {
+        this.streamProviders[name] = (prompt, options, onText) =>
+          protocol.stream.call(this, entry, prompt, options, onText);
+      }
+    });
+
+    // Tracks consecutive failures per provider for the fallback chain
+    this.breaker = new CircuitBreaker(config.llm.circuitBreaker);
+
+    // Offline record/replay provider (see LLM_REPLAY_MODE)
+    this.replay = new ReplayProvider(config.llm.replay);
+    if (this.replay.enabled) {
+      const target = config.llm.replay.targetProvider;
+      this.providers.replay = (prompt, options) =>
+        this.replay.call(prompt, options, this.providers[target]);
+      this.streamProviders.replay = (prompt, options, onText) =>
+        this.replay.stream(prompt, options, onText, this.streamProviders[target]);
     }
-  ],
-  "metadata": {
-    "title": "Map Title",
-    "description": "Map Description",
-    "tags": ["tag1", "tag2"]
+
+    // Identical requests are served from here instead of a paid call
+    this.cache = new ResponseCache(config.llm.cache);
   }
-}
 
-CONCRETE EXAMPLE for input: "first face expression, then gesture, after that interaction"
-
-{
-  "territories": [
-    {
-      "id": "territory-1",
-      "name": "Face Expression",
-      "nodeIds": ["node-1", "node-2", "node-3"],
-      "description": "Observations of facial cues"
-    },
-    {
-      "id": "territory-2",
-      "name": "Gesture",
-      "nodeIds": ["node-4", "node-5", "node-6"],
-      "description": "Body and hand movements"
-    },
-    {
-      "id": "territory-3",
-      "name": "Interaction",
-      "nodeIds": ["node-7", "node-8", "node-9"],
-      "description": "Social behavior patterns"
-    }
-  ],
-  "nodes": [
-    {"id": "node-1", "label": "Eye Contact", "x": 150, "y": 200, "type": "concept"},
-    {"id": "node-2", "label": "Smile", "x": 250, "y": 200, "type": "concept"},
-    {"id": "node-3", "label": "Frowning", "x": 350, "y": 200, "type": "concept"},
-    {"id": "node-4", "label": "Hand Gestures", "x": 150, "y": 400, "type": "concept"},
-    {"id": "node-5", "label": "Posture", "x": 250, "y": 400, "type": "concept"},
-    {"id": "node-6", "label": "Arm Position", "x": 350, "y": 400, "type": "concept"},
-    {"id": "node-7", "label": "Turn Taking", "x": 150, "y": 600, "type": "concept"},
-    {"id": "node-8", "label": "Personal Space", "x": 250, "y": 600, "type": "concept"},
-    {"id": "node-9", "label": "Conversation Flow", "x": 350, "y": 600, "type": "concept"}
-  ],
-  "edges": [...],
-  "metadata": {...}
-}
+  // Resolve the API key for a registry entry; keyless entries return null
+  getApiKey(entry) {
+    if (!entry.apiKeyEnv) return null;
 
-NOTE: "Face Expression", "Gesture", "Interaction" are TERRITORIES (containers)
-      "Eye Contact", "Smile", "Hand Gestures" etc are NODES (specific items inside territories)
-
-════════════════════════════════════════════════════════
-
-Rules:
-1. ALWAYS extract 2-5 territories from user's input structure FIRST (follow STEP 1-2 above)
-2. Territories must be CATEGORIES (containers), NOT specific items
-3. Create 10-30 nodes total (3-10 nodes per territory)
-4. Assign each node to a territory via the territory's nodeIds array
-5. Position nodes spatially (x, y coordinates) to show relationships
-6. Return ONLY valid JSON, no markdown or explanations
-7. Ensure all edge source/target IDs match existing node IDs
-
-LAYOUT STRATEGY - Force-Directed Simulation:
-- Use D3-style force-directed layout principles
-- Position nodes based on SEMANTIC SIMILARITY (attraction force)
-  * Strongly related concepts should be closer together (100-200px apart)
-  * Weakly related concepts should be further apart (300-500px apart)
-- Apply REPULSION to prevent node overlap
-  * Maintain minimum distance of 80-100px between any two nodes
-  * Distribute nodes naturally across the 1000x1000 canvas
-- Create organic clusters where related concepts naturally group
-- Spread across the coordinate space (100-900 range for both x and y)
-- Think of semantic similarity as the "spring strength" pulling nodes together
-- Think of repulsion as the "charge" keeping nodes from overlapping
-
-TERRITORY STRATEGY - EXTRACT FROM USER INPUT (NOT from general knowledge!):
-⚠️ CRITICAL: Do NOT generate territories based on your knowledge of the topic.
-⚠️ EXTRACT territories from the user's actual input structure and language!
-
-Territories are NOT:
-  ❌ Individual words or concepts
-  ❌ Generic domain categories you know about
-  ❌ Node-level details
-  ❌ Generated from your knowledge base
-
-Territories ARE:
-  ✅ High-level categories MENTIONED or IMPLIED in the user's input
-  ✅ Organizational themes extracted from their enumeration patterns
-  ✅ Containers for 3-12 related nodes
-  ✅ Named using vocabulary from the user's prompt
-
-═══════════════════════════════════════════════════════
-
-MANDATORY EXTRACTION WORKFLOW:
-
-STEP 1 - Read User Input & Detect Structure:
-  * Look for explicit lists: "first X, then Y, after Z"
-  * Detect implicit categories: "I need to research A, calculate B, and plan C"
-  * Identify sequential markers: "first... then... after that... finally"
-  * Find enumeration: "including A, B, and C" or "such as X, Y, Z"
-
-STEP 2 - Extract Category Names from User's Language:
-  * Pull nouns/noun phrases that represent categories (NOT individual items)
-  * Keep user's vocabulary (don't rephrase with your own terms)
-  * Extract 2-5 territories (optimal: 3-4)
-  * Filter out: verbs (making, doing, going), pronouns (I, we), connectors (and, then, but)
-
-STEP 3 - Validate Territory Quality:
-  * Each territory should be a CATEGORY, not a single concept
-  * Can you imagine 3+ nodes fitting inside it? ✅ Good territory
-  * Is it just one word or action verb? ❌ Bad territory
-  * Title Case, 2-4 words, self-explanatory
-
-═══════════════════════════════════════════════════════
-
-EXAMPLES - What to Extract vs. What to Ignore:
-❌ BAD (Word-Level Breakdown):
-Input: "I want to learn Python"
-Wrong: ["I", "want", "learn", "Python"] ← These are individual words!
-
-✅ GOOD (Conceptual Categories):
-Input: "I want to learn Python"
-Correct: ["Python Basics", "Data Structures", "Projects"] ← Learning domains
-
-❌ BAD (Including Action Words):
-Input: "I will start by making fieldnotes, I went to observe people, first their face expression and then their gesture, after that is their interaction"
-Wrong: ["prepare", "making fieldnotes", "went to observe", "first their face", "then their gesture"]
-
-✅ GOOD (Extracted Categories):
-Input: "I will start by making fieldnotes, I went to observe people, first their face expression and then their gesture, after that is their interaction"
-Correct: ["Face Expression", "Gesture", "Interaction"] ← The 3 observation categories
-
-DETECTION PATTERNS:
-Structural indicators to look for:
-  * Sequential: "first... then... after that... finally"
-  * Enumeration: "including X, Y, and Z"
-  * Categorical: "types of...", "aspects such as...", "areas: A, B, C"
-  * Hierarchical: "main topics", "categories", "sections"
-
-Content to EXTRACT:
-  ✅ Domain names (e.g., "Marketing", "Research")
-  ✅ Concept categories (e.g., "Technical Skills", "Soft Skills")
-  ✅ Observation types (e.g., "Facial Expression", "Body Language")
-  ✅ Project phases (e.g., "Planning", "Execution", "Review")
-
-Content to IGNORE:
-  ❌ Personal pronouns (I, you, we, my)
-  ❌ Action verbs alone (want, will, going to)
-  ❌ Filler phrases (to be honest, basically, actually)
-  ❌ Connectors (and, but, or, then, after)
-
-ADAPTIVE COMPLEXITY:
-  * Simple Input → Minimal Territories
-    Input: "Plan vacation"
-    Output: ["Destinations", "Budget", "Activities"]
-
-  * Detailed Input → Specific Territories
-    Input: "I need to plan a vacation, including researching destinations in Europe and Asia, calculating budget for flights and hotels, and listing activities like museums and hiking"
-    Output: ["Destinations", "Budget Planning", "Activities & Attractions"]
-
-  * Structured Input → Direct Mapping
-    Input: "For my thesis: literature review, methodology, data analysis, conclusion"
-    Output: ["Literature Review", "Methodology", "Data Analysis", "Conclusion"]
-
-TERRITORY CREATION RULES:
-  * Minimum 2 territories required (if input suggests categories)
-  * Maximum 5 territories (keep it high-level)
-  * Each territory must be a conceptual container, not a single concept
-  * Territory names should be descriptive and self-explanatory
-
-TERRITORY COLORS:
-  * Assign distinct pastel colors to help differentiate groups visually
-
-EDGE STRATEGY - Adaptive Density with Classification:
-- Adaptive density based on map size:
-  * Small maps (<10 nodes): Rich connections - show all meaningful relationships
-  * Medium maps (10-30 nodes): Moderate connections - key relationships only
-  * Large maps (>30 nodes): Minimal connections - essential links to avoid clutter
-- Edge types (use "type" field to classify each edge):
-  1. "relationship" - Direct, explicitly mentioned connections (highest priority)
-     Example: "Learn JavaScript to build web apps" → JS connects to Web Apps
-  2. "hierarchy" - Parent-child, prerequisite, or contains relationships
-     Example: "Data Structures" contains "Arrays", "Trees", "Graphs"
-  3. "similarity" - Semantically related concepts or shared category
-     Example: "Python" and "JavaScript" are both programming languages
-  4. "dependency" - Temporal sequence or required before
-     Example: "Study" → "Practice Test" → "Real Exam" (sequential flow)
-- Edge generation priority (add in this order):
-  1. First: Add all direct/explicit relationships mentioned in the prompt
-  2. Second: Add hierarchical relationships (parent-child, prerequisites)
-  3. Third: Add semantic similarity edges only if meaningful and map isn't too dense
-  4. Fourth: Add temporal/sequential edges for process-based topics
-- Edge weights (use "weight" field 1-10):
-  * Strong relationship: 8-10 (direct connection, prerequisites)
-  * Moderate relationship: 5-7 (related concepts, same category)
-  * Weak relationship: 1-4 (loose connection, optional)
-- Important: Avoid redundant edges - if A→B→C exists, don't add A→C unless critically important
-- Give edges descriptive labels when the relationship type isn't obvious`;
+    const apiKey = process.env[entry.apiKeyEnv];
+    if (!apiKey) {
+      throw new Error(`${entry.apiKeyEnv} not configured`);
+    }
+    return apiKey;
+  }
 
-class LLMService {
-  constructor() {
-    this.providers = {
-      openai: this.callOpenAI.bind(this),
-      anthropic: this.callAnthropic.bind(this)
-    };
+  // Append any registry-defined query params (e.g. Azure api-version)
+  buildUrl(entry, path) {
+    const url = `${entry.baseUrl}${path}`;
+    if (!entry.query) return url;
+    return `${url}?${new URLSearchParams(entry.query).toString()}`;
   }
 
-  // Retry wrapper with exponential backoff for rate limiting
-  async callWithRetry(apiCall, retries = 3, provider = 'API') {
+  // Retry wrapper with exponential backoff for rate limiting.
+  // A cancelled request stops retrying, even in the middle of a backoff wait.
+  async callWithRetry(apiCall, retries = 3, provider = 'API', signal = null) {
     for (let i = 0; i < retries; i++) {
+      if (signal?.aborted) throw new RequestAbortedError();
+
       try {
         return await apiCall();
       } catch (error) {
-        const isRateLimited = error.response?.status === 429;
+        if (error instanceof RequestAbortedError) throw error;
+
+        const isRateLimited = error.status === 429;
         const isLastAttempt = i === retries - 1;
 
         if (isRateLimited && !isLastAttempt) {
           const delay = Math.pow(2, i) * 1000; // 1s, 2s, 4s
           console.log(`⏳ ${provider} rate limit reached. Retrying in ${delay / 1000}s... (Attempt ${i + 1}/${retries})`);
-          await new Promise(resolve => setTimeout(resolve, delay));
+          await this.sleep(delay, signal);
           continue;
         }
 
@@ -317,168 +120,939 @@ class LLMService {
     }
   }
 
-  // Main entry point
-  async generateMap(prompt, context = '', options = {}) {
-    const provider = options.provider || process.env.DEFAULT_LLM_PROVIDER || 'openai';
-    const model = options.model || this.getDefaultModel(provider);
-    const temperature = options.temperature ?? 0.7;
-    const maxTokens = options.maxTokens || 4000;
+  // Wait ms, or reject with RequestAbortedError as soon as the signal fires
+  sleep(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new RequestAbortedError());
+        return;
+      }
 
-    if (!this.providers[provider]) {
-      throw new Error(`Unsupported provider: ${provider}`);
-    }
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new RequestAbortedError());
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  // Resolve model/sampling options for one provider in the chain.
+  // An explicit model only applies to the provider it was requested for.
+  resolveOptions(provider, options) {
+    const isRequested = !options.provider || options.provider === provider;
+    return {
+      model: (isRequested && options.model) || this.getDefaultModel(provider),
+      temperature: options.temperature ?? 0.7,
+      maxTokens: options.maxTokens || 4000
+    };
+  }
 
-    const fullPrompt = context
+  // Combine optional context with the user's prompt
+  buildPrompt(prompt, context) {
+    return context
       ? `Context: ${context}\n\nPrompt: ${prompt}`
       : prompt;
+  }
 
-    try {
-      console.log(`🤖 Calling ${provider} LLM (model: ${model})...`);
+  // Providers to try in order: the requested (or default) one, then the fallback chain
+  getProviderChain(requested) {
+    const first = requested || config.llm.defaultProvider;
+    return [...new Set([first, ...config.llm.fallbackChain])];
+  }
+
+  // Walk the provider chain until one serves the request. Unconfigured
+  // providers and open circuits are skipped; every step is recorded in
+  // `attempts` so the response can explain who served it and why. Failed
+  // and cancelled attempts keep the usage they were billed for, and the
+  // attempts list rides on any error thrown, so spentUsage can charge them.
+  // `keywordFallback` builds the offline result for the keyword step; tasks
+  // without one (e.g. expansion) skip that step. With `keywordWhenUnconfigured`
+  // it also serves when no LLM provider is configured at all, even if the
+  // chain doesn't list "keyword".
+  async runWithFallback(requested, attempt, { keywordFallback = null, keywordWhenUnconfigured = false, task = 'Map generation' } = {}) {
+    const chain = this.getProviderChain(requested);
+    const attempts = [];
+
+    const serveKeyword = () => {
+      console.warn('🔤 All LLM providers unavailable, using keyword fallback map');
+      attempts.push({ provider: KEYWORD_PROVIDER, status: 'served' });
+      return {
+        ...keywordFallback(),
+        provider: KEYWORD_PROVIDER,
+        model: 'keyword-fallback',
+        usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0 },
+        repairRounds: 0,
+        fallback: true,
+        attempts,
+        error: this.summarizeAttempts(attempts)
+      };
+    };
+
+    for (const provider of chain) {
+      if (provider === KEYWORD_PROVIDER) {
+        if (!keywordFallback) continue;
+        return serveKeyword();
+      }
+
+      if (!this.isProviderAvailable(provider)) {
+        attempts.push({ provider, status: 'skipped', reason: 'not configured' });
+        continue;
+      }
+
+      if (!this.breaker.canRequest(provider)) {
+        const seconds = Math.ceil(this.breaker.retryAfter(provider) / 1000);
+        attempts.push({ provider, status: 'skipped', reason: `circuit open, retry in ${seconds}s` });
+        console.warn(`⏭️ Skipping ${provider}: circuit open for another ${seconds}s`);
+        continue;
+      }
+
+      try {
+        const result = await attempt(provider);
+        this.breaker.recordSuccess(provider);
+        attempts.push({ provider, status: 'served' });
+
+        const fallback = attempts.length > 1;
+        return {
+          ...result,
+          fallback,
+          attempts,
+          ...(fallback ? { error: this.summarizeAttempts(attempts) } : {})
+        };
+      } catch (error) {
+        const spent = error.usage ? { model: error.model, usage: error.usage } : {};
+
+        // A cancelled request ends the chain; the provider did nothing wrong
+        if (error instanceof RequestAbortedError) {
+          attempts.push({ provider, status: 'cancelled', ...spent });
+          error.attempts = attempts;
+          throw error;
+        }
+
+        // Invalid maps are a model-quality problem, not an outage
+        if (!(error instanceof MapValidationError)) {
+          this.breaker.recordFailure(provider, error);
+        }
+        attempts.push({ provider, status: 'failed', reason: error.message, ...spent });
+      }
+    }
+
+    const unconfigured = attempts.every(a => a.status === 'skipped' && a.reason === 'not configured');
+    if (keywordFallback && keywordWhenUnconfigured && unconfigured) {
+      return serveKeyword();
+    }
+
+    if (attempts.length === 0) {
+      throw new LLMProviderError(`${task} failed: no LLM provider is configured`, chain[0]);
+    }
+
+    const message = attempts.length === 1
+      ? attempts[0].reason
+      : `all providers failed (${this.summarizeAttempts(attempts)})`;
+    const error = new LLMProviderError(`${task} failed: ${message}`, chain[0]);
+    error.attempts = attempts;
+    throw error;
+  }
+
+  /**
+   * Every provider call an outcome was billed for: attempts that failed or
+   * were cancelled along the fallback chain, then the call that served.
+   * Cache hits spent nothing.
+   * @param {Object|Error} outcome - A result, or an error thrown by runWithFallback
+   * @returns {Array<{ provider: string, model: string, usage: Object }>}
+   */
+  spentUsage(outcome) {
+    if (!outcome || outcome.cached) return [];
+
+    const spent = (outcome.attempts || [])
+      .filter(attempt => attempt.status !== 'served' && attempt.usage)
+      .map(({ provider, model, usage }) => ({ provider, model, usage }));
+
+    if (!(outcome instanceof Error) && outcome.usage) {
+      spent.push({ provider: outcome.provider, model: outcome.model, usage: outcome.usage });
+    }
+    return spent;
+  }
+
+  // "anthropic skipped: circuit open, retry in 42s; openai failed: ..."
+  summarizeAttempts(attempts) {
+    return attempts
+      .filter(a => a.status !== 'served')
+      .map(a => `${a.provider} ${a.status}: ${a.reason}`)
+      .join('; ');
+  }
 
-      const response = await this.providers[provider](fullPrompt, {
-        model,
-        temperature,
-        maxTokens
+  // Serve a request from the response cache, or generate and store it.
+  // options.cache: 'prefer' (default) reads then writes, 'bypass' skips the
+  // read but refreshes the entry, 'only' never calls a provider.
+  async withCache(prompt, context, options, generate, onHit = () => {}) {
+    const mode = options.cache || 'prefer';
+
+    if (!this.cache.enabled) {
+      if (mode === 'only') throw new CacheMissError('Response cache is disabled');
+      return { ...(await generate()), cached: false };
+    }
+
+    const provider = options.provider || config.llm.defaultProvider;
+    const key = this.cache.keyFor({
+      prompt,
+      context,
+      provider,
+      template: getTemplate(options.template).id,
+      ...this.resolveOptions(provider, options)
+    });
+
+    if (mode !== 'bypass') {
+      const entry = await this.cache.get(key);
+      if (entry) {
+        console.log(`💾 Cache hit ${key.substring(0, 12)} (stored ${new Date(entry.storedAt).toISOString()})`);
+        onHit(entry.value);
+        return {
+          ...entry.value,
+          usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0 }, // Nothing was spent
+          cached: true
+        };
+      }
+      if (mode === 'only') {
+        throw new CacheMissError('No cached map for this request', { key });
+      }
+    }
+
+    const result = await generate();
+
+    // Keyword maps are free to rebuild and shouldn't shadow a real LLM answer later.
+    // Fallback answers came from another provider than the key names, and
+    // would replay their warning on every hit.
+    if (result.provider !== KEYWORD_PROVIDER && !result.fallback) {
+      const { integrity, ...rest } = result;
+      await this.cache.set(key, {
+        ...rest,
+        ...(integrity ? { integrity: { valid: integrity.valid, issues: integrity.issues } } : {})
       });
+    }
 
-      console.log(`✅ LLM responded successfully (${response.usage.totalTokens} tokens)`);
+    return { ...result, cached: false };
+  }
+
+  // Template fields returned with every map so clients validate against the same vocabulary
+  describeTemplate(template) {
+    return { id: template.id, nodeTypes: template.nodeTypes, edgeTypes: template.edgeTypes };
+  }
+
+  // Main entry point; options.template picks the prompt template ("map genre")
+  async generateMap(prompt, context = '', options = {}) {
+    const fullPrompt = this.buildPrompt(prompt, context);
+    const template = getTemplate(options.template);
+
+    const attempt = (provider) => this.generateWithProvider(provider, fullPrompt, template, options);
+    const keywordFallback = () => ({
+      mapJson: this.fallbackParser(prompt, context, template),
+      template: this.describeTemplate(template)
+    });
+
+    return this.withCache(prompt, context, options, () =>
+      this.runWithFallback(options.provider, attempt, { keywordFallback })
+    );
+  }
 
-      // Extract and validate map JSON
-      const mapJson = this.extractJSON(response.content);
-
-      console.log('🔍 Validating map structure...');
-      const validation = validateMap(mapJson);
-
-      if (!validation.success) {
-        console.error('❌ LLM returned invalid map structure');
-        console.error('Validation errors:', JSON.stringify(validation.error, null, 2));
-        console.error('Map data structure:', {
-          hasNodes: Array.isArray(mapJson.nodes),
-          nodeCount: mapJson.nodes?.length,
-          hasEdges: Array.isArray(mapJson.edges),
-          edgeCount: mapJson.edges?.length,
-          hasTerritories: Array.isArray(mapJson.territories),
-          territoryCount: mapJson.territories?.length
+  // Streaming entry point: emits onEvent(kind, item) for every territory,
+  // node and edge as soon as it is parseable, then validates the full map
+  async generateMapStream(prompt, context = '', options = {}, onEvent = () => {}) {
+    const fullPrompt = this.buildPrompt(prompt, context);
+    const template = getTemplate(options.template);
+
+    // Cached maps are replayed item by item so the client renders them the same way
+    const replayCached = ({ mapJson }) => {
+      (mapJson.territories || []).forEach(item => onEvent('territory', item));
+      mapJson.nodes.forEach(item => onEvent('node', item));
+      mapJson.edges.forEach(item => onEvent('edge', item));
+    };
+
+    const keywordFallback = () => ({
+      mapJson: this.fallbackParser(prompt, context, template),
+      template: this.describeTemplate(template)
+    });
+
+    return this.withCache(prompt, context, options, () =>
+      this.runWithFallback(options.provider, (provider) => {
+        const parser = new StreamingMapParser();
+        return this.generateWithProvider(provider, fullPrompt, template, options, (text) => {
+          parser.push(text).forEach(({ kind, item }) => onEvent(kind, item));
         });
-        console.error('First few nodes:', mapJson.nodes?.slice(0, 2));
-        console.error('Raw LLM response (first 500 chars):', response.content.substring(0, 500));
+      }, { keywordFallback }),
+      replayCached
+    );
+  }
+
+  /**
+   * Expand one node of an existing map with new children (and optionally a
+   * new territory). Only additions are returned, with ids resolved against
+   * the map so they never collide; there is no keyword fallback.
+   * @param {Object} map - Current MapSchema-shaped map
+   * @param {string} nodeId - Node to expand (must exist in map)
+   * @param {Object} [options] - template, provider, model, temperature, maxTokens, count, instruction
+   * @returns {Promise<Object>} { expansion, provider, model, template, usage, repairRounds, fallback, attempts }
+   */
+  async expandNode(map, nodeId, options = {}) {
+    const template = getTemplate(options.template);
+    const node = map.nodes.find(n => n.id === nodeId);
+    const count = options.count || 5;
+
+    const task = {
+      system: composeExpandSystemPrompt(template, { count }),
+      output: {
+        name: EXPANSION_TOOL_NAME,
+        description: 'Return the new child nodes and edges for the expanded node.',
+        schema: createExpansionSchema(template)
+      },
+      validate: (json) => validateExpansion(json, template)
+    };
+    const prompt = buildExpandPrompt(map, node, { instruction: options.instruction });
+    const linkType = template.edgeTypes.includes('hierarchy') ? 'hierarchy' : undefined;
+
+    const result = await this.runWithFallback(options.provider, async (provider) => {
+      const { data, ...rest } = await this.completeWithProvider(provider, prompt, task, options);
+      return { expansion: resolveExpansion(map, nodeId, data, { linkType }), ...rest };
+    }, { task: 'Node expansion' });
+
+    console.log(`🌱 Expanded "${node.label}" with ${result.expansion.nodes.length} node(s)`);
+    return { ...result, template: this.describeTemplate(template) };
+  }
 
-        throw new Error(`Invalid map structure from LLM: ${JSON.stringify(validation.error)}`);
+  /**
+   * Turn a change request into a patch against the current map. Operations
+   * are checked against the map's ids (and fed back as repair issues), so
+   * the returned patch applies cleanly; there is no keyword fallback.
+   * @param {Object} map - Current MapSchema-shaped map
+   * @param {string} instruction - e.g. "split Speaking into fluency and pronunciation"
+   * @param {Object} [options] - template, provider, model, temperature, maxTokens
+   * @returns {Promise<Object>} { patch, issues, provider, model, template, usage, repairRounds, fallback, attempts }
+   */
+  async refineMap(map, instruction, options = {}) {
+    const template = getTemplate(options.template);
+    let issues = [];
+
+    const task = {
+      system: composeRefineSystemPrompt(template),
+      output: {
+        name: PATCH_TOOL_NAME,
+        description: 'Return the patch that applies the requested change to the map.',
+        schema: MapPatchSchema
+      },
+      validate: (json) => {
+        const validation = validatePatch(json, map, template);
+        if (validation.success) issues = validation.issues;
+        return validation;
       }
+    };
 
-      console.log('✓ Map validation passed');
-      return {
-        mapJson: validation.data,
+    const result = await this.runWithFallback(options.provider, async (provider) => {
+      const { data, ...rest } = await this.completeWithProvider(provider, buildRefinePrompt(map, instruction), task, options);
+      return { patch: data, ...rest };
+    }, { task: 'Map refinement' });
+
+    console.log(`✏️ Refinement patch with ${result.patch.operations.length} operation(s)`);
+    return { ...result, issues, template: this.describeTemplate(template) };
+  }
+
+  /**
+   * One turn of the map chat: a reply for the transcript plus an optional
+   * patch, checked against the current map like refineMap's
+   * @param {Object} map - Current MapSchema-shaped map
+   * @param {string} message - Newest user message
+   * @param {Array<{ role: string, content: string }>} [history] - Earlier turns, oldest first
+   * @param {Object} [options] - template, provider, model, temperature, maxTokens
+   * @returns {Promise<Object>} { reply, patch, issues, provider, model, template, usage, repairRounds, fallback, attempts }
+   */
+  async chat(map, message, history = [], options = {}) {
+    const template = getTemplate(options.template);
+    let issues = [];
+
+    const task = {
+      system: composeChatSystemPrompt(template),
+      output: {
+        name: CHAT_TOOL_NAME,
+        description: 'Reply to the user and optionally propose a map patch.',
+        schema: ChatReplySchema
+      },
+      validate: (json) => {
+        const validation = validateChatReply(json, map, template);
+        if (validation.success) issues = validation.issues;
+        return validation;
+      },
+      history: buildChatHistory(history)
+    };
+
+    const result = await this.runWithFallback(options.provider, async (provider) => {
+      const { data, ...rest } = await this.completeWithProvider(provider, buildChatPrompt(map, message), task, options);
+      return { ...data, ...rest };
+    }, { task: 'Chat' });
+
+    console.log(`💬 Chat reply${result.patch ? ` with a ${result.patch.operations.length}-operation patch` : ''}`);
+    return { ...result, issues, template: this.describeTemplate(template) };
+  }
+
+  /**
+   * SWOT analysis of the user's description and/or map. Items keep only
+   * node ids that exist in the map; there is no keyword fallback.
+   * @param {string} text - The user's description (may be empty when a map is given)
+   * @param {Object|null} map - Current MapSchema-shaped map
+   * @param {Object} [options] - template, provider, model, temperature, maxTokens
+   * @returns {Promise<Object>} { swot, issues, provider, model, template, usage, repairRounds, fallback, attempts }
+   */
+  async analyzeSwot(text, map, options = {}) {
+    const template = getTemplate(options.template);
+    let issues = [];
+
+    const task = {
+      system: composeAnalyzeSystemPrompt(template),
+      output: {
+        name: SWOT_TOOL_NAME,
+        description: 'Return the SWOT analysis.',
+        schema: SwotSchema
+      },
+      validate: (json) => {
+        const validation = validateSwot(json, map);
+        if (validation.success) issues = validation.issues;
+        return validation;
+      }
+    };
+
+    const result = await this.runWithFallback(options.provider, async (provider) => {
+      const { data, ...rest } = await this.completeWithProvider(provider, buildAnalyzePrompt(text, map), task, options);
+      return { swot: data, ...rest };
+    }, { task: 'SWOT analysis' });
+
+    const count = Object.values(result.swot).reduce((sum, items) => sum + items.length, 0);
+    console.log(`🧭 SWOT analysis with ${count} item(s)`);
+    return { ...result, issues, template: this.describeTemplate(template) };
+  }
+
+  /**
+   * Turn a SWOT analysis into a plan map under the template's format. The
+   * keyword step of the fallback chain uses the line-splitting converter,
+   * which also answers when no LLM provider is configured.
+   * @param {Object} swot - { strengths, weaknesses, opportunities, threats } of { text, nodeIds }
+   * @param {string} [prompt] - The user's description, for context
+   * @param {Object} [options] - template, provider, model, temperature, maxTokens
+   * @returns {Promise<Object>} Same shape as generateMap's result
+   */
+  async planFromSwot(swot, prompt = '', options = {}) {
+    const template = getTemplate(options.template);
+    const fullPrompt = buildSwotPlanPrompt(swot, prompt);
+
+    const keywordFallback = () => ({
+      mapJson: swotToPlan(swot, template),
+      template: this.describeTemplate(template)
+    });
+
+    const attempt = (provider) => this.generateWithProvider(provider, fullPrompt, template, options);
+    const result = await this.runWithFallback(options.provider, attempt, {
+      keywordFallback,
+      keywordWhenUnconfigured: true,
+      task: 'SWOT plan'
+    });
+
+    console.log(`📋 SWOT plan with ${result.mapJson.nodes.length} node(s)`);
+    return result;
+  }
+
+  // Generate and validate a map with a single provider.
+  // Streams when onText is given and the provider supports it.
+  async generateWithProvider(provider, fullPrompt, template, options, onText = null) {
+    const { data, ...result } = await this.completeWithProvider(provider, fullPrompt, {
+      system: template.systemPrompt,
+      output: {
+        name: MAP_TOOL_NAME,
+        description: 'Return the generated knowledge map.',
+        schema: createMapSchemas(template).MapSchema
+      },
+      validate: (json) => validateMap(json, template)
+    }, options, onText);
+
+    // Shape is valid; fix dangling references and duplicate ids deterministically
+    const integrity = checkMapIntegrity(data, { autoFix: true });
+    if (integrity.issues.length > 0) {
+      console.warn(`🩹 Integrity check: ${integrity.issues.length} issue(s), auto-fixed where possible`);
+    }
+
+    return {
+      mapJson: integrity.map,
+      provider: result.provider,
+      model: result.model,
+      template: this.describeTemplate(template),
+      usage: result.usage,
+      repairRounds: result.repairRounds,
+      integrity
+    };
+  }
+
+  /**
+   * Run one schema-bound completion against a single provider: call it
+   * (streaming when onText is given and supported), then validate with
+   * repair rounds. Every structured endpoint goes through here.
+   * @param {string} provider
+   * @param {string} prompt - User turn
+   * @param {Object} task
+   * @param {string} task.system - System prompt
+   * @param {{ name: string, description: string, schema: import('zod').ZodTypeAny }} task.output -
+   *   Expected JSON shape; sent as json_schema / tool input to providers with structured output
+   * @param {Function} task.validate - (json) => { success, data } | { success: false, error }
+   * @param {Array<{ role: string, content: string }>} [task.history] - Earlier conversation turns
+   * @param {Object} options - Request options (provider, model, temperature, maxTokens, signal)
+   * @param {Function} [onText] - Receives streamed text deltas
+   * @returns {Promise<{ data: Object, provider: string, model: string, usage: Object, repairRounds: number }>}
+   */
+  async completeWithProvider(provider, prompt, { system, output, validate, history }, options, onText = null) {
+    const { model, temperature, maxTokens } = this.resolveOptions(provider, options);
+    const callOptions = {
+      model,
+      temperature,
+      maxTokens,
+      system,
+      output,
+      signal: options.signal,
+      ...(history ? { history } : {})
+    };
+    const stream = onText && this.streamProviders[provider];
+
+    try {
+      let response;
+      if (stream) {
+        console.log(`🤖 Streaming from ${provider} LLM (model: ${model})...`);
+        response = await stream(prompt, callOptions, onText);
+      } else {
+        console.log(`🤖 Calling ${provider} LLM (model: ${model})...`);
+        response = await this.providers[provider](prompt, callOptions);
+      }
+
+      console.log(`✅ LLM responded successfully (${response.usage.totalTokens} tokens)`);
+
+      // Repair rounds (if any) use the blocking call; streaming clients re-render from the final result
+      const { data, usage, repairRounds } = await this.validateWithRepair(response, {
         provider,
-        model,
-        usage: response.usage
+        prompt,
+        callOptions,
+        validate,
+        structured: this.supportsStructuredOutput(provider, model)
+      });
+
+      return { data, provider, model, usage, repairRounds };
+    } catch (error) {
+      // Calls that completed before the failure (see validateWithRepair) were still billed
+      const spent = error.usage ? { model, usage: error.usage } : {};
+
+      // Aborting surfaces as a fetch AbortError (possibly mid-stream); report it as a cancellation
+      if (options.signal?.aborted) {
+        console.log(`🛑 ${provider} call cancelled by the client`);
+        throw Object.assign(new RequestAbortedError(), spent);
+      }
+      this.logProviderError(error, provider, model);
+      throw Object.assign(error, spent);
+    }
+  }
+
+  // Validate a completion, feeding schema issues back to the model as follow-up
+  // turns until it returns valid JSON or the repair budget is spent. Errors
+  // carry the usage of every call made so far as error.usage.
+  async validateWithRepair(response, { provider, prompt, callOptions, validate = validateMap, structured = false }) {
+    const maxAttempts = config.llm.maxRepairAttempts;
+    const history = [...(callOptions.history || [])]; // Repair turns follow any conversation turns
+    let lastPrompt = prompt;
+    let content = response.content;
+    let usage = { ...response.usage };
+
+    for (let round = 0; ; round++) {
+      const check = this.checkCompletion(content, validate, structured);
+
+      if (check.success) {
+        console.log(`✓ Schema validation passed${round > 0 ? ` after ${round} repair round(s)` : ''}`);
+        return { data: check.data, usage, repairRounds: round };
+      }
+
+      if (round >= maxAttempts) {
+        const error = new MapValidationError(`Invalid map structure from LLM: ${JSON.stringify(check.issues)}`, check.issues);
+        error.usage = usage;
+        throw error;
+      }
+
+      console.warn(`🔧 Repair round ${round + 1}/${maxAttempts}: ${check.issues.length} issue(s)`);
+
+      history.push(
+        { role: 'user', content: lastPrompt },
+        { role: 'assistant', content }
+      );
+      lastPrompt = this.buildRepairPrompt(check.issues);
+
+      let repaired;
+      try {
+        repaired = await this.providers[provider](lastPrompt, { ...callOptions, history });
+      } catch (error) {
+        error.usage = usage;
+        throw error;
+      }
+      content = repaired.content;
+      usage = {
+        promptTokens: usage.promptTokens + repaired.usage.promptTokens,
+        completionTokens: usage.completionTokens + repaired.usage.completionTokens,
+        totalTokens: usage.totalTokens + repaired.usage.totalTokens
       };
+    }
+  }
+
+  // Parse JSON from completion text and run the task's schema validation
+  // (full MapSchema with the default vocabulary unless told otherwise).
+  // Structured output is plain JSON; free text goes through extractJSON.
+  // Returns { success, data } or { success: false, issues: [{ path, message }] }
+  checkCompletion(content, validate = validateMap, structured = false) {
+    let mapJson;
+    try {
+      mapJson = structured ? stripNulls(JSON.parse(content)) : this.extractJSON(content);
     } catch (error) {
-      console.error(`❌ LLM Error [${provider}]:`, error.message);
-      console.error('Error details:', {
-        provider,
-        model,
-        errorType: error.constructor.name,
-        status: error.response?.status,
-        statusText: error.response?.statusText
+      console.error('❌ LLM returned unparseable JSON:', error.message);
+      return {
+        success: false,
+        issues: [{ path: '(root)', message: `Response is not valid JSON: ${error.message}` }]
+      };
+    }
+
+    console.log('🔍 Validating response structure...');
+    const validation = validate(mapJson);
+
+    if (!validation.success) {
+      console.error('❌ LLM returned invalid map structure');
+      console.error('Validation errors:', JSON.stringify(validation.error, null, 2));
+      console.error('Map data structure:', {
+        hasNodes: Array.isArray(mapJson.nodes),
+        nodeCount: mapJson.nodes?.length,
+        hasEdges: Array.isArray(mapJson.edges),
+        edgeCount: mapJson.edges?.length,
+        hasTerritories: Array.isArray(mapJson.territories),
+        territoryCount: mapJson.territories?.length
       });
+      console.error('First few nodes:', mapJson.nodes?.slice(0, 2));
+      console.error('Raw LLM response (first 500 chars):', content.substring(0, 500));
 
-      // Re-throw the error instead of using fallback
-      throw new Error(`Map generation failed: ${error.message}`);
+      const issues = Array.isArray(validation.error)
+        ? validation.error.map(issue => ({
+          path: this.formatIssuePath(issue.path),
+          message: issue.message
+        }))
+        : [{ path: '(root)', message: String(validation.error) }];
+
+      return { success: false, issues };
     }
+
+    return { success: true, data: validation.data };
   }
 
-  // OpenAI implementation
-  async callOpenAI(prompt, options) {
-    const apiKey = process.env.OPENAI_API_KEY;
-    if (!apiKey) {
-      throw new Error('OPENAI_API_KEY not configured');
+  // Turn a Zod issue path like ['nodes', 3, 'type'] into "nodes[3].type"
+  formatIssuePath(path = []) {
+    if (path.length === 0) return '(root)';
+    return path.reduce((acc, key) => (
+      typeof key === 'number' ? `${acc}[${key}]` : (acc ? `${acc}.${key}` : key)
+    ), '');
+  }
+
+  // Follow-up turn asking the model to fix exactly the reported issues
+  buildRepairPrompt(issues) {
+    const issueList = issues.map(issue => `- ${issue.path}: ${issue.message}`).join('\n');
+
+    return `Your previous response failed schema validation with these issues:
+${issueList}
+
+Fix ONLY these problems and keep everything else unchanged.
+Return the complete corrected JSON, with no markdown or explanations.`;
+  }
+
+  logProviderError(error, provider, model) {
+    console.error(`❌ LLM Error [${provider}]:`, error.message);
+    console.error('Error details:', {
+      provider,
+      model,
+      errorType: error.constructor.name,
+      status: error.status,
+      statusText: error.statusText
+    });
+  }
+
+  // POST a JSON body with the configured timeout (covering the whole body for
+  // blocking calls, only the response headers for streams). Non-2xx responses
+  // throw with error.status so retry and fallback logic can inspect them.
+  // `signal` (the client's request) aborts the call, including a stream's body.
+  async postJSON(url, body, headers, { stream = false, signal = null } = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), config.llm.timeout);
+
+    const onAbort = () => controller.abort();
+    if (signal?.aborted) controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        const detail = await response.text().catch(() => '');
+        const error = new Error(`Request failed with status code ${response.status}${detail ? `: ${detail.substring(0, 200)}` : ''}`);
+        error.status = response.status;
+        error.statusText = response.statusText;
+        throw error;
+      }
+
+      return stream ? response : await response.json();
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        if (signal?.aborted) throw new RequestAbortedError();
+        throw new Error(`Request timed out after ${config.llm.timeout}ms`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      // A stream keeps listening so cancelling still stops the body
+      if (!stream) signal?.removeEventListener('abort', onAbort);
     }
+  }
+
+  // Read a provider's SSE byte stream and yield parsed { event, data } messages
+  async *readServerSentEvents(stream) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of stream) {
+      buffer += decoder.decode(chunk, { stream: true }).replace(/\r\n/g, '\n');
+
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const block = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
 
-    const baseURL = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1';
-    const url = `${baseURL}/chat/completions`;
+        let event = 'message';
+        const dataLines = [];
+        block.split('\n').forEach(line => {
+          if (line.startsWith('event:')) event = line.slice(6).trim();
+          else if (line.startsWith('data:')) dataLines.push(line.slice(5).trimStart());
+        });
+
+        if (dataLines.length > 0) {
+          yield { event, data: dataLines.join('\n') };
+        }
+      }
+    }
+  }
+
+  // Build the OpenAI-compatible request shared by the blocking and streaming calls
+  buildOpenAIRequest(entry, prompt, options) {
+    const apiKey = this.getApiKey(entry);
 
     // Build request body
-    const requestBody = {
+    const body = {
       model: options.model,
       messages: [
-        { role: 'system', content: SYSTEM_PROMPT },
+        { role: 'system', content: options.system },
+        ...(options.history || []),
         { role: 'user', content: prompt }
       ],
       temperature: options.temperature,
       max_tokens: options.maxTokens
     };
 
-    // Only add response_format for real OpenAI (not Groq)
-    if (!baseURL.includes('groq')) {
-      requestBody.response_format = { type: 'json_object' };
+    // Prefer schema-enforced structured output, then plain JSON mode
+    if (this.supportsStructuredOutput(entry.name, options.model) && options.output) {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: {
+          name: options.output.name,
+          strict: true,
+          schema: toJsonSchema(options.output.schema, { strict: true })
+        }
+      };
+    } else if (entry.capabilities.supportsJsonMode) {
+      body.response_format = { type: 'json_object' };
     }
 
-    // Determine provider name for logging
-    const providerName = baseURL.includes('groq') ? 'Groq' : 'OpenAI';
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+      const header = entry.apiKeyHeader || 'Authorization';
+      const prefix = entry.apiKeyPrefix ?? (header === 'Authorization' ? 'Bearer ' : '');
+      headers[header] = `${prefix}${apiKey}`;
+    }
+
+    return {
+      url: this.buildUrl(entry, '/chat/completions'),
+      body,
+      headers
+    };
+  }
+
+  // OpenAI-compatible implementation (OpenAI, Groq, local and Azure-style endpoints)
+  async callOpenAI(entry, prompt, options) {
+    const { url, body, headers } = this.buildOpenAIRequest(entry, prompt, options);
 
     // Wrap the API call with retry logic
     const response = await this.callWithRetry(async () => {
-      return await axios.post(
-        url,
-        requestBody,
-        {
-          headers: {
-            'Authorization': `Bearer ${apiKey}`,
-            'Content-Type': 'application/json'
-          },
-          timeout: 30000
-        }
-      );
-    }, 3, providerName);
+      return await this.postJSON(url, body, headers, { signal: options.signal });
+    }, 3, entry.displayName, options.signal);
 
+    const usage = response.usage || {};
     return {
-      content: response.data.choices[0].message.content,
+      content: response.choices[0].message.content,
       usage: {
-        promptTokens: response.data.usage.prompt_tokens,
-        completionTokens: response.data.usage.completion_tokens,
-        totalTokens: response.data.usage.total_tokens
+        promptTokens: usage.prompt_tokens || 0,
+        completionTokens: usage.completion_tokens || 0,
+        totalTokens: usage.total_tokens || 0
       }
     };
   }
 
-  // Anthropic implementation
-  async callAnthropic(prompt, options) {
-    const apiKey = process.env.ANTHROPIC_API_KEY;
-    if (!apiKey) {
-      throw new Error('ANTHROPIC_API_KEY not configured');
+  // OpenAI-compatible streaming implementation
+  async streamOpenAI(entry, prompt, options, onText) {
+    const { url, body, headers } = this.buildOpenAIRequest(entry, prompt, options);
+
+    body.stream = true;
+    if (entry.capabilities.supportsStreamUsage) {
+      body.stream_options = { include_usage: true };
+    }
+
+    const response = await this.callWithRetry(async () => {
+      return await this.postJSON(url, body, headers, { stream: true, signal: options.signal });
+    }, 3, entry.displayName, options.signal);
+
+    let content = '';
+    let usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+
+    for await (const { data } of this.readServerSentEvents(response.body)) {
+      if (data === '[DONE]') break;
+
+      const chunk = JSON.parse(data);
+      const delta = chunk.choices?.[0]?.delta?.content;
+      if (delta) {
+        content += delta;
+        onText(delta);
+      }
+
+      // OpenAI sends usage in the final chunk, Groq under x_groq
+      const chunkUsage = chunk.usage || chunk.x_groq?.usage;
+      if (chunkUsage) {
+        usage = {
+          promptTokens: chunkUsage.prompt_tokens,
+          completionTokens: chunkUsage.completion_tokens,
+          totalTokens: chunkUsage.total_tokens
+        };
+      }
+    }
+
+    return { content, usage };
+  }
+
+  // Build the Anthropic Messages request shared by the blocking and streaming calls
+  buildAnthropicRequest(entry, prompt, options) {
+    const apiKey = this.getApiKey(entry);
+
+    const headers = {
+      'anthropic-version': entry.apiVersion || '2023-06-01',
+      'Content-Type': 'application/json'
+    };
+    if (apiKey) {
+      headers[entry.apiKeyHeader || 'x-api-key'] = `${entry.apiKeyPrefix || ''}${apiKey}`;
     }
 
+    const body = {
+      model: options.model,
+      max_tokens: options.maxTokens,
+      temperature: options.temperature,
+      system: options.system,
+      messages: [
+        ...(options.history || []),
+        { role: 'user', content: prompt }
+      ]
+    };
+
+    // Structured output: force a single tool call whose input is the result
+    if (this.supportsStructuredOutput(entry.name, options.model) && options.output) {
+      body.tools = [{
+        name: options.output.name,
+        description: options.output.description,
+        input_schema: toJsonSchema(options.output.schema)
+      }];
+      body.tool_choice = { type: 'tool', name: options.output.name };
+    }
+
+    return {
+      url: this.buildUrl(entry, '/messages'),
+      body,
+      headers
+    };
+  }
+
+  // Anthropic implementation
+  async callAnthropic(entry, prompt, options) {
+    const { url, body, headers } = this.buildAnthropicRequest(entry, prompt, options);
+
     // Wrap the API call with retry logic
     const response = await this.callWithRetry(async () => {
-      return await axios.post(
-        'https://api.anthropic.com/v1/messages',
-        {
-          model: options.model,
-          max_tokens: options.maxTokens,
-          temperature: options.temperature,
-          system: SYSTEM_PROMPT,
-          messages: [
-            { role: 'user', content: prompt }
-          ]
-        },
-        {
-          headers: {
-            'x-api-key': apiKey,
-            'anthropic-version': '2023-06-01',
-            'Content-Type': 'application/json'
-          },
-          timeout: 30000
-        }
-      );
-    }, 3, 'Anthropic');
+      return await this.postJSON(url, body, headers, { signal: options.signal });
+    }, 3, entry.displayName, options.signal);
+
+    // Tool input when structured output was requested, text otherwise
+    const toolUse = response.content.find(block => block.type === 'tool_use');
+    const text = response.content.find(block => block.type === 'text');
+
+    return {
+      content: toolUse ? JSON.stringify(toolUse.input) : (text?.text || ''),
+      usage: {
+        promptTokens: response.usage.input_tokens,
+        completionTokens: response.usage.output_tokens,
+        totalTokens: response.usage.input_tokens + response.usage.output_tokens
+      }
+    };
+  }
+
+  // Anthropic streaming implementation
+  async streamAnthropic(entry, prompt, options, onText) {
+    const { url, body, headers } = this.buildAnthropicRequest(entry, prompt, options);
+    body.stream = true;
+
+    const response = await this.callWithRetry(async () => {
+      return await this.postJSON(url, body, headers, { stream: true, signal: options.signal });
+    }, 3, entry.displayName, options.signal);
+
+    let content = '';
+    let inputTokens = 0;
+    let outputTokens = 0;
+
+    for await (const { event, data } of this.readServerSentEvents(response.body)) {
+      const payload = JSON.parse(data);
+
+      if (event === 'message_start') {
+        inputTokens = payload.message?.usage?.input_tokens || 0;
+      } else if (event === 'content_block_delta' && payload.delta?.type === 'text_delta') {
+        content += payload.delta.text;
+        onText(payload.delta.text);
+      } else if (event === 'content_block_delta' && payload.delta?.type === 'input_json_delta') {
+        // Forced tool call: the map arrives as partial tool-input JSON
+        content += payload.delta.partial_json;
+        onText(payload.delta.partial_json);
+      } else if (event === 'message_delta') {
+        outputTokens = payload.usage?.output_tokens || outputTokens;
+      } else if (event === 'error') {
+        throw new Error(payload.error?.message || 'Anthropic stream error');
+      }
+    }
 
     return {
-      content: response.data.content[0].text,
+      content,
       usage: {
-        promptTokens: response.data.usage.input_tokens,
-        completionTokens: response.data.usage.output_tokens,
-        totalTokens: response.data.usage.input_tokens + response.data.usage.output_tokens
+        promptTokens: inputTokens,
+        completionTokens: outputTokens,
+        totalTokens: inputTokens + outputTokens
       }
     };
   }
@@ -505,8 +1079,12 @@ class LLMService {
     }
   }
 
-  // Fallback parser when LLM returns invalid JSON
-  fallbackParser(prompt, context = '') {
+  // Keyword map used as the last link of the fallback chain. Types are only
+  // set where the template's vocabulary has the generic ones.
+  fallbackParser(prompt, context = '', template = getTemplate()) {
+    const nodeType = template.nodeTypes.includes('concept') ? { type: 'concept' } : {};
+    const edgeType = template.edgeTypes.includes('relationship') ? { type: 'relationship' } : {};
+
     const fullText = `${context} ${prompt}`.toLowerCase();
     const words = fullText.split(/\s+/).filter(w => w.length > 3);
     const uniqueWords = [...new Set(words)].slice(0, 10);
@@ -517,7 +1095,7 @@ class LLMService {
       label: word,
       x: Math.random() * 1000,
       y: Math.random() * 1000,
-      type: 'concept',
+      ...nodeType,
       size: 20
     }));
 
@@ -529,7 +1107,7 @@ class LLMService {
         source: `node-${i}`,
         target: `node-${i + 1}`,
         label: 'related to',
-        type: 'relationship'
+        ...edgeType
       });
     }
 
@@ -545,31 +1123,74 @@ class LLMService {
     };
   }
 
+  /**
+   * Whether requests to a model get schema-enforced output (json_schema or a
+   * forced tool call). The env override wins; otherwise the registry
+   * capability, limited to structuredOutputModels when the entry lists them.
+   * @param {string} provider - Replay answers for its target
+   * @param {string} [model] - Defaults to the provider's default model
+   * @returns {boolean}
+   */
+  supportsStructuredOutput(provider, model) {
+    if (provider === 'replay') {
+      return this.supportsStructuredOutput(config.llm.replay.targetProvider, model);
+    }
+
+    const entry = this.registry.get(provider);
+    if (!entry) return false;
+    if (entry.structuredOutputOverride !== undefined) return entry.structuredOutputOverride;
+    if (!entry.capabilities.supportsStructuredOutput) return false;
+    return !entry.structuredOutputModels
+      || entry.structuredOutputModels.some(prefix => (model || entry.defaultModel).startsWith(prefix));
+  }
+
   // Get default model for provider
   getDefaultModel(provider) {
-    if (provider === 'openai' && process.env.OPENAI_MODEL) {
-      return process.env.OPENAI_MODEL;
-    }
-    if (provider === 'anthropic' && process.env.ANTHROPIC_MODEL) {
-      return process.env.ANTHROPIC_MODEL;
+    // Replay records whatever the target provider would have used
+    if (provider === 'replay') {
+      return this.getDefaultModel(config.llm.replay.targetProvider);
     }
-
-    const defaults = {
-      openai: 'gpt-4-turbo-preview',
-      anthropic: 'claude-3-5-sonnet-20241022'
-    };
-    return defaults[provider] || defaults.openai;
+    return this.registry.get(provider)?.defaultModel
+      || this.registry.get(config.llm.defaultProvider)?.defaultModel;
   }
 
   // Check if provider is available
   isProviderAvailable(provider) {
-    if (provider === 'openai') {
-      return !!process.env.OPENAI_API_KEY;
+    if (provider === 'replay') {
+      // Recording still needs the real provider's key; replaying needs nothing
+      return this.replay.mode === 'replay' ||
+        (this.replay.mode === 'record' && this.isProviderAvailable(config.llm.replay.targetProvider));
     }
-    if (provider === 'anthropic') {
-      return !!process.env.ANTHROPIC_API_KEY;
-    }
-    return false;
+
+    const entry = this.registry.get(provider);
+    return !!entry && isProviderConfigured(entry);
+  }
+
+  // Get list of registered providers (replay only when enabled)
+  getSupportedProviders() {
+    return Object.keys(this.providers);
+  }
+
+  // Registry details safe to expose to clients (no keys)
+  describeProviders() {
+    return [...this.registry.values()].map(entry => ({
+      name: entry.name,
+      displayName: entry.displayName,
+      protocol: entry.protocol,
+      defaultModel: entry.defaultModel,
+      capabilities: { ...entry.capabilities, supportsStructuredOutput: this.supportsStructuredOutput(entry.name) },
+      available: this.isProviderAvailable(entry.name)
+    }));
+  }
+
+  // Circuit breaker state per provider, for health reporting
+  getCircuitStates() {
+    return this.breaker.snapshot();
+  }
+
+  // Response cache size and settings, for health reporting
+  getCacheStats() {
+    return this.cache.stats();
   }
 
   // Get list of available providers
@@ -0,0 +1,317 @@
+import config from '../config/config.js';
+import llmService from './llmService.js';
+import usageStore from './usageStore.js';
+import { validateRequest, ExpandRequestSchema, RefineRequestSchema, ChatRequestSchema, AnalyzeRequestSchema, PlanRequestSchema } from '../schemas/requestSchema.js';
+import { summarizeIntegrity } from '../schemas/mapIntegrity.js';
+import { DEFAULT_TEMPLATE, listTemplates } from '../templates/index.js';
+import { ValidationError, LLMProviderError } from '../middleware/errorHandler.js';
+import { rateLimiter } from '../middleware/rateLimiter.js';
+
+/**
+ * Map generation core shared by the Express routes and the Netlify functions
+ *
+ * Request parsing, response bodies and status reports live here so both
+ * runtimes validate, fall back and answer identically. Nothing in this module
+ * depends on Express or on a particular serverless platform.
+ */
+
+/**
+ * Validate a generation request body and check the requested provider
+ * @param {Object} body - Parsed JSON request body
+ * @returns {Object} Validated request (prompt, context, provider, model, ...)
+ * @throws {ValidationError|LLMProviderError}
+ */
+export function parseGenerateRequest(body) {
+  const validation = validateRequest(body);
+  if (!validation.success) {
+    throw new ValidationError('Invalid request parameters', validation.error);
+  }
+
+  assertProviderAvailable(validation.data.provider);
+  return validation.data;
+}
+
+// Reject a named provider that has no credentials before spending anything
+function assertProviderAvailable(provider) {
+  if (provider && !llmService.isProviderAvailable(provider)) {
+    throw new LLMProviderError(
+      `Provider '${provider}' is not configured. Please set the appropriate API key.`,
+      provider
+    );
+  }
+}
+
+/**
+ * Validate a node expansion request; the node must exist in the sent map
+ * @param {Object} body - Parsed JSON request body
+ * @returns {Object} Validated request (map, nodeId, count, instruction, provider, ...)
+ * @throws {ValidationError|LLMProviderError}
+ */
+export function parseExpandRequest(body) {
+  const validation = validateRequest(body, ExpandRequestSchema);
+  if (!validation.success) {
+    throw new ValidationError('Invalid request parameters', validation.error);
+  }
+
+  const { map, nodeId, provider } = validation.data;
+  if (!map.nodes.some(node => node.id === nodeId)) {
+    throw new ValidationError(`Node '${nodeId}' does not exist in the map`);
+  }
+
+  assertProviderAvailable(provider);
+  return validation.data;
+}
+
+/**
+ * Charge an LLM outcome to a client: every provider call it was billed for
+ * counts against the daily token budget and is appended to the usage log.
+ * Errors are charged too, since failed, repaired and cancelled calls still
+ * cost tokens. Cache hits cost nothing.
+ * @param {string} endpoint - e.g. "generate", "jobs"
+ * @param {string} clientKey - Caller, as keyed by the rate limiter
+ * @param {Object|Error} outcome - The llmService result, or the error it threw
+ */
+export function chargeUsage(endpoint, clientKey, outcome) {
+  llmService.spentUsage(outcome).forEach(({ provider, model, usage }) => {
+    rateLimiter.recordTokens(clientKey, usage.totalTokens);
+    usageStore.record({ endpoint, clientKey, provider, model, usage });
+  });
+}
+
+/**
+ * Build the { success, data, metadata } body returned for a generated map
+ * @param {Object} result - Result of llmService.generateMap / generateMapStream
+ * @returns {Object}
+ */
+export function buildGenerateResponse(result) {
+  const response = {
+    success: true,
+    data: result.mapJson,
+    metadata: {
+      provider: result.provider,
+      model: result.model,
+      fallback: result.fallback || false,
+      repairRounds: result.repairRounds || 0,
+      cached: result.cached || false
+    }
+  };
+
+  // Template id and node/edge vocabulary the map was validated against
+  if (result.template) {
+    response.metadata.template = result.template;
+  }
+
+  // Include usage data if available
+  if (result.usage) {
+    response.metadata.usage = result.usage;
+  }
+
+  // Report referential-integrity issues found (and fixed) in the LLM output
+  if (result.integrity) {
+    response.metadata.integrity = {
+      ...summarizeIntegrity(result.integrity),
+      issues: result.integrity.issues
+    };
+  }
+
+  // Which providers were tried, skipped or failed before one served the request
+  if (result.attempts) {
+    response.metadata.attempts = result.attempts;
+  }
+
+  // Include error message if fallback was used
+  if (result.error) {
+    response.metadata.warning = result.error;
+  }
+
+  return response;
+}
+
+/**
+ * Validate a refine request
+ * @param {Object} body - Parsed JSON request body
+ * @returns {Object} Validated request (map, instruction, provider, ...)
+ * @throws {ValidationError|LLMProviderError}
+ */
+export function parseRefineRequest(body) {
+  const validation = validateRequest(body, RefineRequestSchema);
+  if (!validation.success) {
+    throw new ValidationError('Invalid request parameters', validation.error);
+  }
+
+  assertProviderAvailable(validation.data.provider);
+  return validation.data;
+}
+
+/**
+ * Validate a chat request
+ * @param {Object} body - Parsed JSON request body
+ * @returns {Object} Validated request (map, message, history, provider, ...)
+ * @throws {ValidationError|LLMProviderError}
+ */
+export function parseChatRequest(body) {
+  const validation = validateRequest(body, ChatRequestSchema);
+  if (!validation.success) {
+    throw new ValidationError('Invalid request parameters', validation.error);
+  }
+
+  assertProviderAvailable(validation.data.provider);
+  return validation.data;
+}
+
+/**
+ * Validate a SWOT analysis request
+ * @param {Object} body - Parsed JSON request body
+ * @returns {Object} Validated request (prompt, map, provider, ...)
+ * @throws {ValidationError|LLMProviderError}
+ */
+export function parseAnalyzeRequest(body) {
+  const validation = validateRequest(body, AnalyzeRequestSchema);
+  if (!validation.success) {
+    throw new ValidationError('Invalid request parameters', validation.error);
+  }
+
+  assertProviderAvailable(validation.data.provider);
+  return validation.data;
+}
+
+/**
+ * Validate a SWOT → plan request
+ * @param {Object} body - Parsed JSON request body
+ * @returns {Object} Validated request (swot, prompt, provider, ...)
+ * @throws {ValidationError|LLMProviderError}
+ */
+export function parsePlanRequest(body) {
+  const validation = validateRequest(body, PlanRequestSchema);
+  if (!validation.success) {
+    throw new ValidationError('Invalid request parameters', validation.error);
+  }
+
+  assertProviderAvailable(validation.data.provider);
+  return validation.data;
+}
+
+// Metadata shared by the map-aware endpoints (expand, refine, chat, analyze)
+function buildTaskMetadata(result, issues) {
+  return {
+    provider: result.provider,
+    model: result.model,
+    template: result.template,
+    usage: result.usage,
+    fallback: result.fallback || false,
+    repairRounds: result.repairRounds || 0,
+    attempts: result.attempts,
+    issues,
+    ...(result.error ? { warning: result.error } : {})
+  };
+}
+
+/**
+ * Build the { success, data, metadata } body returned for a node expansion
+ * @param {Object} result - Result of llmService.expandNode
+ * @returns {Object}
+ */
+export function buildExpandResponse(result) {
+  // issues: ids renamed and edges dropped while fitting the expansion into the map
+  const { issues, ...expansion } = result.expansion;
+
+  return {
+    success: true,
+    data: expansion,
+    metadata: buildTaskMetadata(result, issues)
+  };
+}
+
+/**
+ * Build the { success, data, metadata } body returned for a refinement
+ * @param {Object} result - Result of llmService.refineMap
+ * @returns {Object}
+ */
+export function buildRefineResponse(result) {
+  return {
+    success: true,
+    data: result.patch,
+    // issues: fields the patch set that don't apply to their item kind
+    metadata: buildTaskMetadata(result, result.issues)
+  };
+}
+
+/**
+ * Build the { success, data, metadata } body returned for a chat turn
+ * @param {Object} result - Result of llmService.chat
+ * @returns {Object}
+ */
+export function buildChatResponse(result) {
+  return {
+    success: true,
+    data: {
+      reply: result.reply,
+      patch: result.patch
+    },
+    metadata: buildTaskMetadata(result, result.issues)
+  };
+}
+
+/**
+ * Build the { success, data, metadata } body returned for a SWOT analysis
+ * @param {Object} result - Result of llmService.analyzeSwot
+ * @returns {Object}
+ */
+export function buildAnalyzeResponse(result) {
+  return {
+    success: true,
+    data: result.swot,
+    // issues: node ids the model referenced that aren't in the map
+    metadata: buildTaskMetadata(result, result.issues)
+  };
+}
+
+/**
+ * Body for GET /api/providers
+ * @returns {Object}
+ */
+export function getProviderStatus() {
+  return {
+    success: true,
+    data: {
+      available: llmService.getAvailableProviders(),
+      supported: llmService.getSupportedProviders(),
+      default: config.llm.defaultProvider,
+      providers: llmService.describeProviders()
+    }
+  };
+}
+
+/**
+ * Body for GET /api/templates
+ * @returns {Object}
+ */
+export function getTemplateList() {
+  return {
+    success: true,
+    data: {
+      default: DEFAULT_TEMPLATE,
+      templates: listTemplates()
+    }
+  };
+}
+
+/**
+ * Body for GET /api/health
+ * @returns {Object}
+ */
+export function getHealthStatus() {
+  const availableProviders = llmService.getAvailableProviders();
+
+  return {
+    success: true,
+    status: 'healthy',
+    timestamp: new Date().toISOString(),
+    providers: {
+      available: availableProviders,
+      count: availableProviders.length,
+      circuits: llmService.getCircuitStates()
+    },
+    cache: llmService.getCacheStats()
+  };
+}
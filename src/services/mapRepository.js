@@ -0,0 +1,556 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import config from '../config/config.js';
+import { AuthenticationError, ConflictError, NotFoundError, VersionConflictError } from '../middleware/errorHandler.js';
+import { diffMapStates } from '../schemas/mapDiff.js';
+
+/**
+ * Saved maps
+ *
+ * Maps are stored as the canvas state the client works with (positions,
+ * notes, status, territory sizes, SWOT), not as MapSchema, so opening a map
+ * on another machine gives back exactly what was saved.
+ *
+ * Every write bumps the map's version. Updates and deletes may name the
+ * version they were based on; if another write got there first they fail
+ * with a VersionConflictError instead of silently overwriting it.
+ *
+ * Every version is also kept as an immutable revision (revision n is
+ * version n) recording who saved it, when, and a structural diff against the
+ * version before. Restoring an old revision saves it again as a new one.
+ *
+ * A map can also be published read-only under share tokens: long random
+ * strings that are the only thing a viewer gets, optionally expiring. A share
+ * always shows the map's latest version, and goes away with the map. Tokens
+ * are handed out once, on create; shares are stored and listed under a hash
+ * of their token, so neither a listing nor the files on disk give one away.
+ *
+ * Opening or changing a map takes its edit token, handed out once on create
+ * and stored only as a hash, or the configured API key that created it (its
+ * owner); see authorize. Listing only shows maps the caller could open. Maps
+ * saved before edit tokens existed have neither, and are open to any
+ * configured API key.
+ *
+ * Repositories implement list / get / create / update / delete / authorize,
+ * listRevisions / getRevision / restore and createShare / listShares /
+ * getSharedMap / deleteShare; the file system repository below (maps as
+ * <id>.json, revisions as <id>.revisions/<n>.json, shares as
+ * shares/<share id>.json) is the only one so far.
+ */
+
+/**
+ * @typedef {Object} SavedMap
+ * @property {string} id
+ * @property {string} name
+ * @property {number} version - 1 on create, +1 on every update
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ * @property {string|null} createdBy
+ * @property {string|null} updatedBy
+ * @property {{ territories: Object[], nodes: Object[], edges: Object[], swot?: Object }} state - Canvas state
+ */
+
+/**
+ * @typedef {Object} Revision
+ * @property {string} mapId
+ * @property {number} rev - The map version it saved
+ * @property {'create'|'update'|'restore'} action
+ * @property {number} [restoredFrom] - Revision brought back by a restore
+ * @property {string|null} author
+ * @property {string} createdAt
+ * @property {string} name - Map name at this revision
+ * @property {{ from: string, to: string }} [rename] - When the name changed
+ * @property {import('../schemas/mapDiff.js').MapDiff} diff - Against the previous revision
+ * @property {Object} state - Canvas state at this revision
+ */
+
+/**
+ * @typedef {Object} Share
+ * @property {string} id - Hash of the token; names the share for listing and revoking
+ * @property {string} hint - First characters of the token, to tell links apart
+ * @property {string} mapId
+ * @property {string} createdAt
+ * @property {string|null} expiresAt - Never expires when null
+ */
+
+/**
+ * Who may open and change a map; stored with it, never returned
+ * @typedef {Object} MapAccess
+ * @property {string|null} owner - Client key ("key:<hash>") of the API key that created it
+ * @property {string} editTokenHash
+ */
+
+/**
+ * Caller of a map route, as far as access goes
+ * @typedef {Object} MapCaller
+ * @property {string} [clientKey] - From the rate limiter's getClientKey
+ * @property {string[]} [editTokens] - Edit tokens the caller sent
+ */
+
+/**
+ * Listing entry: a saved map without its state
+ * @param {SavedMap} map
+ * @returns {Object}
+ */
+export function summarizeSavedMap({ state, access, ...map }) {
+  return {
+    ...map,
+    counts: {
+      territories: state.territories.length,
+      nodes: state.nodes.length,
+      edges: state.edges.length
+    }
+  };
+}
+
+// Same rule as MapCreateSchema; ids come from URLs and name files
+const MAP_ID = /^[A-Za-z0-9_-]{1,64}$/;
+
+// 32 random bytes, base64url
+const SHARE_TOKEN = /^[A-Za-z0-9_-]{43}$/;
+const SHARE_ID = /^[a-f0-9]{32}$/;
+
+function shareIdOf(token) {
+  return crypto.createHash('sha256').update(token).digest('hex').substring(0, 32);
+}
+
+function hashEditToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// A stored map as callers see it
+function publicView({ access, ...map }) {
+  return map;
+}
+
+/**
+ * Whether a caller may open and change a stored map
+ * @param {Object} map - As stored, with its access
+ * @param {MapCaller} caller
+ * @returns {boolean}
+ */
+function canAccess({ access }, { clientKey, editTokens = [] }) {
+  if (!access) return Boolean(clientKey?.startsWith('key:'));
+  if (access.owner && access.owner === clientKey) return true;
+  return editTokens.some(token => hashEditToken(token) === access.editTokenHash);
+}
+
+function isExpired(share, now = Date.now()) {
+  return share.expiresAt !== null && Date.parse(share.expiresAt) <= now;
+}
+
+export class FileMapRepository {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Directory holding <id>.json map files
+   */
+  constructor({ dir }) {
+    this.dir = dir;
+    this.locks = new Map(); // id -> tail of the writes queued for that map
+  }
+
+  filePath(id) {
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  revisionDir(id) {
+    return path.join(this.dir, `${id}.revisions`);
+  }
+
+  sharePath(shareId) {
+    return path.join(this.dir, 'shares', `${shareId}.json`);
+  }
+
+  // Run writes to one map one at a time, so read-check-write can't interleave
+  async withLock(id, fn) {
+    const previous = this.locks.get(id) || Promise.resolve();
+    const current = previous.then(fn, fn);
+    const tail = current.catch(() => {});
+    this.locks.set(id, tail);
+
+    try {
+      return await current;
+    } finally {
+      if (this.locks.get(id) === tail) this.locks.delete(id);
+    }
+  }
+
+  // The map as stored, access included; null if there is none
+  async read(id) {
+    if (!MAP_ID.test(id)) return null;
+
+    try {
+      return JSON.parse(await fs.readFile(this.filePath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Write then rename so a reader never sees a half-written file
+  async writeAtomic(file, data) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const temp = `${file}.${crypto.randomUUID()}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(data));
+    await fs.rename(temp, file);
+  }
+
+  /**
+   * Save a new version: its revision first, then the map itself, so every
+   * version a reader can see has its revision
+   * @param {SavedMap|null} previous - Version being replaced (null on create)
+   * @param {SavedMap} map - New version
+   * @param {Object} details - { action, restoredFrom? }
+   */
+  async commit(previous, map, { action, restoredFrom }) {
+    const revision = {
+      mapId: map.id,
+      rev: map.version,
+      action,
+      ...(restoredFrom !== undefined ? { restoredFrom } : {}),
+      author: map.updatedBy,
+      createdAt: map.updatedAt,
+      name: map.name,
+      ...(previous && previous.name !== map.name ? { rename: { from: previous.name, to: map.name } } : {}),
+      diff: diffMapStates(previous?.state || null, map.state),
+      state: map.state
+    };
+
+    await this.writeAtomic(path.join(this.revisionDir(map.id), `${map.version}.json`), revision);
+    await this.writeAtomic(this.filePath(map.id), map);
+  }
+
+  /**
+   * The saved maps a caller may open, most recently updated first
+   * @param {MapCaller} caller
+   * @returns {Promise<Object[]>} Summaries (see summarizeSavedMap)
+   */
+  async list(caller) {
+    let files;
+    try {
+      files = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const maps = await Promise.all(
+      files
+        .filter(file => file.endsWith('.json'))
+        .map(file => this.read(path.basename(file, '.json')).catch(error => {
+          console.warn(`⚠️ Ignoring unreadable map ${file}:`, error.message);
+          return null;
+        }))
+    );
+
+    return maps
+      .filter(map => map && canAccess(map, caller))
+      .map(summarizeSavedMap)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  // The map as stored; throws NotFoundError if there is none
+  async load(id) {
+    const map = await this.read(id);
+    if (!map) throw new NotFoundError(`Map '${id}' not found`, { id });
+    return map;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<SavedMap>}
+   * @throws {NotFoundError}
+   */
+  async get(id) {
+    return publicView(await this.load(id));
+  }
+
+  /**
+   * Check that a caller may open and change a map
+   * @param {string} id
+   * @param {MapCaller} caller
+   * @throws {NotFoundError|AuthenticationError}
+   */
+  async authorize(id, caller) {
+    if (!canAccess(await this.load(id), caller)) {
+      throw new AuthenticationError(`Map '${id}' needs its edit token (X-Edit-Token) or the API key that saved it`, { id });
+    }
+  }
+
+  /**
+   * Save a new map under a new edit token
+   * @param {Object} input - { id?, name, state, author?, owner? }; id defaults to a random UUID,
+   *   owner is the client key of a configured API key that may use the map without the token
+   * @returns {Promise<SavedMap & { editToken: string }>} The only time the edit token is returned
+   * @throws {ConflictError} If a map with this id exists
+   */
+  async create({ id = crypto.randomUUID(), name, state, author = null, owner = null }) {
+    return this.withLock(id, async () => {
+      const existing = await this.read(id);
+      if (existing) {
+        throw new ConflictError(`Map '${id}' already exists`, { id, version: existing.version });
+      }
+
+      const editToken = crypto.randomBytes(32).toString('base64url');
+      const now = new Date().toISOString();
+      const map = {
+        id,
+        name,
+        version: 1,
+        createdAt: now,
+        updatedAt: now,
+        createdBy: author,
+        updatedBy: author,
+        state,
+        access: { owner, editTokenHash: hashEditToken(editToken) }
+      };
+      await this.commit(null, map, { action: 'create' });
+      return { ...publicView(map), editToken };
+    });
+  }
+
+  /**
+   * Replace a map's name and/or state
+   * @param {string} id
+   * @param {Object} changes - { name?, state? }
+   * @param {Object} [options]
+   * @param {number} [options.expectedVersion] - Version the change was based on
+   * @param {string} [options.author]
+   * @returns {Promise<SavedMap>}
+   * @throws {NotFoundError|VersionConflictError}
+   */
+  async update(id, { name, state }, { expectedVersion, author = null } = {}) {
+    return this.withLock(id, async () => {
+      const map = await this.load(id);
+      assertVersion(map, expectedVersion);
+
+      const updated = {
+        ...map,
+        ...(name !== undefined ? { name } : {}),
+        ...(state !== undefined ? { state } : {}),
+        version: map.version + 1,
+        updatedAt: new Date().toISOString(),
+        updatedBy: author
+      };
+      await this.commit(map, updated, { action: 'update' });
+      return publicView(updated);
+    });
+  }
+
+  /**
+   * Bring back an earlier revision's name and state as a new version
+   * @param {string} id
+   * @param {number} rev - Revision to restore
+   * @param {Object} [options]
+   * @param {number} [options.expectedVersion]
+   * @param {string} [options.author]
+   * @returns {Promise<SavedMap>}
+   * @throws {NotFoundError|VersionConflictError}
+   */
+  async restore(id, rev, { expectedVersion, author = null } = {}) {
+    return this.withLock(id, async () => {
+      const map = await this.load(id);
+      assertVersion(map, expectedVersion);
+      const revision = await this.getRevision(id, rev);
+
+      const restored = {
+        ...map,
+        name: revision.name,
+        state: revision.state,
+        version: map.version + 1,
+        updatedAt: new Date().toISOString(),
+        updatedBy: author
+      };
+      await this.commit(map, restored, { action: 'restore', restoredFrom: rev });
+      return publicView(restored);
+    });
+  }
+
+  /**
+   * A map's revisions, newest first, without their canvas state
+   * @param {string} id
+   * @returns {Promise<Object[]>}
+   * @throws {NotFoundError}
+   */
+  async listRevisions(id) {
+    await this.get(id);
+
+    let files;
+    try {
+      files = await fs.readdir(this.revisionDir(id));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const revisions = await Promise.all(
+      files
+        .filter(file => /^\d+\.json$/.test(file))
+        .map(async file => JSON.parse(await fs.readFile(path.join(this.revisionDir(id), file), 'utf8')))
+    );
+
+    return revisions
+      .map(({ state, ...revision }) => revision)
+      .sort((a, b) => b.rev - a.rev);
+  }
+
+  /**
+   * @param {string} id
+   * @param {number} rev
+   * @returns {Promise<Revision>}
+   * @throws {NotFoundError}
+   */
+  async getRevision(id, rev) {
+    if (!MAP_ID.test(id) || !Number.isInteger(rev)) {
+      throw new NotFoundError(`Revision ${rev} of map '${id}' not found`, { id, rev });
+    }
+
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.revisionDir(id), `${rev}.json`), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      throw new NotFoundError(`Revision ${rev} of map '${id}' not found`, { id, rev });
+    }
+  }
+
+  /**
+   * Publish a map read-only under a new share token
+   * @param {string} id
+   * @param {Object} [options]
+   * @param {string|null} [options.expiresAt] - ISO date; null never expires
+   * @returns {Promise<Share & { token: string }>} The only time the token is returned
+   * @throws {NotFoundError}
+   */
+  async createShare(id, { expiresAt = null } = {}) {
+    await this.get(id);
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const share = {
+      id: shareIdOf(token),
+      hint: token.substring(0, 6),
+      mapId: id,
+      createdAt: new Date().toISOString(),
+      expiresAt
+    };
+    await this.writeAtomic(this.sharePath(share.id), share);
+    return { ...share, token };
+  }
+
+  // Every share, of every map
+  async readShares() {
+    let files;
+    try {
+      files = await fs.readdir(path.join(this.dir, 'shares'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    return Promise.all(
+      files
+        .filter(file => file.endsWith('.json') && SHARE_ID.test(path.basename(file, '.json')))
+        .map(async file => JSON.parse(await fs.readFile(path.join(this.dir, 'shares', file), 'utf8')))
+    );
+  }
+
+  /**
+   * A map's shares, newest first, expired ones included
+   * @param {string} id
+   * @returns {Promise<Array<Share & { expired: boolean }>>}
+   * @throws {NotFoundError}
+   */
+  async listShares(id) {
+    await this.get(id);
+
+    const now = Date.now();
+    return (await this.readShares())
+      .filter(share => share.mapId === id)
+      .map(share => ({ ...share, expired: isExpired(share, now) }))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * The map a share token shows
+   * @param {string} token
+   * @returns {Promise<{ share: Share, map: SavedMap }>}
+   * @throws {NotFoundError} Unknown or expired token, or the map is gone
+   */
+  async getSharedMap(token) {
+    let share = null;
+    if (SHARE_TOKEN.test(token)) {
+      try {
+        share = JSON.parse(await fs.readFile(this.sharePath(shareIdOf(token)), 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+
+    if (!share) throw new NotFoundError('Share link not found');
+    if (isExpired(share)) throw new NotFoundError('This share link has expired', { expiresAt: share.expiresAt });
+
+    const map = await this.read(share.mapId);
+    if (!map) throw new NotFoundError('The shared map no longer exists');
+    return { share, map: publicView(map) };
+  }
+
+  /**
+   * Revoke a share
+   * @param {string} id - Map the share belongs to
+   * @param {string} shareId
+   * @returns {Promise<Share>}
+   * @throws {NotFoundError}
+   */
+  async deleteShare(id, shareId) {
+    const share = (await this.listShares(id)).find(candidate => candidate.id === shareId);
+    if (!share) throw new NotFoundError(`Share not found for map '${id}'`, { id });
+
+    await fs.rm(this.sharePath(shareId), { force: true });
+    const { expired, ...stored } = share;
+    return stored;
+  }
+
+  /**
+   * @param {string} id
+   * @param {Object} [options]
+   * @param {number} [options.expectedVersion]
+   * @returns {Promise<SavedMap>} The deleted map
+   * @throws {NotFoundError|VersionConflictError}
+   */
+  async delete(id, { expectedVersion } = {}) {
+    return this.withLock(id, async () => {
+      const map = await this.load(id);
+      assertVersion(map, expectedVersion);
+
+      await fs.rm(this.filePath(id), { force: true });
+      await fs.rm(this.revisionDir(id), { recursive: true, force: true });
+
+      const shares = (await this.readShares()).filter(share => share.mapId === id);
+      await Promise.all(shares.map(share => fs.rm(this.sharePath(share.id), { force: true })));
+      return publicView(map);
+    });
+  }
+}
+
+function assertVersion(map, expectedVersion) {
+  if (expectedVersion !== undefined && expectedVersion !== map.version) {
+    throw new VersionConflictError(
+      `Map '${map.id}' was changed by someone else (version ${map.version}, expected ${expectedVersion})`,
+      { id: map.id, version: map.version }
+    );
+  }
+}
+
+/**
+ * Build the map repository selected in config
+ * @param {Object} options
+ * @param {'file'} options.store
+ * @param {string} options.dir
+ * @returns {FileMapRepository}
+ */
+export function createMapRepository({ store, dir }) {
+  if (store !== 'file') throw new Error(`Unknown map store "${store}"`);
+  return new FileMapRepository({ dir });
+}
+
+export default createMapRepository(config.maps);
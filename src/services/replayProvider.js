@@ -0,0 +1,119 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Record-and-replay LLM provider
+ *
+ * - record: forwards calls to a real provider and saves each
+ *   prompt/options/response triple as a JSON fixture
+ * - replay: serves saved fixtures back without any network access
+ *
+ * Fixtures are matched on a SHA-256 hash of the system prompt (template),
+ * user prompt and any follow-up history, so the same request always
+ * returns the same map.
+ */
+export class ReplayProvider {
+  /**
+   * @param {Object} options
+   * @param {'off'|'record'|'replay'} options.mode
+   * @param {string} options.fixtureDir - Directory holding <hash>.json fixtures
+   */
+  constructor({ mode, fixtureDir }) {
+    this.mode = mode;
+    this.fixtureDir = fixtureDir;
+  }
+
+  get enabled() {
+    return this.mode === 'record' || this.mode === 'replay';
+  }
+
+  // Hash only what the model sees, so fixtures survive model/temperature tweaks
+  hashPrompt(prompt, options = {}) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify({ system: options.system, prompt, history: options.history || [] }))
+      .digest('hex');
+  }
+
+  fixturePath(hash) {
+    return path.join(this.fixtureDir, `${hash}.json`);
+  }
+
+  async loadFixture(hash) {
+    try {
+      const raw = await fs.readFile(this.fixturePath(hash), 'utf8');
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`No replay fixture for prompt hash ${hash.substring(0, 12)} (${this.fixtureDir})`);
+      }
+      throw error;
+    }
+  }
+
+  async saveFixture(hash, prompt, options, response) {
+    await fs.mkdir(this.fixtureDir, { recursive: true });
+
+    const { history, system, output, signal, ...callOptions } = options;
+    const fixture = {
+      hash,
+      recordedAt: new Date().toISOString(),
+      prompt,
+      history: history || [],
+      options: callOptions,
+      response
+    };
+
+    await fs.writeFile(this.fixturePath(hash), JSON.stringify(fixture, null, 2));
+    console.log(`📼 Recorded fixture ${hash.substring(0, 12)}`);
+  }
+
+  /**
+   * Blocking call with the same contract as the real providers
+   * @param {string} prompt
+   * @param {Object} options - { model, temperature, maxTokens, history }
+   * @param {Function} realCall - Provider used in record mode
+   */
+  async call(prompt, options, realCall) {
+    const hash = this.hashPrompt(prompt, options);
+
+    if (this.mode === 'replay') {
+      const fixture = await this.loadFixture(hash);
+      console.log(`📼 Replaying fixture ${hash.substring(0, 12)}`);
+      return fixture.response;
+    }
+
+    const response = await realCall(prompt, options);
+    await this.saveFixture(hash, prompt, options, response);
+    return response;
+  }
+
+  /**
+   * Streaming call; replayed content is emitted in fixed-size chunks
+   * @param {string} prompt
+   * @param {Object} options
+   * @param {Function} onText - Receives each text delta
+   * @param {Function} realStream - Streaming provider used in record mode
+   */
+  async stream(prompt, options, onText, realStream) {
+    const hash = this.hashPrompt(prompt, options);
+
+    if (this.mode === 'replay') {
+      const fixture = await this.loadFixture(hash);
+      console.log(`📼 Replaying fixture ${hash.substring(0, 12)} as stream`);
+
+      const { content } = fixture.response;
+      for (let i = 0; i < content.length; i += 64) {
+        onText(content.slice(i, i + 64));
+      }
+      return fixture.response;
+    }
+
+    const response = await realStream(prompt, options, onText);
+    await this.saveFixture(hash, prompt, options, response);
+    return response;
+  }
+}
+
+export default ReplayProvider;
@@ -0,0 +1,145 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Content-addressed cache for generated maps
+ *
+ * - Memory tier: LRU of the most recent entries
+ * - Disk tier (optional): one <key>.json file per entry, survives restarts
+ *
+ * Entries expire after ttlMs in both tiers. Keys are a SHA-256 hash of the
+ * normalized prompt, context and generation options.
+ */
+export class ResponseCache {
+  /**
+   * @param {Object} options
+   * @param {boolean} options.enabled
+   * @param {number} options.maxEntries - Memory tier capacity
+   * @param {number} options.ttlMs - Entry lifetime
+   * @param {string} [options.dir] - Disk tier directory (disk tier off when empty)
+   */
+  constructor({ enabled, maxEntries, ttlMs, dir }) {
+    this.enabled = enabled;
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlMs;
+    this.dir = dir || null;
+    this.entries = new Map(); // key -> { storedAt, expiresAt, value }, oldest first
+  }
+
+  /**
+   * Cache key for a generation request
+   * @param {Object} request - { prompt, context, provider, template, model, temperature, maxTokens }
+   * @returns {string}
+   */
+  keyFor({ prompt, context, provider, template, model, temperature, maxTokens }) {
+    // Whitespace-only differences still produce the same map; case is kept
+    // (acronyms and names can change what a prompt means)
+    const normalize = (text) => (text || '').trim().replace(/\s+/g, ' ');
+
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify({
+        prompt: normalize(prompt),
+        context: normalize(context),
+        provider,
+        template,
+        model,
+        temperature,
+        maxTokens
+      }))
+      .digest('hex');
+  }
+
+  /**
+   * Look up an entry, promoting disk hits into memory
+   * @param {string} key
+   * @returns {Promise<{ value: Object, storedAt: number }|null>}
+   */
+  async get(key) {
+    const now = Date.now();
+
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.entries.delete(key);
+      if (entry.expiresAt > now) {
+        this.entries.set(key, entry); // Most recently used goes last
+        return entry;
+      }
+    }
+
+    if (!this.dir) return null;
+
+    const diskEntry = await this.readFile(key);
+    if (!diskEntry) return null;
+
+    if (diskEntry.expiresAt <= now) {
+      await fs.rm(this.filePath(key), { force: true });
+      return null;
+    }
+
+    this.remember(key, diskEntry);
+    return diskEntry;
+  }
+
+  /**
+   * Store a value in every tier
+   * @param {string} key
+   * @param {Object} value - JSON-serializable generation result
+   */
+  async set(key, value) {
+    const storedAt = Date.now();
+    const entry = { storedAt, expiresAt: storedAt + this.ttlMs, value };
+    this.remember(key, entry);
+
+    if (this.dir) {
+      try {
+        await fs.mkdir(this.dir, { recursive: true });
+        await fs.writeFile(this.filePath(key), JSON.stringify({ key, ...entry }));
+      } catch (error) {
+        // The memory tier still works; don't fail the request over the disk tier
+        console.warn(`⚠️ Could not write cache entry ${key.substring(0, 12)}:`, error.message);
+      }
+    }
+  }
+
+  remember(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  filePath(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  async readFile(key) {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath(key), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ Ignoring unreadable cache entry ${key.substring(0, 12)}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Cache statistics for health reporting
+   * @returns {{ enabled: boolean, entries: number, maxEntries: number, ttlMs: number, disk: boolean }}
+   */
+  stats() {
+    return {
+      enabled: this.enabled,
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      ttlMs: this.ttlMs,
+      disk: Boolean(this.dir)
+    };
+  }
+}
+
+export default ResponseCache;
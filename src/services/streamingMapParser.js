@@ -0,0 +1,112 @@
+/**
+ * Streaming Map Parser
+ *
+ * Incrementally scans a partial JSON completion and emits each territory,
+ * node and edge as soon as its object literal is closed:
+ * - Tracks string/escape state and container nesting across chunks
+ * - Only objects that are direct children of a top-level array are emitted
+ * - Anything before the first "{" (e.g. a ```json fence) is ignored
+ */
+
+// Top-level map keys we emit items for, and the event name for each
+const ITEM_KINDS = {
+  territories: 'territory',
+  nodes: 'node',
+  edges: 'edge'
+};
+
+export class StreamingMapParser {
+  constructor() {
+    this.text = '';
+    this.position = 0;
+    this.stack = [];          // Open containers: '{' or '['
+    this.inString = false;
+    this.escaped = false;
+    this.stringStart = -1;
+    this.lastKey = null;      // Last string seen in key position of the root object
+    this.currentKey = null;   // Root key whose value is being scanned
+    this.itemStart = -1;      // Start index of the array item being collected
+  }
+
+  /**
+   * Feed the next chunk of completion text
+   * @param {string} chunk - Raw text delta from the provider
+   * @returns {Array<{ kind: 'territory'|'node'|'edge', item: Object }>} Newly completed items
+   */
+  push(chunk) {
+    this.text += chunk;
+    const items = [];
+
+    for (; this.position < this.text.length; this.position++) {
+      const ch = this.text[this.position];
+
+      if (this.inString) {
+        if (this.escaped) {
+          this.escaped = false;
+        } else if (ch === '\\') {
+          this.escaped = true;
+        } else if (ch === '"') {
+          this.inString = false;
+          if (this.stack.length === 1) {
+            this.lastKey = this.text.slice(this.stringStart + 1, this.position);
+          }
+        }
+        continue;
+      }
+
+      // Nothing counts until the root object opens
+      if (this.stack.length === 0 && ch !== '{') continue;
+
+      switch (ch) {
+        case '"':
+          this.inString = true;
+          this.stringStart = this.position;
+          break;
+        case ':':
+          if (this.stack.length === 1) this.currentKey = this.lastKey;
+          break;
+        case '{':
+        case '[':
+          if (ch === '{' && this.stack.length === 2 && this.stack[1] === '[') {
+            this.itemStart = this.position;
+          }
+          this.stack.push(ch);
+          break;
+        case '}':
+        case ']':
+          this.stack.pop();
+          if (ch === '}' && this.stack.length === 2 && this.itemStart !== -1) {
+            const item = this.parseItem(this.text.slice(this.itemStart, this.position + 1));
+            const kind = ITEM_KINDS[this.currentKey];
+            if (item && kind) items.push({ kind, item });
+            this.itemStart = -1;
+          }
+          break;
+        default:
+          break;
+      }
+    }
+
+    return items;
+  }
+
+  // Parse a completed item literal, skipping anything the model garbled
+  parseItem(literal) {
+    try {
+      return JSON.parse(literal);
+    } catch (e) {
+      console.warn('⚠️ Skipping unparseable streamed item:', literal.substring(0, 80));
+      return null;
+    }
+  }
+
+  /**
+   * Full text received so far
+   * @returns {string}
+   */
+  getText() {
+    return this.text;
+  }
+}
+
+export default StreamingMapParser;
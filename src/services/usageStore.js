@@ -0,0 +1,186 @@
+import fs from 'fs/promises';
+import path from 'path';
+import config from '../config/config.js';
+import { publicClientKey } from '../middleware/rateLimiter.js';
+
+/**
+ * Token and cost accounting
+ *
+ * Every LLM-backed response is appended as one JSON line to the usage log;
+ * records are never rewritten. Costs are estimated from the price table at
+ * record time so later price changes don't rewrite history.
+ */
+
+/**
+ * @typedef {Object} UsageRecord
+ * @property {string} timestamp - ISO time of the response
+ * @property {string} endpoint - Route that spent the tokens, e.g. "generate"
+ * @property {string} clientKey - Caller, as keyed by the rate limiter
+ * @property {string} provider
+ * @property {string} model
+ * @property {number} promptTokens
+ * @property {number} completionTokens
+ * @property {number} totalTokens
+ * @property {number|null} cost - Estimated cost, null if the model has no price
+ */
+
+// Running totals for one aggregate bucket
+function emptyTotals() {
+  return { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0, unpricedRequests: 0 };
+}
+
+function addToTotals(totals, record) {
+  totals.requests++;
+  totals.promptTokens += record.promptTokens;
+  totals.completionTokens += record.completionTokens;
+  totals.totalTokens += record.totalTokens;
+  if (record.cost === null) {
+    totals.unpricedRequests++;
+  } else {
+    totals.cost = Math.round((totals.cost + record.cost) * 1e6) / 1e6;
+  }
+}
+
+export class UsageStore {
+  /**
+   * @param {Object} options
+   * @param {boolean} options.enabled
+   * @param {string} options.file - JSON Lines log path
+   * @param {{ currency: string, models: Object<string, { input: number, output: number }> }} options.pricing
+   */
+  constructor({ enabled, file, pricing }) {
+    this.enabled = enabled;
+    this.file = file;
+    this.pricing = pricing;
+  }
+
+  /**
+   * Per-1M-token price for a model. Dated model ids fall back to the longest
+   * matching prefix, e.g. "claude-3-5-sonnet-20241022" -> "claude-3-5-sonnet".
+   * @param {string} model
+   * @returns {{ input: number, output: number }|null}
+   */
+  priceFor(model) {
+    if (!model) return null;
+    if (this.pricing.models[model]) return this.pricing.models[model];
+
+    const prefix = Object.keys(this.pricing.models)
+      .filter(name => model.startsWith(name))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? this.pricing.models[prefix] : null;
+  }
+
+  /**
+   * Estimated cost of a call
+   * @param {string} model
+   * @param {{ promptTokens?: number, completionTokens?: number }} usage
+   * @returns {number|null} Cost in the price table currency, null if unpriced
+   */
+  estimateCost(model, usage) {
+    const price = this.priceFor(model);
+    if (!price) return null;
+
+    const cost = ((usage.promptTokens || 0) * price.input + (usage.completionTokens || 0) * price.output) / 1e6;
+    return Math.round(cost * 1e6) / 1e6;
+  }
+
+  /**
+   * Append a usage record. Failures are logged, never thrown, so accounting
+   * can't break a response the caller already paid for.
+   * @param {Object} entry - { endpoint, clientKey, provider, model, usage }
+   * @returns {Promise<UsageRecord|null>}
+   */
+  async record({ endpoint, clientKey, provider, model, usage }) {
+    if (!this.enabled || !usage) return null;
+
+    const record = {
+      timestamp: new Date().toISOString(),
+      endpoint,
+      clientKey,
+      provider,
+      model,
+      promptTokens: usage.promptTokens || 0,
+      completionTokens: usage.completionTokens || 0,
+      totalTokens: usage.totalTokens || 0,
+      cost: this.estimateCost(model, usage)
+    };
+
+    try {
+      await fs.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.appendFile(this.file, JSON.stringify(record) + '\n');
+    } catch (error) {
+      console.warn('⚠️ Could not record usage:', error.message);
+      return null;
+    }
+
+    return record;
+  }
+
+  /**
+   * Read every record, skipping lines that don't parse (e.g. a torn final write)
+   * @returns {Promise<UsageRecord[]>}
+   */
+  async readAll() {
+    let raw;
+    try {
+      raw = await fs.readFile(this.file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    return raw.split('\n').filter(Boolean).flatMap(line => {
+      try {
+        return [JSON.parse(line)];
+      } catch (e) {
+        return [];
+      }
+    });
+  }
+
+  /**
+   * Aggregate usage by day, provider, model and client key. Client IPs are
+   * logged as is but reported (and filtered) as hashes.
+   * @param {Object} [filter]
+   * @param {string} [filter.from] - First day to include (YYYY-MM-DD, UTC)
+   * @param {string} [filter.to] - Last day to include (YYYY-MM-DD, UTC)
+   * @param {string} [filter.provider]
+   * @param {string} [filter.clientKey] - As reported in byClient
+   * @returns {Promise<Object>} { currency, totals, byDay, byProvider, byModel, byClient }
+   */
+  async aggregate({ from, to, provider, clientKey } = {}) {
+    const records = (await this.readAll()).filter(record => {
+      const day = record.timestamp.split('T')[0];
+      return (!from || day >= from)
+        && (!to || day <= to)
+        && (!provider || record.provider === provider)
+        && (!clientKey || publicClientKey(record.clientKey) === clientKey);
+    });
+
+    const result = {
+      currency: this.pricing.currency,
+      totals: emptyTotals(),
+      byDay: {},
+      byProvider: {},
+      byModel: {},
+      byClient: {}
+    };
+
+    const bucket = (group, key) => {
+      if (!group[key]) group[key] = emptyTotals();
+      return group[key];
+    };
+
+    records.forEach(record => {
+      addToTotals(result.totals, record);
+      addToTotals(bucket(result.byDay, record.timestamp.split('T')[0]), record);
+      addToTotals(bucket(result.byProvider, record.provider), record);
+      addToTotals(bucket(result.byModel, record.model), record);
+      addToTotals(bucket(result.byClient, publicClientKey(record.clientKey)), record);
+    });
+
+    return result;
+  }
+}
+
+export default new UsageStore(config.usage);
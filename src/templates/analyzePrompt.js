@@ -0,0 +1,52 @@
+import { summarizeMap } from './mapContext.js';
+
+/**
+ * Prompts for SWOT analysis
+ *
+ * The analysis reads the user's own description of their situation and,
+ * when a map exists, links each point to the nodes it concerns.
+ */
+
+/**
+ * System prompt for SWOT analysis
+ * @param {Object} template - Prompt template (name)
+ * @returns {string}
+ */
+export function composeAnalyzeSystemPrompt(template) {
+  return `You are a planning coach. Analyze the user's situation (and their ${template.name.toLowerCase()}, when one is given) as a SWOT analysis.
+
+OUTPUT FORMAT
+
+{
+  "strengths": [{ "text": "One short point", "nodeIds": ["node-id"] }],
+  "weaknesses": [...],
+  "opportunities": [...],
+  "threats": [...]
+}
+
+Rules:
+1. Strengths and weaknesses are internal to the user; opportunities and threats are external
+2. 2-5 items per quadrant, each one sentence and specific to this user
+3. "nodeIds" lists the map nodes an item is about, using ids from the current map exactly; use [] when no node fits or there is no map
+4. Don't invent facts the user didn't give; leave a quadrant empty rather than pad it
+
+Return ONLY valid JSON, no markdown or explanations.`;
+}
+
+/**
+ * User turn for SWOT analysis
+ * @param {string} [text] - The user's description (chat input)
+ * @param {Object} [map] - Current MapSchema-shaped map
+ * @returns {string}
+ */
+export function buildAnalyzePrompt(text, map) {
+  const parts = [];
+
+  if (text) parts.push(`About me: ${text}`);
+  if (map && map.nodes.length > 0) {
+    const title = map.metadata?.title ? `Map: ${map.metadata.title}\n` : '';
+    parts.push(`${title}Current map:\n${summarizeMap(map)}`);
+  }
+
+  return parts.join('\n\n');
+}
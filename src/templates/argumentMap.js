@@ -0,0 +1,30 @@
+import { composeSystemPrompt } from './composePrompt.js';
+
+/**
+ * Argument map template
+ * Positions or lines of argument as territories; claims and evidence as nodes.
+ */
+const template = {
+  id: 'argument-map',
+  name: 'Argument map',
+  description: 'Claims, premises and evidence for and against a position',
+  nodeTypes: ['claim', 'premise', 'evidence', 'objection', 'rebuttal'],
+  edgeTypes: ['supports', 'opposes', 'rebuts', 'relates'],
+  territories: { min: 2, max: 4 },
+  nodes: { min: 6, max: 20 }
+};
+
+export default {
+  ...template,
+  systemPrompt: composeSystemPrompt({
+    ...template,
+    subject: 'an argument or debate',
+    guidance: `- Territories are the competing positions or lines of argument (e.g. "For", "Against", "Economic Case")
+- "claim": a conclusion a side argues for; usually one main claim per territory
+- "premise": a reason offered for a claim; "evidence": data, sources or examples backing a premise
+- "objection": a point raised against a claim or premise; "rebuttal": an answer to an objection
+- Edges point from the supporting or attacking node to the node it targets
+- "supports" for premises and evidence, "opposes" for objections, "rebuts" for rebuttals, "relates" sparingly
+- Phrase every node as a full, short statement rather than a topic word`
+  })
+};
@@ -0,0 +1,29 @@
+import { composeSystemPrompt } from './composePrompt.js';
+
+/**
+ * Character / relationship map template
+ * Families, factions or settings as territories; people and groups as nodes.
+ */
+const template = {
+  id: 'character-map',
+  name: 'Character map',
+  description: 'People, groups and places with family, friendship and rivalry ties',
+  nodeTypes: ['person', 'group', 'place', 'event', 'trait'],
+  edgeTypes: ['family', 'friendship', 'romance', 'rivalry', 'alliance', 'affiliation'],
+  territories: { min: 2, max: 5 },
+  nodes: { min: 6, max: 25 }
+};
+
+export default {
+  ...template,
+  systemPrompt: composeSystemPrompt({
+    ...template,
+    subject: 'characters and their relationships (a story, a team or a social circle)',
+    guidance: `- Territories are families, factions, teams or settings that the characters belong to
+- "person": an individual character; "group": an organization or collective acting as one
+- "place" and "event" only when they matter to several characters; "trait" for a defining shared quality
+- Every edge needs a short "label" describing the tie from source to target ("mentor of", "betrayed")
+- "affiliation" links a person to a group, place or event; the other edge types link people or groups
+- Put rivals in opposite regions of the canvas and close allies near each other`
+  })
+};
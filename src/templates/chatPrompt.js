@@ -0,0 +1,72 @@
+import { summarizeMap } from './mapContext.js';
+import { describePatchFormat } from './refinePrompt.js';
+
+/**
+ * Prompts for the map chat
+ *
+ * Earlier turns travel as plain conversation history; only the newest user
+ * turn carries the map, so the model always sees the canvas as it is now.
+ */
+
+/**
+ * System prompt for the map chat
+ * @param {Object} template - Prompt template (name, nodeTypes, edgeTypes)
+ * @returns {string}
+ */
+export function composeChatSystemPrompt(template) {
+  return `You are a planning assistant discussing the user's knowledge map (a ${template.name.toLowerCase()}). Answer questions about the map, suggest improvements and, when the user asks for a change or agrees to one you suggested, propose it as a patch.
+
+REPLY FORMAT
+
+{ "reply": "Your chat message to the user", "patch": { ...patch... } (optional) }
+
+- "reply" is always required; keep it short and conversational
+- Omit "patch" when nothing on the map should change
+- The user accepts or rejects each patch, so never claim a change has already been made
+
+${describePatchFormat(template)}
+
+Return ONLY valid JSON, no markdown or explanations.`;
+}
+
+/**
+ * Newest user turn: the current map followed by the message
+ * @param {Object} map - Current MapSchema-shaped map
+ * @param {string} message - What the user just wrote
+ * @returns {string}
+ */
+export function buildChatPrompt(map, message) {
+  const title = map.metadata?.title ? `Map: ${map.metadata.title}\n\n` : '';
+
+  return `${title}Current map:
+${summarizeMap(map)}
+
+User message: ${message}`;
+}
+
+/**
+ * Earlier turns as provider history. Providers expect the conversation to
+ * start with the user and alternate roles, so leading assistant turns are
+ * dropped and consecutive same-role turns merged.
+ * @param {Array<{ role: 'user'|'assistant', content: string }>} messages
+ * @returns {Array<{ role: string, content: string }>}
+ */
+export function buildChatHistory(messages = []) {
+  const history = [];
+
+  messages.forEach(({ role, content }) => {
+    if (history.length === 0 && role !== 'user') return;
+
+    const last = history[history.length - 1];
+    if (last && last.role === role) {
+      last.content += `\n\n${content}`;
+    } else {
+      history.push({ role, content });
+    }
+  });
+
+  // The new message is a user turn, so the history must end with the assistant
+  if (history[history.length - 1]?.role === 'user') history.pop();
+
+  return history;
+}
@@ -0,0 +1,63 @@
+/**
+ * Compose a system prompt from a template's vocabulary and guidance
+ *
+ * Shared skeleton for the non-default templates: hierarchy, output format
+ * (with the template's node/edge types), layout and output rules stay the
+ * same; only the domain guidance and counts change.
+ *
+ * @param {Object} template
+ * @param {string} template.subject - What the map describes, e.g. "a project plan"
+ * @param {string[]} template.nodeTypes - Allowed node "type" values
+ * @param {string[]} template.edgeTypes - Allowed edge "type" values
+ * @param {{ min: number, max: number }} template.territories - Territory count guidance
+ * @param {{ min: number, max: number }} template.nodes - Node count guidance
+ * @param {string} template.guidance - Domain-specific instructions
+ * @returns {string}
+ */
+export function composeSystemPrompt({ subject, nodeTypes, edgeTypes, territories, nodes, guidance }) {
+  return `You are a knowledge map generator. Your task is to convert the user's description of ${subject} into a structured map.
+
+════════════════════════════════════════════════════════
+HIERARCHY
+
+TERRITORIES = CONTAINERS (${territories.min}-${territories.max} total)
+  ↓ contain multiple
+NODES = ITEMS (${nodes.min}-${nodes.max} total)
+  ↓ connected by
+EDGES = RELATIONSHIPS
+
+Territories are categories taken from the user's own wording, never single items.
+
+════════════════════════════════════════════════════════
+DOMAIN GUIDANCE
+
+${guidance}
+
+════════════════════════════════════════════════════════
+OUTPUT FORMAT
+
+{
+  "territories": [
+    { "id": "unique-id", "name": "Territory Name", "nodeIds": ["node-id"], "description": "string (optional)", "color": "hex color (optional)" }
+  ],
+  "nodes": [
+    { "id": "unique-id", "label": "Node Label", "x": number (0-1000), "y": number (0-1000), "type": "${nodeTypes.join('|')}" }
+  ],
+  "edges": [
+    { "id": "unique-id", "source": "node-id", "target": "node-id", "label": "string (optional)", "type": "${edgeTypes.join('|')}", "weight": number (optional, 1-10) }
+  ],
+  "metadata": { "title": "Map Title", "description": "Map Description", "tags": ["tag"] }
+}
+
+Rules:
+1. Create ${territories.min}-${territories.max} territories and ${nodes.min}-${nodes.max} nodes
+2. Every node belongs to exactly one territory via that territory's nodeIds array
+3. Node "type" must be one of: ${nodeTypes.join(', ')}
+4. Edge "type" must be one of: ${edgeTypes.join(', ')}
+5. Ensure all edge source/target IDs match existing node IDs
+6. Position related nodes close together (100-200px) and keep at least 80px between any two nodes, within the 100-900 range
+7. Return ONLY valid JSON, no markdown or explanations
+8. Output keys in this order: "territories", then "nodes", then "edges", then "metadata"`;
+}
+
+export default composeSystemPrompt;
@@ -0,0 +1,57 @@
+import { summarizeMap } from './mapContext.js';
+
+/**
+ * Prompts for expanding one node of an existing map
+ *
+ * The system prompt reuses the template's vocabulary; the user turn carries
+ * the map outline, the node to expand and any extra instruction.
+ */
+
+/**
+ * System prompt for node expansion
+ * @param {Object} template - Prompt template (nodeTypes, edgeTypes)
+ * @param {Object} options
+ * @param {number} options.count - How many child nodes to propose
+ * @returns {string}
+ */
+export function composeExpandSystemPrompt({ nodeTypes, edgeTypes }, { count }) {
+  return `You expand one node of an existing knowledge map. Propose about ${count} NEW child nodes that break the selected node down into its parts, steps or examples.
+
+OUTPUT FORMAT
+
+{
+  "territory": { "id": "unique-id", "name": "Territory Name", "nodeIds": ["new-node-id"], "description": "string (optional)" } (optional),
+  "nodes": [
+    { "id": "unique-id", "label": "Node Label", "x": number (0-1000), "y": number (0-1000), "type": "${nodeTypes.join('|')}" }
+  ],
+  "edges": [
+    { "id": "unique-id", "source": "node-id", "target": "node-id", "label": "string (optional)", "type": "${edgeTypes.join('|')}" }
+  ]
+}
+
+Rules:
+1. Return ONLY new nodes and edges; never repeat nodes that already exist
+2. Every new node must connect to the selected node, to another new node or to an existing node by its id
+3. Add a "territory" only when the children form a distinct new category; otherwise omit it
+4. Node "type" must be one of: ${nodeTypes.join(', ')}
+5. Edge "type" must be one of: ${edgeTypes.join(', ')}
+6. Don't duplicate labels that already appear in the map
+7. Return ONLY valid JSON, no markdown or explanations`;
+}
+
+/**
+ * User turn for node expansion
+ * @param {Object} map - Current MapSchema-shaped map
+ * @param {Object} node - Node to expand
+ * @param {Object} [options]
+ * @param {string} [options.instruction] - Extra guidance from the user
+ * @returns {string}
+ */
+export function buildExpandPrompt(map, node, { instruction } = {}) {
+  const title = map.metadata?.title ? `Map: ${map.metadata.title}\n\n` : '';
+
+  return `${title}Current map:
+${summarizeMap(map)}
+
+Expand the node [${node.id}] "${node.label}"${node.type ? ` (${node.type})` : ''}.${instruction ? `\n\nInstruction: ${instruction}` : ''}`;
+}
@@ -0,0 +1,36 @@
+import learningPlan from './learningPlan.js';
+import projectPlan from './projectPlan.js';
+import characterMap from './characterMap.js';
+import argumentMap from './argumentMap.js';
+
+/**
+ * Prompt templates ("map genres")
+ *
+ * Each template has a system prompt, node/edge type vocabularies used to
+ * validate its maps, and territory/node count guidance.
+ */
+
+export const DEFAULT_TEMPLATE = learningPlan.id;
+
+const TEMPLATES = new Map(
+  [learningPlan, projectPlan, characterMap, argumentMap].map(template => [template.id, template])
+);
+
+export const TEMPLATE_IDS = [...TEMPLATES.keys()];
+
+/**
+ * Look up a template, falling back to the default
+ * @param {string} [id]
+ * @returns {Object} Template with id, name, nodeTypes, edgeTypes, territories, nodes and systemPrompt
+ */
+export function getTemplate(id) {
+  return TEMPLATES.get(id) || TEMPLATES.get(DEFAULT_TEMPLATE);
+}
+
+/**
+ * Public description of every template (no prompts), for the picker
+ * @returns {Array<{ id: string, name: string, description: string, nodeTypes: string[], edgeTypes: string[], territories: Object, nodes: Object }>}
+ */
+export function listTemplates() {
+  return [...TEMPLATES.values()].map(({ systemPrompt, ...template }) => template);
+}
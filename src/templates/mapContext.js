@@ -0,0 +1,57 @@
+/**
+ * Describe an existing map to the model
+ *
+ * Follow-up tasks (expanding a node, refining or discussing a map) send the
+ * current map as a compact outline instead of raw JSON: territories with
+ * their nodes, then the edges. Long maps are cut off with a note so the
+ * prompt stays within budget.
+ *
+ * @param {Object} map - MapSchema-shaped map
+ * @param {Object} [options]
+ * @param {number} [options.maxNodes=150] - Nodes listed before truncating
+ * @param {number} [options.maxEdges=200] - Edges listed before truncating
+ * @returns {string}
+ */
+export function summarizeMap(map, { maxNodes = 150, maxEdges = 200 } = {}) {
+  const nodesById = new Map(map.nodes.map(node => [node.id, node]));
+  const describeNode = (node) => `  - [${node.id}] ${node.label}${node.type ? ` (${node.type})` : ''}`;
+  const lines = [];
+  let listed = 0;
+
+  const listNodes = (nodes) => {
+    nodes.forEach(node => {
+      if (listed++ < maxNodes) lines.push(describeNode(node));
+    });
+  };
+
+  const assigned = new Set();
+  (map.territories || []).forEach(territory => {
+    lines.push(`Territory [${territory.id}] ${territory.name}${territory.description ? ` — ${territory.description}` : ''}`);
+    const members = territory.nodeIds.map(id => nodesById.get(id)).filter(Boolean);
+    members.forEach(node => assigned.add(node.id));
+    listNodes(members);
+  });
+
+  const loose = map.nodes.filter(node => !assigned.has(node.id));
+  if (loose.length > 0) {
+    lines.push('Nodes outside any territory');
+    listNodes(loose);
+  }
+
+  if (listed > maxNodes) {
+    lines.push(`  (${listed - maxNodes} more nodes not shown)`);
+  }
+
+  lines.push('Edges');
+  map.edges.slice(0, maxEdges).forEach(edge => {
+    const details = [edge.type, edge.label].filter(Boolean).join(': ');
+    lines.push(`  - [${edge.id}] ${edge.source} -> ${edge.target}${details ? ` (${details})` : ''}`);
+  });
+  if (map.edges.length > maxEdges) {
+    lines.push(`  (${map.edges.length - maxEdges} more edges not shown)`);
+  }
+
+  return lines.join('\n');
+}
+
+export default summarizeMap;
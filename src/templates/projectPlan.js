@@ -0,0 +1,31 @@
+import { composeSystemPrompt } from './composePrompt.js';
+
+/**
+ * Project plan template
+ * Phases or workstreams as territories; tasks, milestones and risks as nodes.
+ */
+const template = {
+  id: 'project-plan',
+  name: 'Project plan',
+  description: 'Phases or workstreams with tasks, milestones, deliverables and risks',
+  nodeTypes: ['task', 'milestone', 'deliverable', 'risk', 'resource'],
+  edgeTypes: ['dependency', 'blocks', 'hierarchy', 'relationship'],
+  territories: { min: 3, max: 6 },
+  nodes: { min: 10, max: 30 }
+};
+
+export default {
+  ...template,
+  systemPrompt: composeSystemPrompt({
+    ...template,
+    subject: 'a project plan',
+    guidance: `- Territories are phases ("Discovery", "Build", "Launch") or workstreams ("Design", "Backend") named in the prompt
+- "task": a concrete piece of work, phrased as an action ("Draft API spec")
+- "milestone": a checkpoint or date-bound goal; "deliverable": an artifact handed over
+- "risk": something that could delay or derail the plan; "resource": people, budget or tools the plan needs
+- "dependency" edges point from the prerequisite to the work that waits for it
+- "blocks" links a risk to the task or milestone it threatens
+- "hierarchy" links a milestone or deliverable to the tasks that produce it
+- Lay phases out left to right in time order`
+  })
+};
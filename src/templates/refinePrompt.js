@@ -0,0 +1,66 @@
+import { summarizeMap } from './mapContext.js';
+
+/**
+ * Prompts for refining an existing map with a patch
+ *
+ * The model edits the map through add/update/remove operations
+ * (src/schemas/mapPatch.js) instead of regenerating it, so untouched
+ * nodes keep their ids, positions, notes and status.
+ */
+
+/**
+ * Patch format and rules, shared by every prompt that asks for a patch
+ * @param {Object} vocabulary - { nodeTypes, edgeTypes }
+ * @returns {string}
+ */
+export function describePatchFormat({ nodeTypes, edgeTypes }) {
+  return `PATCH FORMAT
+
+{
+  "summary": "One sentence describing the change",
+  "operations": [
+    { "op": "add", "kind": "node", "id": "new-unique-id", "fields": { "label": "Label", "type": "${nodeTypes.join('|')}", "territoryId": "territory-id (optional)" } },
+    { "op": "add", "kind": "edge", "id": "new-unique-id", "fields": { "source": "node-id", "target": "node-id", "type": "${edgeTypes.join('|')}", "label": "string (optional)" } },
+    { "op": "add", "kind": "territory", "id": "new-unique-id", "fields": { "name": "Territory Name", "description": "string (optional)", "nodeIds": ["node-id"] } },
+    { "op": "update", "kind": "node|edge|territory", "id": "existing-id", "fields": { only the fields that change } },
+    { "op": "remove", "kind": "node|edge|territory", "id": "existing-id" }
+  ]
+}
+
+Patch rules:
+1. Operations run in order; later operations may use ids added earlier in the same patch
+2. "update" and "remove" must use ids that exist in the current map; "add" must use new ids
+3. Removing a node also removes its edges; removing a territory keeps its nodes
+4. Moving a node: update it with a new "territoryId"
+5. Node "type" must be one of: ${nodeTypes.join(', ')}
+6. Edge "type" must be one of: ${edgeTypes.join(', ')}
+7. Change only what the request asks for; never re-add nodes that already exist`;
+}
+
+/**
+ * System prompt for map refinement
+ * @param {Object} template - Prompt template (nodeTypes, edgeTypes)
+ * @returns {string}
+ */
+export function composeRefineSystemPrompt(template) {
+  return `You edit an existing knowledge map. The user describes a change ("split Speaking into fluency and pronunciation", "remove everything about vocabulary"); answer with the smallest patch that makes it.
+
+${describePatchFormat(template)}
+
+Return ONLY valid JSON, no markdown or explanations. An empty "operations" array means nothing needs to change.`;
+}
+
+/**
+ * User turn for map refinement
+ * @param {Object} map - Current MapSchema-shaped map
+ * @param {string} instruction - Requested change
+ * @returns {string}
+ */
+export function buildRefinePrompt(map, instruction) {
+  const title = map.metadata?.title ? `Map: ${map.metadata.title}\n\n` : '';
+
+  return `${title}Current map:
+${summarizeMap(map)}
+
+Change request: ${instruction}`;
+}
@@ -0,0 +1,37 @@
+import { SWOT_QUADRANTS } from '../schemas/swotSchema.js';
+import { swotItemKey } from '../schemas/swotPlan.js';
+
+/**
+ * Prompt for turning a SWOT analysis into a plan map
+ *
+ * Used as the user turn under the template's own system prompt, so the plan
+ * follows the template's map format and vocabulary. Item keys ("w2") become
+ * node id prefixes, which is how the client relinks items to plan nodes.
+ */
+
+/**
+ * @param {Object} swot - { strengths, weaknesses, opportunities, threats } of { text }
+ * @param {string} [prompt] - The user's own description, for context
+ * @returns {string}
+ */
+export function buildSwotPlanPrompt(swot, prompt = '') {
+  const sections = SWOT_QUADRANTS
+    .filter(quadrant => swot[quadrant].length > 0)
+    .map(quadrant => {
+      const items = swot[quadrant].map((item, index) =>
+        `- [${swotItemKey(quadrant, index)}] ${item.text.trim().replace(/\s*\n\s*/g, '; ')}`);
+      return `${quadrant[0].toUpperCase()}${quadrant.slice(1)}:\n${items.join('\n')}`;
+    });
+
+  const about = prompt ? `About me: ${prompt}\n\n` : '';
+
+  return `${about}Turn this SWOT analysis into an actionable plan map.
+
+${sections.join('\n\n')}
+
+Plan rules:
+1. Organize the plan into action territories driven by the analysis: fixing weaknesses, guarding against threats, building on strengths and pursuing opportunities (merge or split them where that reads better)
+2. Nodes are concrete actions ("Do 3 timed Task 1 essays per week"), not restatements of the SWOT items
+3. Connect actions with dependency edges in the order they should happen; fixing weaknesses usually comes before pursuing opportunities
+4. Every node built from a SWOT item must have an id starting with that item's key and a dash, e.g. "w2-timed-essays" for item [w2]`;
+}
@@ -13,7 +13,8 @@ export default defineConfig({
     proxy: {
       '/api': {
         target: 'http://localhost:3001',
-        changeOrigin: true
+        changeOrigin: true,
+        ws: true // Live collaboration (/api/collab)
       }
     }
   },